@@ -0,0 +1,76 @@
+import Product from '../models/Product.js';
+import { lookupCode } from '../../utils/posService.js';
+import { buildLabels, renderLabelSheetPdf } from '../../utils/labelService.js';
+
+// Resolve a scanned barcode or SKU to the product, variant, price and stock
+export const lookupPosCode = async (req, res) => {
+  try {
+    if (!req.query.code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await lookupCode(req.query.code)
+    });
+  } catch (error) {
+    console.error('Error looking up POS code:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to look up code'
+    });
+  }
+};
+
+// Download a PDF sheet of shelf labels for a selection of products
+export const printLabels = async (req, res) => {
+  try {
+    const labels = await buildLabels(req.body.items);
+    const pdf = await renderLabelSheetPdf(labels);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename="labels.pdf"'
+    });
+    return res.send(pdf);
+  } catch (error) {
+    console.error('Error printing labels:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to print labels'
+    });
+  }
+};
+
+// Give products created before barcodes existed their codes
+export const assignBarcodes = async (req, res) => {
+  try {
+    const products = await Product.find({
+      $or: [
+        { 'variants.0': { $exists: false }, barcode: { $exists: false } },
+        { variants: { $elemMatch: { barcode: { $exists: false } } } }
+      ]
+    });
+
+    // Saving runs the hook that assigns missing codes
+    let updated = 0;
+    for (const product of products) {
+      await product.save();
+      updated += 1;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Error assigning barcodes:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to assign barcodes'
+    });
+  }
+};
@@ -2,6 +2,7 @@
 import Category from "../models/Category.js";
 import Subcategory from "../models/Subcategory.js";
 import cloudinary from "../../shared/config/cloudinary.js";
+import { resolveSlug, canonicalUrl, buildSeoMeta } from "../../utils/seoService.js";
 
 // Get all categories
 export const getAllCategories = async (req, res) => {
@@ -55,6 +56,45 @@ export const getCategory = async (req, res) => {
   }
 };
 
+// Get a category by its slug. An old slug gets the current one back to redirect to.
+export const getCategoryBySlug = async (req, res) => {
+  try {
+    const match = await resolveSlug(Category, req.params.slug);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (match.redirectTo) {
+      return res.status(200).json({
+        success: true,
+        redirect: {
+          statusCode: 301,
+          slug: match.redirectTo,
+          canonicalUrl: canonicalUrl("category", match.redirectTo),
+        },
+      });
+    }
+
+    const category = await Category.findById(match.id).populate("subcategories");
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      seo: buildSeoMeta(category, "category"),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch category",
+      error: error.message,
+    });
+  }
+};
+
 // Create a new category
 export const createCategory = async (req, res) => {
   try {
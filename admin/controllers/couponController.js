@@ -0,0 +1,166 @@
+// controllers/couponController.js
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import { escapeRegex } from "../../utils/regex.js";
+
+// Fields that can't be set from the request body
+const stripProtectedFields = (body) => {
+  const couponData = { ...body };
+  delete couponData._id;
+  delete couponData.usedCount;
+  delete couponData.createdBy;
+  return couponData;
+};
+
+// Get all coupons
+export const getAllCoupons = async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.search) {
+      query.code = { $regex: escapeRegex(req.query.search), $options: "i" };
+    }
+
+    if (req.query.status === "active") {
+      query.isActive = true;
+    } else if (req.query.status === "inactive") {
+      query.isActive = false;
+    }
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupons",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single coupon with its redemption history
+export const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate("appliesTo.categories", "name")
+      .populate("appliesTo.subcategories", "name")
+      .populate("appliesTo.products", "name");
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .populate("user", "firstName lastName email")
+      .populate("order", "orderNumber total status")
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupon,
+        redemptions,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupon",
+      error: error.message,
+    });
+  }
+};
+
+// Create a new coupon
+export const createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...stripProtectedFields(req.body),
+      createdBy: req.admin._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to create coupon",
+      error: error.message,
+    });
+  }
+};
+
+// Update a coupon
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    // Save through the document so the date window validation runs
+    coupon.set(stripProtectedFields(req.body));
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to update coupon",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a coupon
+export const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    // Keep used coupons so order discounts and redemptions stay traceable
+    if (coupon.usedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This coupon has been used. Deactivate it instead of deleting it.",
+      });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to delete coupon",
+      error: error.message,
+    });
+  }
+};
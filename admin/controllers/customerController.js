@@ -0,0 +1,111 @@
+import OfflineCustomer from '../models/OfflineCustomer.js';
+import {
+  normalizePhone,
+  findUserByPhone,
+  getCustomerHistory as buildCustomerHistory
+} from '../../utils/customerService.js';
+import { escapeRegex } from '../../utils/regex.js';
+
+// Get walk-in customers, paginated
+export const getOfflineCustomers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const query = {};
+
+    if (req.query.search) {
+      const digits = req.query.search.replace(/\D/g, '');
+      query.$or = [
+        { name: { $regex: escapeRegex(req.query.search), $options: 'i' } },
+        ...(digits ? [{ phone: { $regex: escapeRegex(digits) } }] : [])
+      ];
+    }
+
+    if (req.query.linked !== undefined) {
+      query.userId = req.query.linked === 'true' ? { $ne: null } : null;
+    }
+
+    const [customers, total] = await Promise.all([
+      OfflineCustomer.find(query)
+        .populate('userId', 'firstName lastName email')
+        .sort({ 'statistics.lastOrderDate': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OfflineCustomer.countDocuments(query)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: customers,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching offline customers:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customers'
+    });
+  }
+};
+
+// Find who a phone number belongs to, for the till
+export const lookupCustomer = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.query.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid 10-digit mobile number'
+      });
+    }
+
+    const user = await findUserByPhone(phone);
+    const customer = user ? null : await OfflineCustomer.findOne({ phone });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        phone,
+        type: user ? 'user' : customer ? 'offline' : 'new',
+        user: user
+          ? {
+              _id: user._id,
+              name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+              email: user.email,
+              statistics: user.statistics
+            }
+          : null,
+        customer
+      }
+    });
+  } catch (error) {
+    console.error('Error looking up customer:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to look up customer'
+    });
+  }
+};
+
+// Get a customer's online and in-store purchases and lifetime value
+export const getCustomerHistory = async (req, res) => {
+  try {
+    const { userId, customerId, phone } = req.query;
+
+    return res.status(200).json({
+      success: true,
+      data: await buildCustomerHistory({ userId, customerId, phone })
+    });
+  } catch (error) {
+    console.error('Error fetching customer history:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch customer history'
+    });
+  }
+};
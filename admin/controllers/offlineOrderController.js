@@ -1,6 +1,12 @@
 import OfflineOrder from '../models/OfflineOrder.js';
-import Product from '../models/Product.js';
+import OfflineReturn from '../models/OfflineReturn.js';
 import { createNotification } from './notificationController.js';
+import { reserveStock, restoreStock } from '../../utils/inventoryService.js';
+import { priceCounterItems, buildPayment } from '../../utils/posService.js';
+import { redeemStoreCreditTenders, restoreStoreCreditTenders } from '../../utils/storeCreditService.js';
+import { resolvePosCustomer, recordOfflineSpend } from '../../utils/customerService.js';
+import { issueInvoice, renderInvoicePdf, canInvoice, getInvoiceFileName } from '../../utils/invoiceService.js';
+import { getOpenSession, isSessionClosed } from '../../utils/registerService.js';
 
 // Get all offline orders
 export const getAllOfflineOrders = async (req, res) => {
@@ -31,10 +37,8 @@ export const createOfflineOrder = async (req, res) => {
       phone,
       items,
       payment,
-      subtotal,
-      tax,
-      total,
-      notes
+      notes,
+      sessionId
     } = req.body;
 
     // Validate required fields
@@ -53,8 +57,8 @@ export const createOfflineOrder = async (req, res) => {
       });
     }
 
-    // Validate payment
-    if (!payment || !payment.method) {
+    // Validate payment: one method, or several tenders for a split payment
+    if (!payment || (!payment.method && !(Array.isArray(payment.tenders) && payment.tenders.length > 0))) {
       return res.status(400).json({
         success: false,
         error: 'Payment method is required'
@@ -69,49 +73,62 @@ export const createOfflineOrder = async (req, res) => {
       });
     }
 
-    // Process items and validate products
-    const processedItems = await Promise.all(items.map(async (item) => {
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        throw new Error(`Product not found: ${item.productId}`);
-      }
+    // Every sale belongs to an open register session
+    const session = await getOpenSession({ sessionId, adminId: req.admin._id });
 
-      // Update product stock
-      if (product.stock < item.quantity) {
-        throw new Error(`Insufficient stock for product: ${product.name}`);
-      }
+    // Process items, given by product id or scanned code, and validate products
+    const { processedItems, subtotal, tax, taxSummary, total } = await priceCounterItems(items);
 
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: -item.quantity }
-      });
+    // Tenders must cover the total; cash over the total is handed back as change
+    const { method, tenders, change } = buildPayment(payment, total);
+
+    // Match the buyer to an online account or a walk-in customer record
+    const { userId, customerId } = await resolvePosCustomer({ name: customerName, phone });
 
-      return {
-        productId: item.productId,
-        name: product.name,
-        quantity: item.quantity,
-        price: item.price,
-        variant: item.variant || null
-      };
-    }));
+    // Take the stock for all items at once; nothing is taken if any line is short
+    await reserveStock(processedItems);
 
     // Create the offline order
     const order = new OfflineOrder({
       customerName,
       phone,
+      userId,
+      customerId,
       items: processedItems,
       payment: {
-        method: payment.method,
+        method,
+        tenders,
+        change,
         status: 'completed',
         amount: total
       },
       subtotal,
       tax,
+      taxSummary,
       total,
       notes,
+      session: session._id,
       createdBy: req.admin._id
     });
 
-    await order.save();
+    try {
+      await redeemStoreCreditTenders(tenders, order._id);
+    } catch (error) {
+      await restoreStock(processedItems);
+      throw error;
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await restoreStock(processedItems);
+      await restoreStoreCreditTenders(tenders, order._id);
+      throw error;
+    }
+
+    if (order.status === 'completed') {
+      await recordOfflineSpend(order, { orders: 1, amount: order.total });
+    }
 
     // Create notification
     await createNotification(
@@ -130,13 +147,49 @@ export const createOfflineOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating offline order:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to create offline order'
     });
   }
 };
 
+// Download the PDF invoice of an offline order
+export const getOfflineOrderInvoice = async (req, res) => {
+  try {
+    const order = await OfflineOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offline order not found'
+      });
+    }
+
+    if (!canInvoice(order, 'pos')) {
+      return res.status(400).json({
+        success: false,
+        error: 'An invoice can only be issued for a completed sale'
+      });
+    }
+
+    await issueInvoice(OfflineOrder, order);
+    const pdf = await renderInvoicePdf(order, 'pos');
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${getInvoiceFileName(order)}"`
+    });
+    return res.send(pdf);
+  } catch (error) {
+    console.error('Error generating offline order invoice:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to generate invoice'
+    });
+  }
+};
+
 // Get offline order by ID
 export const getOfflineOrderById = async (req, res) => {
   try {
@@ -164,6 +217,24 @@ export const getOfflineOrderById = async (req, res) => {
   }
 };
 
+// Status changes a POS sale can go through; a completed sale is voided by cancelling it
+const OFFLINE_ORDER_TRANSITIONS = {
+  pending: ['completed', 'cancelled'],
+  completed: ['cancelled'],
+  cancelled: []
+};
+
+// Why a sale can no longer be voided or deleted, if it can't
+const getSaleLock = async (order) => {
+  if (order.exchangeFor) {
+    return 'This sale is the exchange of a return';
+  }
+  if (await OfflineReturn.exists({ offlineOrderId: order._id })) {
+    return 'Items of this sale have been returned';
+  }
+  return null;
+};
+
 // Update offline order status
 export const updateOfflineOrderStatus = async (req, res) => {
   try {
@@ -177,13 +248,67 @@ export const updateOfflineOrderStatus = async (req, res) => {
       });
     }
 
-    order.status = status;
-    order.payment.status = status;
-    await order.save();
+    if (await isSessionClosed(order.session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This sale belongs to a closed register session and cannot be changed'
+      });
+    }
+
+    if (!(OFFLINE_ORDER_TRANSITIONS[order.status] || []).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot change a ${order.status} sale to ${status}`
+      });
+    }
+
+    if (status === 'cancelled') {
+      const lock = await getSaleLock(order);
+      if (lock) {
+        return res.status(409).json({
+          success: false,
+          error: `${lock}; record a return instead`
+        });
+      }
+    }
+
+    // Claim the change on the status we checked, so two concurrent requests
+    // can't both run the side effects below
+    const previousStatus = order.status;
+    const updated = await OfflineOrder.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: previousStatus,
+        // A return may have reserved units since the lock check above
+        ...(status === 'cancelled' && { 'items.returnedQuantity': { $not: { $gt: 0 } } })
+      },
+      { $set: { status } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'This sale was changed by someone else, please reload'
+      });
+    }
+
+    // A voided sale puts its stock and any store credit spent on it back
+    if (status === 'cancelled') {
+      await restoreStock(updated.items);
+      await restoreStoreCreditTenders(updated.payment.tenders, updated._id);
+    }
+
+    // Only completed sales count towards the customer's spend
+    if (status === 'completed') {
+      await recordOfflineSpend(updated, { orders: 1, amount: updated.total });
+    } else if (previousStatus === 'completed') {
+      await recordOfflineSpend(updated, { orders: -1, amount: -updated.total });
+    }
 
     return res.status(200).json({
       success: true,
-      data: order
+      data: updated
     });
   } catch (error) {
     console.error('Error updating offline order status:', error);
@@ -206,14 +331,44 @@ export const deleteOfflineOrder = async (req, res) => {
       });
     }
 
-    // Restore product stock
-    await Promise.all(order.items.map(async (item) => {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: item.quantity }
+    if (await isSessionClosed(order.session)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This sale belongs to a closed register session and cannot be deleted'
+      });
+    }
+
+    const lock = order.invoice?.number ? 'An invoice has been issued for this sale' : await getSaleLock(order);
+    if (lock) {
+      return res.status(409).json({
+        success: false,
+        error: `${lock}; it cannot be deleted`
+      });
+    }
+
+    // Delete only if the sale is still in the state we checked; a concurrent
+    // cancel or delete has already given the stock back
+    const deleted = await OfflineOrder.findOneAndDelete({
+      _id: order._id,
+      status: order.status,
+      'items.returnedQuantity': { $not: { $gt: 0 } }
+    });
+
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        error: 'This sale was changed by someone else, please reload'
       });
-    }));
+    }
 
-    await order.deleteOne();
+    // A cancelled sale already gave its stock and store credit back
+    if (deleted.status !== 'cancelled') {
+      await restoreStock(deleted.items);
+      await restoreStoreCreditTenders(deleted.payment.tenders, deleted._id);
+    }
+    if (deleted.status === 'completed') {
+      await recordOfflineSpend(deleted, { orders: -1, amount: -deleted.total });
+    }
 
     return res.status(200).json({
       success: true,
@@ -1,6 +1,15 @@
 import Order from "../../user/models/Order.js";
 import User from "../../user/models/User.js";
 import { createNotification } from "./notificationController.js";
+import { transitionOrderStatus } from "../../utils/orderStatusService.js";
+import { restoreStock } from "../../utils/inventoryService.js";
+import { reverseOrderRedemptions } from "../../utils/couponService.js";
+import {
+  issueInvoice,
+  renderInvoicePdf,
+  canInvoice,
+  getInvoiceFileName,
+} from "../../utils/invoiceService.js";
 
 // Get all orders
 export const getAllOrders = async (req, res) => {
@@ -146,34 +155,58 @@ export const getOrderDetails = async (req, res) => {
   }
 };
 
-// Update order status
-export const updateOrderStatus = async (req, res) => {
+// Download the PDF invoice of an order
+export const getOrderInvoice = async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      {
-        status,
-        updatedAt: new Date(),
-      },
-      { new: true }
-    );
+    const order = await Order.findById(req.params.id).populate({
+      path: "userId",
+      select: "firstName lastName email",
+    });
 
     if (!order) {
-      return res.status(404).json({
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    if (!canInvoice(order, "online")) {
+      return res.status(400).json({
         success: false,
-        message: "Order not found",
+        error: "An invoice can only be issued for a confirmed order",
       });
     }
 
-    await handleOrderStatusUpdate(order);
+    await issueInvoice(Order, order);
+    const pdf = await renderInvoicePdf(order, "online");
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${getInvoiceFileName(order)}"`,
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    return res
+      .status(error.statusCode || 500)
+      .json({ success: false, error: error.message || "Failed to generate invoice" });
+  }
+};
+
+// Update order status
+export const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    // Checks the transition, records it in statusHistory and runs its side effects
+    const order = await transitionOrderStatus(req.params.id, status, {
+      actor: { role: req.admin.role, id: req.admin._id },
+      note,
+    });
 
     res.status(200).json({
       success: true,
       data: order,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: "Error updating order status",
       error: error.message,
@@ -193,8 +226,40 @@ export const deleteOrder = async (req, res) => {
       });
     }
 
-    // Delete the order
-    await Order.findByIdAndDelete(req.params.id);
+    if (order.invoice?.number) {
+      return res.status(409).json({
+        success: false,
+        message: "An invoice has been issued for this order; it cannot be deleted",
+      });
+    }
+
+    if (!["pending", "cancelled"].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${order.status} order cannot be deleted; cancel it instead`,
+      });
+    }
+
+    // Delete only if the order is still in the state we checked, so a
+    // concurrent confirmation or invoice can't be lost
+    const deleted = await Order.findOneAndDelete({
+      _id: order._id,
+      status: order.status,
+      "invoice.number": { $not: { $type: "string" } },
+    });
+
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        message: "This order was changed by someone else, please reload",
+      });
+    }
+
+    // Give back stock still held by the order, and its coupon uses
+    if (["reserved", "committed"].includes(deleted.inventory?.status)) {
+      await restoreStock(deleted.items);
+    }
+    await reverseOrderRedemptions(deleted);
 
     // Update user's orders array
     await User.findByIdAndUpdate(order.userId, {
@@ -236,19 +301,3 @@ const handleNewOrder = async (order) => {
   }
 };
 
-// Add this to your order status update logic
-const handleOrderStatusUpdate = async (order) => {
-  try {
-    await createNotification(
-      "order",
-      `Order #${order.orderNumber} status updated to ${order.status}`,
-      {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-      }
-    );
-  } catch (error) {
-    console.error("Error creating order status notification:", error);
-  }
-};
@@ -1,4 +1,9 @@
+import mongoose from 'mongoose';
+import Payment from '../../user/models/Payment.js';
+import Order from '../../user/models/Order.js';
 import { createNotification } from './notificationController.js';
+import { refundPayment, getRefundableAmount } from '../../utils/refundService.js';
+import { recordAudit } from '../../utils/auditService.js';
 
 // Add this to your payment processing logic
 const handleNewPayment = async (payment) => {
@@ -34,4 +39,101 @@ const handlePaymentStatusUpdate = async (payment) => {
   } catch (error) {
     console.error('Error creating payment status notification:', error);
   }
-}; 
\ No newline at end of file
+};
+
+// Issue a full or partial refund of a captured payment through Razorpay.
+// Requests are made safe to retry with an Idempotency-Key header (or an
+// idempotencyKey field); a repeated key returns the original refund.
+export const createRefund = async (req, res) => {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    const { reason } = req.body;
+
+    if (!idempotencyKey || idempotencyKey.length > 40) {
+      return res.status(400).json({
+        success: false,
+        message: 'An idempotency key of at most 40 characters is required'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A refund reason is required'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID'
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Without an amount the whole remaining balance is refunded
+    const amount = req.body.amount ?? getRefundableAmount(payment);
+
+    const { payment: updated, refund, replayed } = await refundPayment(payment, {
+      amount,
+      reason,
+      idempotencyKey,
+      source: 'admin',
+      createdBy: req.admin._id
+    });
+
+    if (!replayed) {
+      const order = await Order.findById(updated.orderId).select('orderNumber');
+
+      await createNotification(
+        'payment',
+        `Refund of ₹${refund.amount} issued for order #${order?.orderNumber}`,
+        {
+          paymentId: updated._id,
+          orderId: updated.orderId,
+          orderNumber: order?.orderNumber,
+          refundId: refund._id,
+          amount: refund.amount,
+          status: updated.status
+        }
+      );
+
+      await recordAudit(req, {
+        action: 'payment.refund',
+        entityType: 'Payment',
+        entityId: updated._id,
+        details: {
+          refundId: refund._id,
+          razorpayRefundId: refund.razorpayRefundId,
+          amount: refund.amount,
+          reason,
+          idempotencyKey,
+          paymentStatus: updated.status
+        }
+      });
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      success: true,
+      data: {
+        refund,
+        payment: updated,
+        refundableAmount: getRefundableAmount(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to create refund',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,160 @@
+import OfflineOrder from '../models/OfflineOrder.js';
+import OfflineReturn from '../models/OfflineReturn.js';
+import StoreCredit from '../models/StoreCredit.js';
+import { createNotification } from './notificationController.js';
+import { createPosReturn } from '../../utils/posReturnService.js';
+import { getOpenSession } from '../../utils/registerService.js';
+
+// Return items of an offline order, with an optional exchange
+export const createOfflineReturn = async (req, res) => {
+  try {
+    const order = await OfflineOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offline order not found'
+      });
+    }
+
+    // Refunds are paid out of an open register session
+    const session = await getOpenSession({ sessionId: req.body.sessionId, adminId: req.admin._id });
+
+    const { ret, exchangeSale, storeCredit } = await createPosReturn(order, req.body, {
+      admin: req.admin,
+      session
+    });
+
+    await createNotification(
+      'order',
+      `Offline return ${ret.returnNumber} recorded for sale ${order.orderNumber}`,
+      {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        returnId: ret._id,
+        amount: ret.returnedAmount
+      }
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        return: ret,
+        exchangeOrder: exchangeSale,
+        storeCredit
+      }
+    });
+  } catch (error) {
+    console.error('Error creating offline return:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to create offline return'
+    });
+  }
+};
+
+// Get the returns of an offline order
+export const getOfflineOrderReturns = async (req, res) => {
+  try {
+    const returns = await OfflineReturn.find({ offlineOrderId: req.params.id })
+      .populate('exchangeOrderId', 'orderNumber total payment')
+      .populate('refund.storeCreditId', 'code balance')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    console.error('Error fetching offline order returns:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch offline order returns'
+    });
+  }
+};
+
+// Get all offline returns
+export const getPosReturns = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.session) {
+      query.session = req.query.session;
+    }
+    if (req.query.phone) {
+      query.phone = req.query.phone;
+    }
+
+    const returns = await OfflineReturn.find(query)
+      .populate('offlineOrderId', 'orderNumber total')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    console.error('Error fetching offline returns:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch offline returns'
+    });
+  }
+};
+
+// Get offline return by ID
+export const getPosReturn = async (req, res) => {
+  try {
+    const ret = await OfflineReturn.findById(req.params.id)
+      .populate('offlineOrderId', 'orderNumber customerName phone total payment createdAt')
+      .populate('exchangeOrderId', 'orderNumber items total payment exchangeCredit')
+      .populate('refund.storeCreditId', 'code amount balance')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offline return not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    console.error('Error fetching offline return:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch offline return'
+    });
+  }
+};
+
+// Look up a store credit and its balance
+export const getStoreCredit = async (req, res) => {
+  try {
+    const credit = await StoreCredit.findOne({ code: req.params.code.trim().toUpperCase() })
+      .populate('offlineReturnId', 'returnNumber')
+      .populate('redemptions.offlineOrderId', 'orderNumber');
+
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Store credit not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: credit
+    });
+  } catch (error) {
+    console.error('Error fetching store credit:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch store credit'
+    });
+  }
+};
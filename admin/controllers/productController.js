@@ -4,116 +4,64 @@ import Category from "../models/Category.js";
 import Subcategory from "../models/Subcategory.js";
 import cloudinary from "../../shared/config/cloudinary.js";
 import mongoose from "mongoose";
+import { searchCatalog } from "../../utils/search/productSearch.js";
+import { logSearch } from "../../utils/search/searchLog.js";
+import { resolveSlug, canonicalUrl, buildSeoMeta, assignMissingSlugs } from "../../utils/seoService.js";
+
+// Sort values sent by older clients, and the listing sort each meant
+const LEGACY_SORTS = {
+  "-createdAt": "newest",
+  price: "price_asc",
+  "-price": "price_desc",
+  "-rating": "rating",
+};
 
 // Get all products with filtering, sorting, and pagination
 export const getAllProducts = async (req, res) => {
   try {
-    console.log('Request headers:', req.headers);
-    console.log('Query parameters:', req.query);
-
-    // Start with empty filterOptions
-    let filterOptions = {};
-
-    // Handle category filter
-    if (req.query.category) {
-      filterOptions.category = req.query.category;
-    }
-
-    // Handle subcategory filter
-    if (req.query.subcategory) {
-      filterOptions.subcategory = req.query.subcategory;
-    }
-
-    // Handle price range filter
-    if (req.query['price[gte]'] || req.query['price[lte]']) {
-      const minPrice = Number(req.query['price[gte]']);
-      const maxPrice = Number(req.query['price[lte]']);
-      
-      console.log('Price range received:', { minPrice, maxPrice });
-      
-      // Create price filter object
-      const priceFilter = {};
-      
-      if (!isNaN(minPrice)) {
-        priceFilter.$gte = minPrice;
-      }
-      
-      if (!isNaN(maxPrice)) {
-        priceFilter.$lte = maxPrice;
-      }
-      
-      // Only add price filter if we have valid conditions
-      if (Object.keys(priceFilter).length > 0) {
-        filterOptions.price = priceFilter;
-        console.log('Price filter applied:', priceFilter);
-      }
-    }
-
-    // Handle status filter
-    if (req.query.status === 'active') {
-      filterOptions.isAvailable = true;
-    }
-
-    console.log('Final filter options:', JSON.stringify(filterOptions, null, 2));
-
-    // Debug: Log all products in the database
-    const allProducts = await Product.find({});
-    console.log('All products in database:', allProducts.map(p => ({
-      name: p.name,
-      price: p.price,
-      priceType: typeof p.price,
-      isAvailable: p.isAvailable
-    })));
-
-    // Debug: Log the MongoDB query
-    console.log('MongoDB query:', JSON.stringify(filterOptions, null, 2));
-
-    // Get products with filters using a more explicit query
-    const query = Product.find(filterOptions);
-    const mongoQuery = query.getQuery();
-    console.log('MongoDB query object:', mongoQuery);
+    // price[gte]/price[lte] is the older way of giving a price range
+    const priceRange = typeof req.query.price === "object" ? req.query.price : {};
+    const params = {
+      ...req.query,
+      q: undefined,
+      sort: LEGACY_SORTS[req.query.sort] || req.query.sort,
+      minPrice: req.query.minPrice ?? priceRange.gte,
+      maxPrice: req.query.maxPrice ?? priceRange.lte,
+    };
+
+    // Admins see products taken off sale too, unless they ask for active ones.
+    // They get the whole catalog unless they ask for a page.
+    const pageRequested = ["limit", "page", "cursor"].some((param) => req.query[param] !== undefined);
+    const result = await searchCatalog(params, {
+      includeUnavailable: Boolean(req.admin) && req.query.status !== "active",
+      defaultSort: "newest",
+      ifNoneMatch: req.get("If-None-Match"),
+      unpaged: Boolean(req.admin) && !pageRequested,
+    });
 
-    // Debug: Check if price filter is in the query
-    if (mongoQuery.price) {
-      console.log('Price filter in query:', mongoQuery.price);
-    } else {
-      console.log('No price filter in query');
+    res.set({ ETag: result.etag, "Cache-Control": "no-cache" });
+    if (result.notModified) {
+      return res.status(304).end();
     }
 
-    // Execute the query
-    const products = await query
-      .sort(req.query.sort || { createdAt: -1 })
-      .select('name description price images category subcategory isAvailable featured')
-      .skip((parseInt(req.query.page) - 1) * parseInt(req.query.limit))
-      .limit(parseInt(req.query.limit));
-
-    // Debug: Log the filtered products
-    console.log('Filtered products:', products.map(p => ({
-      name: p.name,
-      price: p.price,
-      priceType: typeof p.price,
-      isAvailable: p.isAvailable
-    })));
-
-    // Get total count for pagination
-    const total = await Product.countDocuments(filterOptions);
-
     res.json({
       success: true,
-      data: products,
+      data: result.products,
+      facets: result.facets,
       pagination: {
-        total,
-        page: parseInt(req.query.page),
-        limit: parseInt(req.query.limit),
-        totalPages: Math.ceil(total / parseInt(req.query.limit))
-      }
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.limit ? Math.ceil(result.total / result.limit) : 1,
+        nextCursor: result.nextCursor,
+      },
     });
   } catch (error) {
-    console.error('Error in getAllProducts:', error);
-    res.status(500).json({
+    console.error("Error in getAllProducts:", error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error fetching products',
-      error: error.message
+      message: error.statusCode ? error.message : "Error fetching products",
+      error: error.message,
     });
   }
 };
@@ -145,6 +93,47 @@ export const getProduct = async (req, res) => {
   }
 };
 
+// Get a product by its slug. An old slug gets the current one back to redirect to.
+export const getProductBySlug = async (req, res) => {
+  try {
+    const match = await resolveSlug(Product, req.params.slug);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (match.redirectTo) {
+      return res.status(200).json({
+        success: true,
+        redirect: {
+          statusCode: 301,
+          slug: match.redirectTo,
+          canonicalUrl: canonicalUrl("product", match.redirectTo),
+        },
+      });
+    }
+
+    const product = await Product.findById(match.id)
+      .populate("category", "name slug")
+      .populate("subcategory", "name slug");
+
+    res.status(200).json({
+      success: true,
+      data: product,
+      seo: buildSeoMeta(product, "product"),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch product",
+      error: error.message,
+    });
+  }
+};
+
 // Create a new product with image uploads
 export const createProduct = async (req, res) => {
   try {
@@ -215,6 +204,14 @@ export const updateProduct = async (req, res) => {
       }
     }
 
+    // Variants are managed through /products/:id/variants, and the stock of a
+    // product with variants is derived from them
+    delete productData.variants;
+    if (product.variants.length > 0) {
+      delete productData.stock;
+      delete productData.options;
+    }
+
     // Update the product
     const updatedProduct = await Product.findByIdAndUpdate(
       productId,
@@ -274,31 +271,31 @@ export const deleteProduct = async (req, res) => {
   }
 };
 
-// Search products
+// Search products, with filters, facet counts and cursor pagination
 export const searchProducts = async (req, res) => {
   try {
-    if (!req.query.q) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide a search query",
-      });
-    }
+    // Admins also find products that are taken off sale
+    const { products, total, facets, nextCursor, page } = await searchCatalog(req.query, {
+      includeUnavailable: Boolean(req.admin),
+    });
 
-    const products = await Product.find({
-      $text: { $search: req.query.q },
-    })
-      .populate("category", "name")
-      .populate("subcategory", "name");
+    // Shoppers' searches are logged once, not again for each further page
+    const isFirstPage = !req.query.cursor && (page ?? 1) === 1;
+    const searchId = !req.admin && isFirstPage ? logSearch(req.query, total) : null;
 
     res.status(200).json({
       success: true,
       count: products.length,
+      total,
+      facets,
+      nextCursor,
+      searchId,
       data: products,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to search products",
+      message: error.statusCode ? error.message : "Failed to search products",
       error: error.message,
     });
   }
@@ -393,4 +390,26 @@ export const deleteProductImage = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// Give products, categories and subcategories created before slugs existed their slugs
+export const assignSlugs = async (req, res) => {
+  try {
+    const [products, categories, subcategories] = [
+      await assignMissingSlugs(Product),
+      await assignMissingSlugs(Category),
+      await assignMissingSlugs(Subcategory),
+    ];
+
+    res.status(200).json({
+      success: true,
+      data: { products, categories, subcategories },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to assign slugs",
+      error: error.message,
+    });
+  }
+};
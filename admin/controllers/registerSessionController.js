@@ -0,0 +1,185 @@
+import RegisterSession from '../models/RegisterSession.js';
+import OfflineOrder from '../models/OfflineOrder.js';
+import OfflineReturn from '../models/OfflineReturn.js';
+import { createNotification } from './notificationController.js';
+import {
+  openSession,
+  closeSession,
+  addCashMovement,
+  buildSessionReport
+} from '../../utils/registerService.js';
+
+// Session with its sales and returns and, while it is open, a running report
+const buildSessionView = async (session) => {
+  const orders = await OfflineOrder.find({ session: session._id })
+    .select('orderNumber customerName total payment status createdAt createdBy')
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: 1 });
+
+  const returns = await OfflineReturn.find({ session: session._id })
+    .select('returnNumber offlineOrderId returnedAmount exchangeCredit refund createdAt createdBy')
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: 1 });
+
+  return {
+    session,
+    report: session.status === 'open' ? await buildSessionReport(session) : session.report,
+    orders,
+    returns
+  };
+};
+
+// Get register sessions
+export const getSessions = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.register) {
+      query.register = req.query.register;
+    }
+
+    const sessions = await RegisterSession.find(query)
+      .populate('openedBy', 'firstName lastName')
+      .populate('closedBy', 'firstName lastName')
+      .sort({ openedAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error fetching register sessions:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch register sessions'
+    });
+  }
+};
+
+// Get the open session of a register, or the one the current admin opened
+export const getCurrentSession = async (req, res) => {
+  try {
+    const session = await RegisterSession.findOne({
+      status: 'open',
+      ...(req.query.register ? { register: req.query.register } : { openedBy: req.admin._id })
+    })
+      .populate('openedBy', 'firstName lastName')
+      .sort({ openedAt: -1 });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open register session'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await buildSessionView(session)
+    });
+  } catch (error) {
+    console.error('Error fetching current register session:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch register session'
+    });
+  }
+};
+
+// Get a register session with its sales and report
+export const getSession = async (req, res) => {
+  try {
+    const session = await RegisterSession.findById(req.params.id)
+      .populate('openedBy', 'firstName lastName')
+      .populate('closedBy', 'firstName lastName')
+      .populate('cashMovements.createdBy', 'firstName lastName');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Register session not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await buildSessionView(session)
+    });
+  } catch (error) {
+    console.error('Error fetching register session:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch register session'
+    });
+  }
+};
+
+// Open a register session with a cash float
+export const openRegisterSession = async (req, res) => {
+  try {
+    const session = await openSession(req.body, req.admin);
+
+    return res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error opening register session:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to open register session'
+    });
+  }
+};
+
+// Record a pay-in or pay-out
+export const addSessionCashMovement = async (req, res) => {
+  try {
+    const session = await addCashMovement(req.params.id, req.body, req.admin);
+
+    return res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error recording cash movement:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to record cash movement'
+    });
+  }
+};
+
+// Close a register session with the counted drawer
+export const closeRegisterSession = async (req, res) => {
+  try {
+    const session = await closeSession(req.params.id, req.body, req.admin);
+    const cashVariance = session.report.variance.cash;
+
+    if (cashVariance) {
+      await createNotification(
+        'system',
+        `Register session ${session.sessionNumber} closed with a cash ${cashVariance > 0 ? 'surplus' : 'shortage'} of ₹${Math.abs(cashVariance)}`,
+        {
+          sessionId: session._id,
+          sessionNumber: session.sessionNumber,
+          register: session.register,
+          variance: session.report.variance
+        }
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error closing register session:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to close register session'
+    });
+  }
+};
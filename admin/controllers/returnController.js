@@ -0,0 +1,284 @@
+import Return from "../../user/models/Return.js";
+import Order from "../../user/models/Order.js";
+import { completeReturn, refundReturn, releaseReturnQuantities } from "../../utils/returnService.js";
+
+// Move a return from one status to the next, recording who did it.
+// `onTransition` runs on the updated return before the response is sent.
+const transitionReturn = async (req, res, { from, to, note, dateField, onTransition }) => {
+  const ret = await Return.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: from } },
+    {
+      $set: { status: to, ...(dateField && { [dateField]: new Date() }) },
+      $push: { history: { status: to, note, actor: req.admin._id } },
+    },
+    { new: true }
+  );
+
+  if (!ret) {
+    const exists = await Return.exists({ _id: req.params.id });
+    return res.status(exists ? 400 : 404).json({
+      success: false,
+      message: exists
+        ? `Only ${from.join(" or ")} returns can be marked ${to}`
+        : "Return not found",
+    });
+  }
+
+  if (onTransition) {
+    await onTransition(ret);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: ret,
+  });
+};
+
+// Get all returns
+export const getAllReturns = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const returns = await Return.find(query)
+      .populate("userId", "firstName lastName email")
+      .populate("orderId", "orderNumber total")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch returns",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single return
+export const getReturn = async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id)
+      .populate("userId", "firstName lastName email phoneNumber")
+      .populate("orderId")
+      .populate("exchangeOrderId", "orderNumber status")
+      .populate("history.actor", "firstName lastName");
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: ret,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch return",
+      error: error.message,
+    });
+  }
+};
+
+// Accept a return request so the customer can send the items back
+export const approveReturn = async (req, res) => {
+  try {
+    await transitionReturn(req, res, {
+      from: ["requested"],
+      to: "approved",
+      note: req.body.note,
+      dateField: "approvedAt",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve return",
+      error: error.message,
+    });
+  }
+};
+
+// Turn down a return request, or a return whose items failed inspection
+export const rejectReturn = async (req, res) => {
+  try {
+    if (!req.body.note) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reject a return",
+      });
+    }
+
+    await transitionReturn(req, res, {
+      from: ["requested", "approved", "received"],
+      to: "rejected",
+      note: req.body.note,
+      // The order lines can be returned again
+      onTransition: (ret) => releaseReturnQuantities(ret.orderId, ret.items),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject return",
+      error: error.message,
+    });
+  }
+};
+
+// Record that the returned items arrived at the warehouse
+export const receiveReturn = async (req, res) => {
+  try {
+    await transitionReturn(req, res, {
+      from: ["approved"],
+      to: "received",
+      note: req.body.note,
+      dateField: "receivedAt",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to receive return",
+      error: error.message,
+    });
+  }
+};
+
+// Record the inspection of each item and settle the return. Accepted,
+// resellable items go back into stock; accepted items are refunded or
+// exchanged.
+export const inspectReturn = async (req, res) => {
+  try {
+    const { items = [], note } = req.body;
+    const ret = await Return.findById(req.params.id);
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    if (ret.status !== "received") {
+      return res.status(400).json({
+        success: false,
+        message: "Only received returns can be inspected",
+      });
+    }
+
+    const findResult = (item) => items.find((inspected) => inspected.itemId === item._id.toString());
+
+    for (const item of ret.items) {
+      const result = findResult(item);
+      if (!result || !["resellable", "damaged"].includes(result.condition)) {
+        return res.status(400).json({
+          success: false,
+          message: `Inspection result (resellable or damaged) is required for ${item.name}`,
+        });
+      }
+    }
+
+    // Claim the return so a second inspection can't restock or exchange it again
+    const claimed = await Return.findOneAndUpdate(
+      { _id: ret._id, status: "received" },
+      { $set: { status: "inspecting" } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "This return is already being inspected",
+      });
+    }
+
+    for (const item of claimed.items) {
+      const result = findResult(item);
+      item.condition = result.condition;
+      item.accepted = result.accepted !== false;
+    }
+
+    claimed.history.push({ status: "inspected", note, actor: req.admin._id });
+
+    // Nothing passed inspection: the items go back to the customer
+    if (!claimed.items.some((item) => item.accepted)) {
+      claimed.status = "rejected";
+      claimed.history.push({ status: "rejected", note: "No items passed inspection", actor: req.admin._id });
+      await claimed.save();
+      await releaseReturnQuantities(claimed.orderId, claimed.items);
+
+      return res.status(200).json({
+        success: true,
+        data: claimed,
+      });
+    }
+
+    try {
+      const order = await Order.findById(claimed.orderId);
+      await completeReturn(claimed, order, req.admin._id);
+    } catch (error) {
+      // Let the inspection be tried again, e.g. once exchange stock is back
+      await Return.updateOne({ _id: claimed._id, status: "inspecting" }, { $set: { status: "received" } });
+      throw error;
+    }
+
+    // Items that failed inspection go back to the customer and can be returned again
+    await releaseReturnQuantities(claimed.orderId, claimed.items.filter((item) => !item.accepted));
+
+    res.status(200).json({
+      success: true,
+      data: claimed,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to inspect return",
+      error: error.message,
+    });
+  }
+};
+
+// Try a failed refund of a completed return again
+export const retryReturnRefund = async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id);
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    if (ret.status !== "completed" || ret.refund?.status !== "failed") {
+      return res.status(400).json({
+        success: false,
+        message: "Only failed refunds can be retried",
+      });
+    }
+
+    const order = await Order.findById(ret.orderId);
+    await refundReturn(ret, order);
+    ret.history.push({ status: "completed", note: `Refund retried: ${ret.refund.status}`, actor: req.admin._id });
+    await ret.save();
+
+    res.status(200).json({
+      success: true,
+      data: ret,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to retry refund",
+      error: error.message,
+    });
+  }
+};
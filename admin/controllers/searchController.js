@@ -0,0 +1,35 @@
+import { getSuggestions } from '../../utils/search/suggestIndex.js';
+import { recordSearchEvent } from '../../utils/search/searchLog.js';
+
+// Type-ahead suggestions for the storefront search box
+export const getSearchSuggestions = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: await getSuggestions(req.query.q)
+    });
+  } catch (error) {
+    console.error('Error getting search suggestions:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to get search suggestions'
+    });
+  }
+};
+
+// Report a click or add-to-cart on a search result, for search analytics
+export const trackSearchEvent = async (req, res) => {
+  try {
+    await recordSearchEvent(req.params.searchId, req.body);
+
+    return res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error recording search event:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to record search event'
+    });
+  }
+};
@@ -0,0 +1,179 @@
+// controllers/serviceabilityController.js
+import ServiceablePincode from "../models/ServiceablePincode.js";
+import {
+  importPincodes as importPincodeList,
+  checkServiceability,
+  normalizePincode,
+} from "../../utils/serviceabilityService.js";
+import { escapeRegex } from "../../utils/regex.js";
+
+// Fields that can be changed on a single PIN code
+const EDITABLE_FIELDS = ["city", "state", "codAllowed", "prepaidAllowed", "transitDays", "maxCodAmount"];
+
+// Get PIN codes, paginated
+export const getPincodes = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const query = {};
+
+    if (req.query.search) {
+      // A search without digits would otherwise match every PIN code
+      const digits = normalizePincode(req.query.search).replace(/\D/g, "");
+      query.$or = [
+        ...(digits ? [{ pincode: { $regex: `^${digits}` } }] : []),
+        { city: { $regex: escapeRegex(req.query.search), $options: "i" } },
+      ];
+    }
+
+    if (req.query.state) {
+      query.state = req.query.state;
+    }
+
+    if (req.query.codAllowed !== undefined) {
+      query.codAllowed = req.query.codAllowed === "true";
+    }
+
+    const [pincodes, total] = await Promise.all([
+      ServiceablePincode.find(query)
+        .sort({ pincode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ServiceablePincode.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: pincodes,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch PIN codes",
+      error: error.message,
+    });
+  }
+};
+
+// Import a PIN code CSV. Send `replace=true` to drop PIN codes missing from the file.
+export const importPincodes = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a CSV file",
+      });
+    }
+
+    const result = await importPincodeList(req.file.buffer.toString("utf8"), {
+      replace: req.body.replace === "true" || req.body.replace === true,
+      adminId: req.admin._id,
+    });
+
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The file has invalid rows; nothing was imported",
+        data: result,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.total} PIN codes imported`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to import PIN codes",
+      error: error.message,
+    });
+  }
+};
+
+// Add or change a single PIN code
+export const updatePincode = async (req, res) => {
+  try {
+    const pincode = await ServiceablePincode.findOne({ pincode: normalizePincode(req.params.pincode) })
+      || new ServiceablePincode({ pincode: normalizePincode(req.params.pincode) });
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        pincode[field] = req.body[field];
+      }
+    });
+    pincode.updatedBy = req.admin._id;
+    await pincode.save();
+
+    res.status(200).json({
+      success: true,
+      data: pincode,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to update PIN code",
+      error: error.message,
+    });
+  }
+};
+
+// Remove a PIN code from the coverage list
+export const deletePincode = async (req, res) => {
+  try {
+    const pincode = await ServiceablePincode.findOneAndDelete({ pincode: normalizePincode(req.params.pincode) });
+
+    if (!pincode) {
+      return res.status(404).json({
+        success: false,
+        message: "PIN code not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to delete PIN code",
+      error: error.message,
+    });
+  }
+};
+
+// Check delivery and payment options for a PIN code (public). Pass `amount`
+// to also check the cash-on-delivery limit for an order value.
+export const getServiceability = async (req, res) => {
+  try {
+    const amount = req.query.amount !== undefined ? Number(req.query.amount) : undefined;
+
+    if (amount !== undefined && !Number.isFinite(amount)) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be a number",
+      });
+    }
+
+    const result = await checkServiceability(req.params.pincode, { amount });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to check PIN code",
+      error: error.message,
+    });
+  }
+};
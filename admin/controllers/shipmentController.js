@@ -0,0 +1,202 @@
+import Shipment from "../../user/models/Shipment.js";
+import Order from "../../user/models/Order.js";
+import {
+  createShipment as createOrderShipment,
+  recordShipmentEvents,
+  cancelShipment as cancelOrderShipment,
+  getShipmentQuantities,
+} from "../../utils/shipmentService.js";
+import { listCarriers } from "../../utils/carriers/index.js";
+
+// Get all shipments
+export const getAllShipments = async (req, res) => {
+  try {
+    const query = {};
+    ["orderId", "status", "carrier", "trackingNumber"].forEach((field) => {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    });
+
+    const shipments = await Shipment.find(query)
+      .populate("orderId", "orderNumber status")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: shipments.length,
+      data: shipments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipments",
+      error: error.message,
+    });
+  }
+};
+
+// List the carriers with an adapter (bookings and tracking webhooks)
+export const getCarriers = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listCarriers(),
+  });
+};
+
+// Shipments of one order, with what is still left to ship
+export const getOrderShipments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const { shipments, allocated } = await getShipmentQuantities(order._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shipments,
+        unshippedItems: order.items
+          .map((line) => ({
+            itemId: line._id,
+            name: line.name,
+            variant: line.variant,
+            quantity: line.quantity - (allocated.get(line._id.toString()) || 0),
+          }))
+          .filter((line) => line.quantity > 0),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order shipments",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single shipment
+export const getShipment = async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id)
+      .populate("orderId", "orderNumber status shippingAddress")
+      .populate("createdBy", "firstName lastName");
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipment not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: shipment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipment",
+      error: error.message,
+    });
+  }
+};
+
+// Create a shipment for an order. Leave out `items` to ship everything not yet
+// shipped, or list { itemId, quantity } for a partial shipment.
+export const createShipment = async (req, res) => {
+  try {
+    const { orderId, items, carrier, trackingNumber, trackingUrl, estimatedDelivery } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Items must be a non-empty array",
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const shipment = await createOrderShipment(
+      order,
+      { items, carrier, trackingNumber, trackingUrl, estimatedDelivery },
+      { role: req.admin.role, id: req.admin._id }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Shipment created successfully",
+      data: shipment,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to create shipment",
+      error: error.message,
+    });
+  }
+};
+
+// Record a tracking update by hand, for carriers without webhooks
+export const addShipmentEvent = async (req, res) => {
+  try {
+    const { status, description, location, occurredAt } = req.body;
+    const shipment = await Shipment.findById(req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipment not found",
+      });
+    }
+
+    const result = await recordShipmentEvents(
+      shipment,
+      [{ status, description, location, occurredAt }],
+      "admin"
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.shipment,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to add tracking event",
+      error: error.message,
+    });
+  }
+};
+
+// Cancel a shipment that hasn't left or came back, freeing its items
+export const cancelShipment = async (req, res) => {
+  try {
+    const shipment = await cancelOrderShipment(req.params.id, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      message: "Shipment cancelled successfully",
+      data: shipment,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to cancel shipment",
+      error: error.message,
+    });
+  }
+};
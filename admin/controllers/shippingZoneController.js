@@ -0,0 +1,165 @@
+// controllers/shippingZoneController.js
+import ShippingZone from "../models/ShippingZone.js";
+import { priceItems } from "../../utils/pricingService.js";
+import { quoteShipping } from "../../utils/shippingService.js";
+import { roundCurrency } from "../../utils/currency.js";
+
+// Fields that can't be set from the request body
+const stripProtectedFields = (body) => {
+  const zoneData = { ...body };
+  delete zoneData._id;
+  delete zoneData.createdBy;
+  return zoneData;
+};
+
+// Get all shipping zones
+export const getAllShippingZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ isDefault: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipping zones",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single shipping zone
+export const getShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch shipping zone",
+      error: error.message,
+    });
+  }
+};
+
+// Create a new shipping zone
+export const createShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.create({
+      ...stripProtectedFields(req.body),
+      createdBy: req.admin._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to create shipping zone",
+      error: error.message,
+    });
+  }
+};
+
+// Update a shipping zone
+export const updateShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    // Save through the document so the rate table validation runs
+    zone.set(stripProtectedFields(req.body));
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to update shipping zone",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a shipping zone. Orders keep the zone name they were charged with.
+export const deleteShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to delete shipping zone",
+      error: error.message,
+    });
+  }
+};
+
+// Shipping options and costs for a cart and address (public). The amount used
+// for free-shipping thresholds is the item subtotal; coupon discounts are
+// taken into account at checkout.
+export const getShippingQuote = async (req, res) => {
+  try {
+    const { items, shippingAddress, paymentMethod, method } = req.body;
+    const lines = await priceItems(items);
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+
+    const quote = await quoteShipping({
+      lines,
+      amount: subtotal,
+      destination: { state: shippingAddress?.state, pincode: shippingAddress?.zipCode },
+      paymentMethod,
+      method,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subtotal,
+        ...quote,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to quote shipping",
+      error: error.message,
+    });
+  }
+};
@@ -3,6 +3,7 @@ import Subcategory from "../models/Subcategory.js";
 import Category from "../models/Category.js";
 import Product from "../models/Product.js";
 import cloudinary from "../../shared/config/cloudinary.js";
+import { resolveSlug, canonicalUrl, buildSeoMeta } from "../../utils/seoService.js";
 
 // Get all subcategories
 export const getAllSubcategories = async (req, res) => {
@@ -65,6 +66,47 @@ export const getSubcategory = async (req, res) => {
   }
 };
 
+// Get a subcategory by its slug. An old slug gets the current one back to redirect to.
+export const getSubcategoryBySlug = async (req, res) => {
+  try {
+    const match = await resolveSlug(Subcategory, req.params.slug);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: "Subcategory not found",
+      });
+    }
+
+    if (match.redirectTo) {
+      return res.status(200).json({
+        success: true,
+        redirect: {
+          statusCode: 301,
+          slug: match.redirectTo,
+          canonicalUrl: canonicalUrl("subcategory", match.redirectTo),
+        },
+      });
+    }
+
+    const subcategory = await Subcategory.findById(match.id)
+      .populate("category", "name slug")
+      .populate("products");
+
+    res.status(200).json({
+      success: true,
+      data: subcategory,
+      seo: buildSeoMeta(subcategory, "subcategory"),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch subcategory",
+      error: error.message,
+    });
+  }
+};
+
 // Create a new subcategory
 export const createSubcategory = async (req, res) => {
   try {
@@ -0,0 +1,190 @@
+// controllers/variantController.js
+import Product from "../models/Product.js";
+
+// Build a variant from the request body, parsing JSON strings sent via FormData
+const parseVariantBody = (body) => {
+  const variantData = { ...body };
+
+  for (const field of ["attributes", "images"]) {
+    if (typeof variantData[field] === "string") {
+      try {
+        variantData[field] = JSON.parse(variantData[field]);
+      } catch (e) {
+        delete variantData[field];
+      }
+    }
+  }
+
+  delete variantData._id;
+  return variantData;
+};
+
+// Get all variants of a product
+export const getVariants = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select("name price options variants");
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: product.variants.length,
+      data: {
+        options: product.options,
+        variants: product.variants,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch variants",
+      error: error.message,
+    });
+  }
+};
+
+// Replace the option axes (size, color, fit...) of a product
+export const updateOptions = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (!Array.isArray(req.body.options)) {
+      return res.status(400).json({
+        success: false,
+        message: "Options must be an array",
+      });
+    }
+
+    product.options = req.body.options;
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      data: product.options,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to update options",
+      error: error.message,
+    });
+  }
+};
+
+// Add a variant to a product
+export const createVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    product.variants.push(parseVariantBody(req.body));
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      data: product.variants[product.variants.length - 1],
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to create variant",
+      error: error.message,
+    });
+  }
+};
+
+// Update a variant
+export const updateVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: "Variant not found",
+      });
+    }
+
+    variant.set(parseVariantBody(req.body));
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      data: variant,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to update variant",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a variant
+export const deleteVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: "Variant not found",
+      });
+    }
+
+    variant.deleteOne();
+
+    // Without variants the product falls back to its own stock count
+    if (product.variants.length === 0) {
+      product.stock = 0;
+    }
+
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to delete variant",
+      error: error.message,
+    });
+  }
+};
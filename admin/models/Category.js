@@ -1,5 +1,7 @@
 // models/Category.js
 import mongoose from "mongoose";
+import { trackCatalogChanges } from "../../utils/catalogEvents.js";
+import { addSeoFields } from "../../utils/seoService.js";
 
 const categorySchema = new mongoose.Schema(
   {
@@ -46,6 +48,12 @@ categorySchema.pre('deleteOne', { document: true, query: false }, async function
   next();
 });
 
+// Slug for storefront URLs, with the ones it replaced, and meta tag overrides
+addSeoFields(categorySchema);
+
+// Tell the search index when categories change
+trackCatalogChanges(categorySchema, "Category");
+
 const Category = mongoose.model("Category", categorySchema);
 
 export default Category;
@@ -0,0 +1,101 @@
+// models/Coupon.js
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [30, "Coupon code cannot exceed 30 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: [true, "Discount type is required"],
+    },
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Discount value cannot be negative"],
+      validate: {
+        validator: function (v) {
+          return this.type !== "percentage" || v <= 100;
+        },
+        message: "Percentage discount cannot exceed 100",
+      },
+    },
+    // Upper bound for percentage discounts
+    maxDiscount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+      default: null,
+    },
+    minCartValue: {
+      type: Number,
+      min: [0, "Minimum cart value cannot be negative"],
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Total redemptions allowed across all customers (null = unlimited)
+    usageLimit: {
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: [1, "Per-user limit must be at least 1"],
+      default: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Restrict the coupon to these items; all empty means the whole cart
+    appliesTo: {
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      subcategories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Subcategory" }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.pre("validate", function (next) {
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    return next(new Error("Coupon must start before it expires"));
+  }
+  next();
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
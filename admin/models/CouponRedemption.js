@@ -0,0 +1,60 @@
+// models/CouponRedemption.js
+import mongoose from "mongoose";
+
+// One use of a coupon on an order. Reversed when the order is cancelled.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Which of the user's perUserLimit uses this is (1-based); unique per
+    // coupon and user while applied, so concurrent checkouts can't share one
+    slot: {
+      type: Number,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["applied", "reversed"],
+      default: "applied",
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: "applied", slot: { $exists: true } } }
+);
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
+
+export default CouponRedemption;
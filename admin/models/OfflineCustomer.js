@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A walk-in customer known only by phone number. Once an online account with
+// the same phone number turns up, the record is linked to it and the account
+// takes over the customer's offline spend.
+const OfflineCustomerSchema = new mongoose.Schema({
+  // Ten-digit mobile number, see utils/customerService.js
+  phone: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  linkedAt: Date,
+  statistics: {
+    totalOrders: {
+      type: Number,
+      default: 0
+    },
+    totalSpent: {
+      type: Number,
+      default: 0
+    },
+    lastOrderDate: {
+      type: Date,
+      default: null
+    }
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+OfflineCustomerSchema.index({ phone: 1 }, { unique: true });
+OfflineCustomerSchema.index({ userId: 1 });
+OfflineCustomerSchema.index({ name: 1 });
+
+export default mongoose.model('OfflineCustomer', OfflineCustomerSchema);
@@ -1,4 +1,29 @@
 import mongoose from 'mongoose';
+import variantSnapshotSchema from '../../shared/models/variantSnapshotSchema.js';
+import lineTaxSchema, { taxSummarySchema } from '../../shared/models/lineTaxSchema.js';
+import invoiceSchema from '../../shared/models/invoiceSchema.js';
+import { nextSequenceNumber } from '../../utils/sequenceService.js';
+
+export const POS_TENDER_METHODS = ['cash', 'card', 'upi', 'store_credit'];
+
+// One part of a POS payment. `amount` is what went towards the sale; for cash
+// `tendered` is what the customer handed over, change included.
+const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: POS_TENDER_METHODS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tendered: Number,
+  // Card slip or UPI transaction reference
+  reference: String,
+  storeCreditCode: String
+}, { _id: false });
 
 const OfflineOrderSchema = new mongoose.Schema({
   orderNumber: {
@@ -13,6 +38,18 @@ const OfflineOrderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Who bought: the online account with this phone number, or else the
+  // walk-in customer record
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfflineCustomer',
+    default: null
+  },
   items: [{
     productId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -33,16 +70,40 @@ const OfflineOrderSchema = new mongoose.Schema({
       required: true
     },
     variant: {
+      type: variantSnapshotSchema,
+      default: null
+    },
+    // Variant as stored before variants had SKUs, kept by
+    // scripts/migrate-order-variants.js when no matching variant was found
+    legacyVariant: {
       type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    hsnCode: String,
+    tax: {
+      type: lineTaxSchema,
       default: null
+    },
+    // Units of this line taken back by POS returns so far
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   }],
   payment: {
+    // The tender used, or 'split' when the sale was paid several ways
     method: {
       type: String,
-      enum: ['cash', 'card', 'upi'],
+      enum: [...POS_TENDER_METHODS, 'split'],
       required: true
     },
+    tenders: [tenderSchema],
+    // Cash handed back to the customer
+    change: {
+      type: Number,
+      default: 0
+    },
     status: {
       type: String,
       enum: ['completed', 'pending', 'cancelled'],
@@ -67,11 +128,35 @@ const OfflineOrderSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  // GST split of `tax`; counter sales are always within the seller's state
+  taxSummary: {
+    type: taxSummarySchema,
+    default: null
+  },
   total: {
     type: Number,
     required: true
   },
+  invoice: {
+    type: invoiceSchema,
+    default: () => ({})
+  },
   notes: String,
+  // Set on the replacement sale of an exchange; `exchangeCredit` of the total
+  // was covered by the returned items and `payment.amount` is the difference paid
+  exchangeFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfflineReturn'
+  },
+  exchangeCredit: {
+    type: Number,
+    default: 0
+  },
+  // Register session (cashier shift) the sale was rung up in
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
@@ -89,22 +174,23 @@ const OfflineOrderSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 OfflineOrderSchema.index({ orderNumber: 1 }, { unique: true });
+OfflineOrderSchema.index(
+  { 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } }
+);
 OfflineOrderSchema.index({ customerName: 1 });
 OfflineOrderSchema.index({ phone: 1 });
+OfflineOrderSchema.index({ userId: 1, createdAt: -1 });
+OfflineOrderSchema.index({ customerId: 1, createdAt: -1 });
 OfflineOrderSchema.index({ createdAt: -1 });
 OfflineOrderSchema.index({ status: 1 });
+OfflineOrderSchema.index({ session: 1 });
 
 // Pre-save middleware to generate order number
-OfflineOrderSchema.pre('validate', async function(next) {
+OfflineOrderSchema.pre('validate', async function() {
   if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    this.orderNumber = `POS-${year}${month}${day}-${random}`;
+    this.orderNumber = await nextSequenceNumber('offlineOrder');
   }
-  next();
 });
 
 export default mongoose.model('OfflineOrder', OfflineOrderSchema); 
\ No newline at end of file
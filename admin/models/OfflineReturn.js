@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import variantSnapshotSchema from '../../shared/models/variantSnapshotSchema.js';
+import lineTaxSchema from '../../shared/models/lineTaxSchema.js';
+import { nextSequenceNumber } from '../../utils/sequenceService.js';
+
+export const POS_REFUND_METHODS = ['cash', 'card', 'upi', 'store_credit'];
+
+// An in-store return against a POS sale. The sale itself is never changed;
+// what came back, what it was worth and how it was settled live here.
+const OfflineReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true
+  },
+  offlineOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfflineOrder',
+    required: true
+  },
+  customerName: String,
+  phone: String,
+  items: [{
+    // _id of the line on the sale
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    variant: {
+      type: variantSnapshotSchema,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Value credited back, GST included
+    amount: {
+      type: Number,
+      required: true
+    },
+    hsnCode: String,
+    // GST reversed for the returned quantity
+    tax: {
+      type: lineTaxSchema,
+      default: null
+    },
+    reason: String,
+    condition: {
+      type: String,
+      enum: ['resellable', 'damaged'],
+      default: 'resellable'
+    },
+    restocked: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Value of everything returned, GST included
+  returnedAmount: {
+    type: Number,
+    required: true
+  },
+  // Part of the returned value put towards the exchange sale
+  exchangeCredit: {
+    type: Number,
+    default: 0
+  },
+  exchangeOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfflineOrder'
+  },
+  // What was paid back to the customer
+  refund: {
+    method: {
+      type: String,
+      enum: POS_REFUND_METHODS
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    storeCreditId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoreCredit'
+    }
+  },
+  // Register session the refund was paid out of
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession',
+    required: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+OfflineReturnSchema.index({ returnNumber: 1 }, { unique: true });
+OfflineReturnSchema.index({ offlineOrderId: 1 });
+OfflineReturnSchema.index({ session: 1 });
+OfflineReturnSchema.index({ createdAt: -1 });
+
+// Pre-validate middleware to generate return number
+OfflineReturnSchema.pre('validate', async function() {
+  if (!this.returnNumber) {
+    this.returnNumber = await nextSequenceNumber('offlineReturn');
+  }
+});
+
+export default mongoose.model('OfflineReturn', OfflineReturnSchema);
@@ -1,5 +1,81 @@
 // models/Product.js
 import mongoose from "mongoose";
+import { GST_RATES } from "../../config/tax.js";
+import { isValidEan13, assignMissingBarcodes } from "../../utils/barcodeService.js";
+import { trackCatalogChanges } from "../../utils/catalogEvents.js";
+import { addSeoFields } from "../../utils/seoService.js";
+
+const gstRateValidator = {
+  validator: (v) => v === null || v === undefined || GST_RATES.includes(v),
+  message: (props) => `${props.value} is not a valid GST rate`,
+};
+
+const barcodeValidator = {
+  validator: (v) => v === null || v === undefined || isValidEan13(v),
+  message: (props) => `${props.value} is not a valid EAN-13 barcode`,
+};
+
+// A purchasable size/color/fit combination of a product. `attributes` maps
+// each of the product's option names to one of its allowed values.
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "Variant SKU is required"],
+      trim: true,
+    },
+    // EAN-13 code scanned at the POS; assigned on save when missing
+    barcode: {
+      type: String,
+      trim: true,
+      validate: barcodeValidator,
+    },
+    attributes: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    // Overrides the product price when set
+    price: {
+      type: Number,
+      min: [0, "Price cannot be negative"],
+      default: null,
+    },
+    stock: {
+      type: Number,
+      min: [0, "Stock cannot be negative"],
+      default: 0,
+    },
+    images: [
+      {
+        public_id: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    isAvailable: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Price actually charged for this variant
+variantSchema.virtual("effectivePrice").get(function () {
+  if (this.price !== null && this.price !== undefined) {
+    return this.price;
+  }
+  return this.parent()?.price;
+});
 
 const productSchema = new mongoose.Schema(
   {
@@ -72,6 +148,81 @@ const productSchema = new mongoose.Schema(
       unique: true,
       required: [true, "SKU is required"],
     },
+    // EAN-13 code scanned at the POS. Only products without variants get one;
+    // variants carry their own.
+    barcode: {
+      type: String,
+      trim: true,
+      validate: barcodeValidator,
+    },
+    // GST classification. Products without a flat rate or slab are taxed with
+    // the default apparel slab from config/tax.js.
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4,8}$/, "HSN code must be 4 to 8 digits"],
+    },
+    gstRate: {
+      type: Number,
+      default: null,
+      validate: gstRateValidator,
+    },
+    // Per-piece price slab: pieces priced up to `threshold` are taxed at
+    // `rateUpTo`, pieces above it at `rateAbove`
+    gstSlab: {
+      threshold: {
+        type: Number,
+        min: [0, "Slab threshold cannot be negative"],
+      },
+      rateUpTo: {
+        type: Number,
+        validate: gstRateValidator,
+      },
+      rateAbove: {
+        type: Number,
+        validate: gstRateValidator,
+      },
+    },
+    // Packed weight in grams and box size in cm, used to price shipping.
+    // Shipping is charged on the larger of the actual and volumetric weight.
+    weight: {
+      type: Number,
+      min: [0, "Weight cannot be negative"],
+      default: null,
+    },
+    dimensions: {
+      length: {
+        type: Number,
+        min: [0, "Length cannot be negative"],
+      },
+      width: {
+        type: Number,
+        min: [0, "Width cannot be negative"],
+      },
+      height: {
+        type: Number,
+        min: [0, "Height cannot be negative"],
+      },
+    },
+    // Option axes the variants are built from, e.g. { name: "size", values: ["S", "M", "L"] }
+    options: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, "Option name is required"],
+          trim: true,
+          lowercase: true,
+        },
+        values: [
+          {
+            type: String,
+            trim: true,
+          },
+        ],
+      },
+    ],
+    variants: [variantSchema],
     rating: {
       type: Number,
       default: 0,
@@ -102,6 +253,81 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Validate variants against the declared option axes
+productSchema.pre("validate", function (next) {
+  if (!this.variants || this.variants.length === 0) {
+    return next();
+  }
+
+  if (!this.options || this.options.length === 0) {
+    return next(new Error("Product options must be defined before adding variants"));
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku)) {
+      return next(new Error(`Duplicate variant SKU: ${variant.sku}`));
+    }
+    skus.add(variant.sku);
+
+    for (const name of variant.attributes.keys()) {
+      if (!this.options.some((option) => option.name === name)) {
+        return next(new Error(`Unknown option "${name}" on variant ${variant.sku}`));
+      }
+    }
+
+    for (const option of this.options) {
+      const value = variant.attributes.get(option.name);
+      if (!value) {
+        return next(new Error(`Variant ${variant.sku} is missing a value for "${option.name}"`));
+      }
+      if (option.values.length > 0 && !option.values.includes(value)) {
+        return next(new Error(`"${value}" is not a valid ${option.name} for variant ${variant.sku}`));
+      }
+    }
+
+    const combination = this.options
+      .map((option) => variant.attributes.get(option.name))
+      .join("|");
+    if (combinations.has(combination)) {
+      return next(new Error(`Duplicate variant combination: ${combination}`));
+    }
+    combinations.add(combination);
+  }
+
+  next();
+});
+
+// A GST slab needs both of its rates
+productSchema.pre("validate", function (next) {
+  const slab = this.gstSlab;
+  if (slab && slab.threshold != null && (slab.rateUpTo == null || slab.rateAbove == null)) {
+    return next(new Error("GST slab needs a rate for both sides of the threshold"));
+  }
+  next();
+});
+
+// Give new products and variants a barcode
+productSchema.pre("validate", async function () {
+  await assignMissingBarcodes(this);
+});
+
+// Keep the product-level stock equal to the sum of its variants
+productSchema.pre("save", function (next) {
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
+// Slug for storefront URLs, with the ones it replaced, and meta tag overrides
+addSeoFields(productSchema);
+
+// Tell the search index when products change
+trackCatalogChanges(productSchema, "Product");
+
 // Add indexes for better query performance
 productSchema.index({ name: "text", description: "text" });
 productSchema.index({ category: 1, subcategory: 1 });
@@ -110,6 +336,54 @@ productSchema.index({ isAvailable: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ newlyArrived: 1 });
 productSchema.index({ rating: -1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+productSchema.index({ barcode: 1 }, { unique: true, sparse: true });
+productSchema.index({ "variants.barcode": 1 }, { unique: true, sparse: true });
+
+productSchema.virtual("hasVariants").get(function () {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+/**
+ * Find a variant from an order item's `variant` selection. Accepts a variant
+ * id or SKU string, an object with `variantId`/`_id`/`sku`, or an attribute
+ * map such as { size: "M", color: "Blue" } (optionally under `attributes`).
+ * @param {string|Object} selection - The variant selection
+ * @returns {Object|null} - The matching variant subdocument
+ */
+productSchema.methods.findVariant = function (selection) {
+  if (!selection || !this.variants || this.variants.length === 0) {
+    return null;
+  }
+
+  if (typeof selection === "string") {
+    return (
+      this.variants.find(
+        (variant) => variant._id.toString() === selection || variant.sku === selection
+      ) || null
+    );
+  }
+
+  const variantId = selection.variantId || selection._id;
+  if (variantId) {
+    return this.variants.id(variantId) || null;
+  }
+
+  if (selection.sku) {
+    return this.variants.find((variant) => variant.sku === selection.sku) || null;
+  }
+
+  const attributes = selection.attributes || selection;
+  return (
+    this.variants.find((variant) =>
+      this.options.every(
+        (option) =>
+          attributes[option.name] !== undefined &&
+          variant.attributes.get(option.name) === String(attributes[option.name])
+      )
+    ) || null
+  );
+};
 
 // Virtual for reviews
 productSchema.virtual('reviews', {
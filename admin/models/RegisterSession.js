@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { nextSequenceNumber } from '../../utils/sequenceService.js';
+
+export const TENDER_TYPES = ['cash', 'card', 'upi'];
+
+// Amount per tender type
+const tenderTotalsSchema = new mongoose.Schema({
+  cash: { type: Number, default: 0 },
+  card: { type: Number, default: 0 },
+  upi: { type: Number, default: 0 }
+}, { _id: false });
+
+// A cashier shift on a POS register: opened with a cash float, closed by
+// counting the drawer against what the shift's sales say should be there
+const RegisterSessionSchema = new mongoose.Schema({
+  sessionNumber: {
+    type: String,
+    required: true
+  },
+  register: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'main'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cash put into or taken out of the drawer other than through sales
+  cashMovements: [{
+    type: {
+      type: String,
+      enum: ['pay_in', 'pay_out'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Filled in when the session is closed
+  report: {
+    salesCount: Number,
+    cancelledCount: Number,
+    splitCount: Number,
+    // Cash sales net of change; `change` is what was handed back
+    sales: tenderTotalsSchema,
+    change: Number,
+    returnsCount: Number,
+    // Money paid back for in-store returns
+    refunds: tenderTotalsSchema,
+    payIns: Number,
+    payOuts: Number,
+    expected: tenderTotalsSchema,
+    counted: tenderTotalsSchema,
+    variance: tenderTotalsSchema
+  },
+  openingNotes: String,
+  closingNotes: String,
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  closedAt: Date
+}, { timestamps: true });
+
+// Indexes for better query performance
+RegisterSessionSchema.index({ sessionNumber: 1 }, { unique: true });
+// A register can only have one open session
+RegisterSessionSchema.index(
+  { register: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+RegisterSessionSchema.index({ openedBy: 1, status: 1 });
+RegisterSessionSchema.index({ openedAt: -1 });
+
+// Pre-validate middleware to generate session number
+RegisterSessionSchema.pre('validate', async function() {
+  if (!this.sessionNumber) {
+    this.sessionNumber = await nextSequenceNumber('registerSession');
+  }
+});
+
+export default mongoose.model('RegisterSession', RegisterSessionSchema);
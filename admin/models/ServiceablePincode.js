@@ -0,0 +1,56 @@
+// models/ServiceablePincode.js
+import mongoose from "mongoose";
+import { PINCODE_PATTERN } from "../../config/serviceability.js";
+
+// A PIN code our couriers deliver to, imported from the courier's coverage list
+const serviceablePincodeSchema = new mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: [true, "PIN code is required"],
+      unique: true,
+      trim: true,
+      match: [PINCODE_PATTERN, "PIN code must be 6 digits"],
+    },
+    city: {
+      type: String,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    codAllowed: {
+      type: Boolean,
+      default: false,
+    },
+    prepaidAllowed: {
+      type: Boolean,
+      default: true,
+    },
+    transitDays: {
+      type: Number,
+      min: [0, "Transit days cannot be negative"],
+      default: null,
+    },
+    // Lower COD limit for this PIN code than the store-wide one (null = store-wide)
+    maxCodAmount: {
+      type: Number,
+      min: [0, "COD limit cannot be negative"],
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+serviceablePincodeSchema.index({ state: 1, city: 1 });
+
+const ServiceablePincode = mongoose.model("ServiceablePincode", serviceablePincodeSchema);
+
+export default ServiceablePincode;
@@ -0,0 +1,147 @@
+// models/ShippingZone.js
+import mongoose from "mongoose";
+import { SHIPPING_METHODS } from "../../config/shipping.js";
+
+// What a shipping method costs within a zone. The base rate covers the first
+// `baseWeight` grams; every started `additionalWeight` grams above it adds
+// `additionalRate`.
+const shippingRateSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: SHIPPING_METHODS,
+      required: [true, "Shipping method is required"],
+    },
+    baseRate: {
+      type: Number,
+      required: [true, "Base rate is required"],
+      min: [0, "Base rate cannot be negative"],
+    },
+    baseWeight: {
+      type: Number,
+      min: [0, "Base weight cannot be negative"],
+      default: 500,
+    },
+    additionalRate: {
+      type: Number,
+      min: [0, "Additional rate cannot be negative"],
+      default: 0,
+    },
+    additionalWeight: {
+      type: Number,
+      min: [1, "Additional weight step must be at least 1 gram"],
+      default: 500,
+    },
+    // Orders at or above this amount (after discounts) ship free (null = never)
+    freeShippingThreshold: {
+      type: Number,
+      min: [0, "Free shipping threshold cannot be negative"],
+      default: null,
+    },
+    estimatedDays: {
+      min: {
+        type: Number,
+        min: 0,
+      },
+      max: {
+        type: Number,
+        min: 0,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      unique: true,
+      trim: true,
+    },
+    // An address belongs to the zone with the longest matching PIN code
+    // prefix, then to the zone listing its state, then to the default zone
+    pincodePrefixes: [
+      {
+        type: String,
+        trim: true,
+        match: [/^\d{1,6}$/, "PIN code prefix must be 1 to 6 digits"],
+      },
+    ],
+    states: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    rates: [shippingRateSchema],
+    // Cash on delivery: the surcharge is the larger of the flat amount and the
+    // percentage of the order amount
+    cod: {
+      available: {
+        type: Boolean,
+        default: true,
+      },
+      surchargeFlat: {
+        type: Number,
+        min: [0, "COD surcharge cannot be negative"],
+        default: 0,
+      },
+      surchargePercent: {
+        type: Number,
+        min: [0, "COD surcharge cannot be negative"],
+        max: [100, "COD surcharge cannot exceed 100 percent"],
+        default: 0,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one zone can catch addresses no other zone covers
+shippingZoneSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+shippingZoneSchema.pre("validate", function (next) {
+  const methods = this.rates.map((rate) => rate.method);
+  if (new Set(methods).size !== methods.length) {
+    return next(new Error("Each shipping method can only have one rate per zone"));
+  }
+
+  for (const rate of this.rates) {
+    if (rate.estimatedDays?.min > rate.estimatedDays?.max) {
+      return next(new Error(`Estimated delivery range for ${rate.method} is invalid`));
+    }
+  }
+
+  if (!this.isDefault && this.pincodePrefixes.length === 0 && this.states.length === 0) {
+    return next(new Error("A zone needs PIN code prefixes or states unless it is the default zone"));
+  }
+
+  next();
+});
+
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Credit issued to an in-store customer instead of a refund, spendable on
+// later POS sales
+const StoreCreditSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // POS return the credit was issued for
+  offlineReturnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfflineReturn'
+  },
+  redemptions: [{
+    offlineOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OfflineOrder',
+      required: true
+    },
+    // Negative when a voided sale gave the credit back
+    amount: {
+      type: Number,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+StoreCreditSchema.index({ code: 1 }, { unique: true });
+StoreCreditSchema.index({ phone: 1 });
+
+export default mongoose.model('StoreCredit', StoreCreditSchema);
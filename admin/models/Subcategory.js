@@ -1,5 +1,7 @@
 // models/Subcategory.js
 import mongoose from "mongoose";
+import { trackCatalogChanges } from "../../utils/catalogEvents.js";
+import { addSeoFields } from "../../utils/seoService.js";
 
 const subcategorySchema = new mongoose.Schema(
   {
@@ -57,6 +59,12 @@ subcategorySchema.pre(
   }
 );
 
+// Slug for storefront URLs, with the ones it replaced, and meta tag overrides
+addSeoFields(subcategorySchema);
+
+// Tell the search index when subcategories change
+trackCatalogChanges(subcategorySchema, "Subcategory");
+
 const Subcategory = mongoose.model("Subcategory", subcategorySchema);
 
 export default Subcategory;
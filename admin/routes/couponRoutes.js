@@ -0,0 +1,26 @@
+// routes/couponRoutes.js
+import express from "express";
+import {
+  getAllCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.js";
+import { authorize } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize("admin", "superadmin"));
+
+router.route("/")
+  .get(getAllCoupons)
+  .post(createCoupon);
+
+router.route("/:id")
+  .get(getCoupon)
+  .put(updateCoupon)
+  .delete(deleteCoupon);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getOfflineCustomers,
+  lookupCustomer,
+  getCustomerHistory
+} from '../controllers/customerController.js';
+import { authorize } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize('admin', 'superadmin'));
+
+// Walk-in customers
+router.get('/', getOfflineCustomers);
+
+// Who a phone number belongs to
+router.get('/lookup', lookupCustomer);
+
+// Online and in-store purchases of a customer (?userId, ?customerId or ?phone)
+router.get('/history', getCustomerHistory);
+
+export default router;
@@ -4,8 +4,10 @@ import {
   createOfflineOrder,
   getOfflineOrderById,
   updateOfflineOrderStatus,
-  deleteOfflineOrder
+  deleteOfflineOrder,
+  getOfflineOrderInvoice
 } from '../controllers/offlineOrderController.js';
+import { createOfflineReturn, getOfflineOrderReturns } from '../controllers/posReturnController.js';
 import { verifyAdminToken, authorize } from '../../middleware/auth.js';
 
 const router = express.Router();
@@ -23,6 +25,13 @@ router.post('/', createOfflineOrder);
 // Get offline order by ID
 router.get('/:id', getOfflineOrderById);
 
+// Download the invoice of an offline order
+router.get('/:id/invoice', getOfflineOrderInvoice);
+
+// Returns and exchanges against an offline order
+router.get('/:id/returns', getOfflineOrderReturns);
+router.post('/:id/returns', createOfflineReturn);
+
 // Update offline order status
 router.patch('/:id/status', updateOfflineOrderStatus);
 
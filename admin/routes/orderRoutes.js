@@ -3,7 +3,8 @@ import {
     getAllOrders, 
     getOrderDetails, 
     updateOrderStatus,
-    deleteOrder
+    deleteOrder,
+    getOrderInvoice
 } from '../controllers/orderController.js';
 import { verifyAdminToken, authorize } from '../../middleware/auth.js';
 
@@ -21,4 +22,6 @@ router.route('/:id')
     .patch(updateOrderStatus)
     .delete(deleteOrder);
 
+router.get('/:id/invoice', getOrderInvoice);
+
 export default router; 
\ No newline at end of file
@@ -1,8 +1,9 @@
 import express from 'express';
-import { verifyAdminToken } from '../../middleware/auth.js';
+import { verifyAdminToken, authorize } from '../../middleware/auth.js';
 import Payment from '../../user/models/Payment.js';
 import Order from '../../user/models/Order.js';
 import mongoose from 'mongoose';
+import { createRefund } from '../controllers/paymentController.js';
 
 const router = express.Router();
 
@@ -140,4 +141,7 @@ router.get('/export', verifyAdminToken, async (req, res) => {
   }
 });
 
+// Refund a payment in full or in part
+router.post('/:id/refunds', verifyAdminToken, authorize('admin', 'superadmin'), createRefund);
+
 export default router; 
\ No newline at end of file
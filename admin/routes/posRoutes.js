@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getSessions,
+  getCurrentSession,
+  getSession,
+  openRegisterSession,
+  addSessionCashMovement,
+  closeRegisterSession
+} from '../controllers/registerSessionController.js';
+import { getPosReturns, getPosReturn, getStoreCredit } from '../controllers/posReturnController.js';
+import { lookupPosCode, printLabels, assignBarcodes } from '../controllers/barcodeController.js';
+import { authorize } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize('admin', 'superadmin'));
+
+// Register sessions (cashier shifts)
+router.get('/sessions', getSessions);
+router.post('/sessions', openRegisterSession);
+router.get('/sessions/current', getCurrentSession);
+router.get('/sessions/:id', getSession);
+router.post('/sessions/:id/cash-movements', addSessionCashMovement);
+router.post('/sessions/:id/close', closeRegisterSession);
+
+// In-store returns and store credit
+router.get('/returns', getPosReturns);
+router.get('/returns/:id', getPosReturn);
+router.get('/store-credits/:code', getStoreCredit);
+
+// Barcodes and shelf labels
+router.get('/lookup', lookupPosCode);
+router.post('/labels', printLabels);
+router.post('/barcodes/assign', assignBarcodes);
+
+export default router;
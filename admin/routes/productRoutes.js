@@ -9,11 +9,16 @@ import {
   deleteProduct,
   searchProducts,
   uploadProductImages,
-  deleteProductImage
+  deleteProductImage,
+  assignSlugs
 } from "../controllers/productController.js";
+import variantRouter from "./variantRoutes.js";
 
 const router = express.Router();
 
+// Re-route to variant router
+router.use("/:id/variants", variantRouter);
+
 // Set up multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -45,6 +50,7 @@ router.get("/", getAllProducts);
 router.get("/:id", getProduct);
 
 // Protected routes (admin only)
+router.post("/slugs/assign", assignSlugs);
 router.post("/", upload.array('images', 5), createProduct);
 router.put("/:id", upload.array('images', 5), updateProduct);
 router.delete("/:id", deleteProduct);
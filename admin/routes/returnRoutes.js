@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+  retryReturnRefund,
+} from "../controllers/returnController.js";
+import { authorize } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize("admin", "superadmin"));
+
+router.get("/", getAllReturns);
+router.get("/:id", getReturn);
+router.post("/:id/approve", approveReturn);
+router.post("/:id/reject", rejectReturn);
+router.post("/:id/receive", receiveReturn);
+router.post("/:id/inspect", inspectReturn);
+router.post("/:id/refund", retryReturnRefund);
+
+export default router;
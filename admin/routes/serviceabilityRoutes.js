@@ -0,0 +1,24 @@
+// routes/serviceabilityRoutes.js
+import express from "express";
+import {
+  getPincodes,
+  importPincodes,
+  updatePincode,
+  deletePincode,
+} from "../controllers/serviceabilityController.js";
+import { authorize } from "../../middleware/auth.js";
+import { csvUpload } from "../../utils/multer.js";
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize("admin", "superadmin"));
+
+router.get("/", getPincodes);
+router.post("/import", csvUpload.single("file"), importPincodes);
+
+router.route("/:pincode")
+  .put(updatePincode)
+  .delete(deletePincode);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getAllShipments,
+  getCarriers,
+  getOrderShipments,
+  getShipment,
+  createShipment,
+  addShipmentEvent,
+  cancelShipment,
+} from "../controllers/shipmentController.js";
+import { authorize } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize("admin", "superadmin"));
+
+router.get("/", getAllShipments);
+router.post("/", createShipment);
+router.get("/carriers", getCarriers);
+router.get("/orders/:orderId", getOrderShipments);
+router.get("/:id", getShipment);
+router.post("/:id/events", addShipmentEvent);
+router.post("/:id/cancel", cancelShipment);
+
+export default router;
@@ -0,0 +1,26 @@
+// routes/shippingZoneRoutes.js
+import express from "express";
+import {
+  getAllShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../controllers/shippingZoneController.js";
+import { authorize } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// verifyAdminToken is already applied in server.js for all routes under /api/admin
+router.use(authorize("admin", "superadmin"));
+
+router.route("/")
+  .get(getAllShippingZones)
+  .post(createShippingZone);
+
+router.route("/:id")
+  .get(getShippingZone)
+  .put(updateShippingZone)
+  .delete(deleteShippingZone);
+
+export default router;
@@ -0,0 +1,20 @@
+// routes/variantRoutes.js
+import express from "express";
+import {
+  getVariants,
+  updateOptions,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+} from "../controllers/variantController.js";
+
+// Mounted under /api/admin/products/:id/variants
+const router = express.Router({ mergeParams: true });
+
+router.get("/", getVariants);
+router.put("/options", updateOptions);
+router.post("/", createVariant);
+router.put("/:variantId", updateVariant);
+router.delete("/:variantId", deleteVariant);
+
+export default router;
@@ -0,0 +1,19 @@
+// config/barcodes.js - Barcodes and shelf labels for the POS
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Leading digits of the EAN-13 codes we assign ourselves. The default sits in
+// GS1's 200-299 range, reserved for codes used only inside a company's stores.
+export const BARCODE_EAN_PREFIX = process.env.BARCODE_EAN_PREFIX || "200";
+
+// Layout of a printed label sheet (A4, sizes in points)
+export const LABEL_SHEET = {
+  columns: Number(process.env.LABEL_SHEET_COLUMNS) || 3,
+  rows: Number(process.env.LABEL_SHEET_ROWS) || 8,
+  margin: 20,
+  gap: 6,
+};
+
+// Most labels printed in one request
+export const MAX_LABELS_PER_REQUEST = 500;
@@ -0,0 +1,14 @@
+// config/carriers.js - Shipping carrier integrations
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// The fake carrier books shipments and accepts tracking webhooks locally so the
+// shipment flow can be exercised without a real carrier account
+export const FAKE_CARRIER = {
+  enabled: process.env.FAKE_CARRIER_ENABLED === "true",
+  // Sent by the caller in the X-Fake-Carrier-Secret header; webhooks are
+  // rejected while it is empty
+  webhookSecret: process.env.FAKE_CARRIER_WEBHOOK_SECRET || "",
+  transitDays: 3,
+};
@@ -0,0 +1,8 @@
+// config/inventory.js - Stock held for orders
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Minutes an unpaid online order keeps its stock before the reservation
+// expires and the units go back on sale. Paying later takes them again.
+export const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 30;
@@ -0,0 +1,18 @@
+// config/invoice.js - Seller details printed on invoices
+import dotenv from "dotenv";
+import { SELLER_STATE, SELLER_GSTIN } from "./tax.js";
+
+dotenv.config();
+
+export const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || "Clothes Store",
+  address: process.env.INVOICE_SELLER_ADDRESS || "",
+  state: SELLER_STATE,
+  gstin: SELLER_GSTIN,
+  email: process.env.INVOICE_SELLER_EMAIL || "",
+  phone: process.env.INVOICE_SELLER_PHONE || "",
+};
+
+// Invoice numbers look like INV/26-27/000001 and restart every financial year
+// (see config/sequences.js)
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
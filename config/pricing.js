@@ -0,0 +1,7 @@
+// config/pricing.js - Checkout pricing rules (amounts in INR)
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Largest difference between client and server amounts treated as rounding noise
+export const PRICE_TOLERANCE = 0.01;
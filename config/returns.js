@@ -0,0 +1,10 @@
+// config/returns.js - Return/exchange policy
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Days after delivery within which a return can be requested
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS ?? 7);
+
+// Photos a customer can attach to a return request
+export const MAX_RETURN_PHOTOS = 5;
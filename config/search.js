@@ -0,0 +1,62 @@
+// config/search.js - Storefront product search
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Words shoppers use for the same thing. A query for any word in a group also
+// finds products described with the others. Multi-word spellings are written
+// without spaces or hyphens, the way the search tokenizer joins them.
+export const SEARCH_SYNONYMS = [
+  ["tshirt", "tee", "tees", "tshirts"],
+  ["kurta", "kurti", "kurtas", "kurtis"],
+  ["jeans", "denim", "denims"],
+  ["trousers", "pants", "chinos"],
+  ["hoodie", "hoody", "sweatshirt"],
+  ["sneakers", "shoes", "trainers"],
+  ["dress", "frock", "gown"],
+  ["shirt", "shirts"],
+  ["blue", "navy", "indigo"],
+  ["red", "maroon", "crimson"],
+  ["grey", "gray"],
+  ["offwhite", "cream", "ivory"],
+];
+
+// Longest query, in characters and in words, that search and suggestions take.
+// Every word is fuzzy-matched against the whole vocabulary.
+export const SEARCH_MAX_QUERY_LENGTH = 200;
+export const SEARCH_MAX_QUERY_TERMS = 8;
+
+// Results per page, and the most a client may ask for
+export const SEARCH_PAGE_SIZE = 24;
+export const SEARCH_MAX_PAGE_SIZE = 100;
+
+// How much popularity (sales, rating and review count) lifts a product
+// relative to how well it matches the query. 0 ranks on the match alone.
+export const SEARCH_POPULARITY_WEIGHT = Number(process.env.SEARCH_POPULARITY_WEIGHT ?? 0.5);
+
+// Units sold within this many days count towards popularity
+export const SEARCH_POPULARITY_DAYS = 90;
+
+// The index is rebuilt after product changes made through the app. This caps
+// how long changes made directly in the database can go unnoticed.
+export const SEARCH_INDEX_MAX_AGE_MINUTES = Number(process.env.SEARCH_INDEX_MAX_AGE_MINUTES) || 10;
+
+// Stock changes (checkouts, cancellations) don't rebuild the index straight
+// away; they are picked up in the background at most this often
+export const SEARCH_STOCK_REFRESH_SECONDS = 60;
+
+// Bounds of the price facet buckets, in rupees
+export const SEARCH_PRICE_BUCKETS = [500, 1000, 2000, 5000];
+
+// Most suggestions of each kind returned while a shopper types
+export const SEARCH_SUGGEST_LIMITS = {
+  products: 6,
+  categories: 3,
+  subcategories: 3,
+};
+
+// Search logs older than this are deleted
+export const SEARCH_LOG_RETENTION_DAYS = Number(process.env.SEARCH_LOG_RETENTION_DAYS) || 180;
+
+// How long after a search clicks and add-to-carts are still credited to it
+export const SEARCH_EVENT_WINDOW_HOURS = 24;
@@ -0,0 +1,18 @@
+// config/seo.js - Slugs, canonical URLs and meta tags for the storefront
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Canonical URLs point at the storefront, not the API
+export const STOREFRONT_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+// Storefront path of each kind of page, followed by its slug
+export const SEO_PATHS = {
+  product: "/product",
+  category: "/category",
+  subcategory: "/subcategory",
+};
+
+// Longest meta title and description search engines show in full
+export const SEO_TITLE_MAX_LENGTH = 70;
+export const SEO_DESCRIPTION_MAX_LENGTH = 160;
@@ -0,0 +1,58 @@
+// config/sequences.js - Document number formats
+import dotenv from "dotenv";
+import { INVOICE_PREFIX } from "./invoice.js";
+
+dotenv.config();
+
+// Calendar used to decide when daily/yearly sequences restart
+export const SEQUENCE_TIMEZONE = process.env.SEQUENCE_TIMEZONE || "Asia/Kolkata";
+
+// Each sequence is numbered `${prefix}${separator}${period}${separator}${number}`.
+// `reset` decides the period: "daily" (YYMMDD), "yearly" (YYYY),
+// "financialYear" (YY-YY, April to March) or "never" (no period part).
+// Order numbers use five digits so they can't clash with the older
+// four-digit random numbers.
+export const SEQUENCES = {
+  order: {
+    prefix: process.env.ORDER_NUMBER_PREFIX || "ORD",
+    reset: process.env.ORDER_NUMBER_RESET || "daily",
+    padding: 5,
+    separator: "-",
+  },
+  offlineOrder: {
+    prefix: process.env.POS_ORDER_NUMBER_PREFIX || "POS",
+    reset: process.env.POS_ORDER_NUMBER_RESET || "daily",
+    padding: 5,
+    separator: "-",
+  },
+  return: {
+    prefix: process.env.RETURN_NUMBER_PREFIX || "RMA",
+    reset: "yearly",
+    padding: 5,
+    separator: "-",
+  },
+  shipment: {
+    prefix: process.env.SHIPMENT_NUMBER_PREFIX || "SHP",
+    reset: "yearly",
+    padding: 5,
+    separator: "-",
+  },
+  offlineReturn: {
+    prefix: process.env.POS_RETURN_NUMBER_PREFIX || "PRT",
+    reset: "yearly",
+    padding: 5,
+    separator: "-",
+  },
+  registerSession: {
+    prefix: process.env.REGISTER_SESSION_PREFIX || "REG",
+    reset: "yearly",
+    padding: 5,
+    separator: "-",
+  },
+  invoice: {
+    prefix: INVOICE_PREFIX,
+    reset: "financialYear",
+    padding: 6,
+    separator: "/",
+  },
+};
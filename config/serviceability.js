@@ -0,0 +1,12 @@
+// config/serviceability.js - Delivery coverage and cash-on-delivery limits
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Largest order total (INR) accepted as cash on delivery anywhere; PIN codes
+// can set a lower limit of their own. 10000 when unset, no limit when empty.
+const codMaxOrderValue = process.env.COD_MAX_ORDER_VALUE ?? "10000";
+export const COD_MAX_ORDER_VALUE = codMaxOrderValue.trim() === "" ? null : Number(codMaxOrderValue);
+
+// Indian PIN codes: six digits, not starting with 0
+export const PINCODE_PATTERN = /^[1-9]\d{5}$/;
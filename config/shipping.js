@@ -0,0 +1,44 @@
+// config/shipping.js - Shipping rate engine defaults
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const SHIPPING_METHODS = ["standard", "express", "priority"];
+
+// Used when an order doesn't pick a shipping method
+export const DEFAULT_SHIPPING_METHOD = "standard";
+
+// Weight (grams) assumed for products that don't have one
+export const DEFAULT_ITEM_WEIGHT = Number(process.env.DEFAULT_ITEM_WEIGHT ?? 500);
+
+// Volumetric weight in kg = length x width x height (cm) / divisor
+export const VOLUMETRIC_DIVISOR = Number(process.env.VOLUMETRIC_DIVISOR ?? 5000);
+
+// Flat rates of the fallback zone, per shipping method
+const FALLBACK_RATES = {
+  standard: Number(process.env.SHIPPING_RATE_STANDARD ?? 50),
+  express: Number(process.env.SHIPPING_RATE_EXPRESS ?? 100),
+  priority: Number(process.env.SHIPPING_RATE_PRIORITY ?? 200),
+};
+
+// Orders at or above this amount (after discounts) ship free with standard shipping
+const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD ?? 999);
+
+// Used for addresses no configured zone covers, and before any zone is set up
+export const FALLBACK_SHIPPING_ZONE = {
+  name: "Default",
+  rates: SHIPPING_METHODS.map((method) => ({
+    method,
+    baseRate: FALLBACK_RATES[method],
+    baseWeight: 0,
+    additionalRate: 0,
+    additionalWeight: 500,
+    freeShippingThreshold: method === "standard" ? FREE_SHIPPING_THRESHOLD : null,
+    isActive: true,
+  })),
+  cod: {
+    available: true,
+    surchargeFlat: Number(process.env.COD_SURCHARGE ?? 0),
+    surchargePercent: 0,
+  },
+};
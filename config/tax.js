@@ -0,0 +1,66 @@
+// config/tax.js - GST rules (rates are percentages)
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// State the business is registered in for GST. Sales shipped within this state
+// are charged CGST + SGST, sales to other states IGST.
+export const SELLER_STATE = process.env.GST_SELLER_STATE || "Maharashtra";
+
+// Seller GSTIN printed on invoices
+export const SELLER_GSTIN = process.env.GST_SELLER_GSTIN || "";
+
+// Used for products without their own HSN code
+export const DEFAULT_HSN_CODE = process.env.GST_DEFAULT_HSN_CODE || "6211";
+
+// Apparel is taxed by the per-piece sale value: pieces up to the threshold at
+// the lower rate, pieces above it at the higher rate. Products without their
+// own GST rate or slab fall back to this.
+export const DEFAULT_GST_SLAB = {
+  threshold: Number(process.env.GST_APPAREL_SLAB_THRESHOLD ?? 2500),
+  rateUpTo: Number(process.env.GST_APPAREL_RATE_LOW ?? 5),
+  rateAbove: Number(process.env.GST_APPAREL_RATE_HIGH ?? 18),
+};
+
+// Rates allowed by the GST schedule
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// GST state codes, used as the place of supply on invoices
+export const GST_STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  "punjab": "03",
+  "chandigarh": "04",
+  "uttarakhand": "05",
+  "haryana": "06",
+  "delhi": "07",
+  "rajasthan": "08",
+  "uttar pradesh": "09",
+  "bihar": "10",
+  "sikkim": "11",
+  "arunachal pradesh": "12",
+  "nagaland": "13",
+  "manipur": "14",
+  "mizoram": "15",
+  "tripura": "16",
+  "meghalaya": "17",
+  "assam": "18",
+  "west bengal": "19",
+  "jharkhand": "20",
+  "odisha": "21",
+  "chhattisgarh": "22",
+  "madhya pradesh": "23",
+  "gujarat": "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  "maharashtra": "27",
+  "karnataka": "29",
+  "goa": "30",
+  "lakshadweep": "31",
+  "kerala": "32",
+  "tamil nadu": "33",
+  "puducherry": "34",
+  "andaman and nicobar islands": "35",
+  "telangana": "36",
+  "andhra pradesh": "37",
+  "ladakh": "38",
+};
@@ -1,10 +1,24 @@
 import Order from '../user/models/Order.js';
 import User from '../user/models/User.js';
 import Product from '../admin/models/Product.js';
-import OfflineOrder from '../admin/models/OfflineOrder.js';
+import OfflineOrder, { POS_TENDER_METHODS } from '../admin/models/OfflineOrder.js';
+import OfflineReturn from '../admin/models/OfflineReturn.js';
+import Return from '../user/models/Return.js';
 import Review from '../user/models/Review.js';
+import SearchQuery from '../user/models/SearchQuery.js';
+import { SELLER_STATE } from '../config/tax.js';
+import { TENDER_LINES_EXPRESSION } from '../utils/posService.js';
 import { startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth, subDays, subMonths } from 'date-fns';
 
+// Value of in-store returns made in a date range
+const sumOfflineReturns = async (createdAt) => {
+    const [row] = await OfflineReturn.aggregate([
+        { $match: { createdAt } },
+        { $group: { _id: null, total: { $sum: '$returnedAmount' } } }
+    ]);
+    return row?.total || 0;
+};
+
 export const getDashboardStats = async (req, res) => {
     try {
         const today = new Date();
@@ -55,6 +69,14 @@ export const getDashboardStats = async (req, res) => {
             { $group: { _id: null, total: { $sum: '$total' } } }
         ]);
 
+        // In-store returns take their value off offline revenue in the period they happen
+        const [currentMonthOfflineReturns, lastMonthOfflineReturns] = await Promise.all([
+            sumOfflineReturns({ $gte: lastMonth }),
+            sumOfflineReturns({ $gte: twoMonthsAgo, $lt: lastMonth })
+        ]);
+        const currentMonthOfflineNet = (currentMonthOfflineRevenue[0]?.total || 0) - currentMonthOfflineReturns;
+        const lastMonthOfflineNet = (lastMonthOfflineRevenue[0]?.total || 0) - lastMonthOfflineReturns;
+
         // Get current month's online orders
         const currentMonthOnlineOrders = await Order.countDocuments({ 
             status: 'delivered',
@@ -127,8 +149,8 @@ export const getDashboardStats = async (req, res) => {
         );
 
         const offlineRevenueChange = calculatePercentageChange(
-            currentMonthOfflineRevenue[0]?.total || 0,
-            lastMonthOfflineRevenue[0]?.total || 0
+            currentMonthOfflineNet,
+            lastMonthOfflineNet
         );
 
         const onlineOrdersChange = calculatePercentageChange(
@@ -160,8 +182,9 @@ export const getDashboardStats = async (req, res) => {
             success: true,
             data: {
                 onlineRevenue: currentMonthOnlineRevenue[0]?.total || 0,
-                offlineRevenue: currentMonthOfflineRevenue[0]?.total || 0,
-                totalRevenue: (currentMonthOnlineRevenue[0]?.total || 0) + (currentMonthOfflineRevenue[0]?.total || 0),
+                offlineRevenue: currentMonthOfflineNet,
+                offlineReturns: currentMonthOfflineReturns,
+                totalRevenue: (currentMonthOnlineRevenue[0]?.total || 0) + currentMonthOfflineNet,
                 onlineOrders: currentMonthOnlineOrders,
                 offlineOrders: currentMonthOfflineOrders,
                 totalOrders: currentMonthOnlineOrders + currentMonthOfflineOrders,
@@ -258,6 +281,71 @@ export const getSalesData = async (req, res) => {
             }
         ]);
 
+        // Take in-store returns off the offline sales of the period they were made in
+        const offlineReturns = await OfflineReturn.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: startDate }
+                }
+            },
+            {
+                $group: {
+                    _id: {
+                        $dateToString: {
+                            format: period === 'daily' ? '%Y-%m-%d' : 
+                                   period === 'weekly' ? '%Y-%U' : '%Y-%m',
+                            date: '$createdAt'
+                        }
+                    },
+                    total: { $sum: '$returnedAmount' }
+                }
+            }
+        ]);
+        offlineReturns.forEach(offlineReturn => {
+            const offlineSale = offlineSales.find(sale => sale._id === offlineReturn._id);
+            if (offlineSale) {
+                offlineSale.total -= offlineReturn.total;
+            } else {
+                offlineSales.push({ _id: offlineReturn._id, total: -offlineReturn.total, count: 0 });
+            }
+        });
+
+        // What offline sales took in per tender; split payments count under each of their tenders
+        const offlineTenders = await OfflineOrder.aggregate([
+            {
+                $match: {
+                    status: 'completed',
+                    createdAt: { $gte: startDate }
+                }
+            },
+            {
+                $project: {
+                    createdAt: 1,
+                    tenders: TENDER_LINES_EXPRESSION
+                }
+            },
+            { $unwind: '$tenders' },
+            {
+                $group: {
+                    _id: {
+                        period: {
+                            $dateToString: {
+                                format: period === 'daily' ? '%Y-%m-%d' : 
+                                       period === 'weekly' ? '%Y-%U' : '%Y-%m',
+                                date: '$createdAt'
+                            }
+                        },
+                        method: '$tenders.method'
+                    },
+                    total: { $sum: '$tenders.amount' }
+                }
+            }
+        ]);
+        const tendersOf = (periodId) => Object.fromEntries(POS_TENDER_METHODS.map(method => {
+            const row = offlineTenders.find(tender => tender._id.period === periodId && tender._id.method === method);
+            return [method, row ? Math.round(row.total * 100) / 100 : 0];
+        }));
+
         // Combine online and offline sales data
         const combinedSales = onlineSales.map(onlineSale => {
             const offlineSale = offlineSales.find(sale => sale._id === onlineSale._id);
@@ -265,6 +353,7 @@ export const getSalesData = async (req, res) => {
                 _id: onlineSale._id,
                 onlineTotal: onlineSale.total,
                 offlineTotal: offlineSale ? offlineSale.total : 0,
+                offlineTenders: tendersOf(onlineSale._id),
                 total: onlineSale.total + (offlineSale ? offlineSale.total : 0),
                 onlineCount: onlineSale.count,
                 offlineCount: offlineSale ? offlineSale.count : 0,
@@ -279,6 +368,7 @@ export const getSalesData = async (req, res) => {
                     _id: offlineSale._id,
                     onlineTotal: 0,
                     offlineTotal: offlineSale.total,
+                    offlineTenders: tendersOf(offlineSale._id),
                     total: offlineSale.total,
                     onlineCount: 0,
                     offlineCount: offlineSale.count,
@@ -392,4 +482,366 @@ export const getUserData = async (req, res) => {
             message: 'Failed to fetch user data'
         });
     }
-}; 
\ No newline at end of file
+};
+
+// Sums of the GST fields of unwound order lines
+const lineTaxTotals = {
+    taxableValue: { $sum: '$items.tax.taxableValue' },
+    cgst: { $sum: '$items.tax.cgst' },
+    sgst: { $sum: '$items.tax.sgst' },
+    igst: { $sum: '$items.tax.igst' },
+    tax: { $sum: '$items.tax.total' }
+};
+
+const TAX_FIELDS = ['taxableValue', 'cgst', 'sgst', 'igst', 'tax'];
+
+// Line-level GST of documents shaped like orders, grouped by period, HSN/rate and state
+const lineTaxStages = (periodFormat, placeOfSupply = '$taxSummary.placeOfSupply') => [
+    { $unwind: '$items' },
+    { $match: { 'items.tax': { $ne: null } } },
+    {
+        $facet: {
+            totals: [
+                { $group: { _id: null, ...lineTaxTotals } }
+            ],
+            byPeriod: [
+                {
+                    $group: {
+                        _id: { $dateToString: { format: periodFormat, date: '$createdAt' } },
+                        ...lineTaxTotals
+                    }
+                }
+            ],
+            byHsn: [
+                {
+                    $group: {
+                        _id: { hsnCode: '$items.hsnCode', rate: '$items.tax.rate' },
+                        quantity: { $sum: '$items.quantity' },
+                        ...lineTaxTotals
+                    }
+                }
+            ],
+            byState: [
+                {
+                    $group: {
+                        _id: placeOfSupply,
+                        ...lineTaxTotals
+                    }
+                }
+            ]
+        }
+    }
+];
+
+// Line-level GST of one order collection
+const aggregateLineTax = (Model, match, periodFormat, placeOfSupply) => Model.aggregate([
+    { $match: match },
+    ...lineTaxStages(periodFormat, placeOfSupply)
+]);
+
+// GST reversed by refunded online returns, in the period the return was completed.
+// Each accepted item takes its share of the order line's tax; orders that came back
+// whole are marked returned and left out of sales instead, so they are skipped here.
+const aggregateOnlineReturnTax = (completedAt, periodFormat) => Return.aggregate([
+    { $match: { status: 'completed', resolution: 'refund', completedAt } },
+    { $lookup: { from: 'orders', localField: 'orderId', foreignField: '_id', as: 'order' } },
+    { $unwind: '$order' },
+    { $match: { 'order.status': { $ne: 'returned' } } },
+    {
+        $project: {
+            createdAt: '$completedAt',
+            taxSummary: '$order.taxSummary',
+            items: {
+                $map: {
+                    input: { $filter: { input: '$items', as: 'item', cond: { $eq: ['$$item.accepted', true] } } },
+                    as: 'item',
+                    in: {
+                        $let: {
+                            vars: {
+                                line: {
+                                    $arrayElemAt: [
+                                        { $filter: { input: '$order.items', cond: { $eq: ['$$this._id', '$$item.orderItemId'] } } },
+                                        0
+                                    ]
+                                }
+                            },
+                            in: {
+                                hsnCode: '$$line.hsnCode',
+                                quantity: '$$item.quantity',
+                                tax: {
+                                    $cond: [
+                                        { $ifNull: ['$$line.tax', false] },
+                                        {
+                                            rate: '$$line.tax.rate',
+                                            ...Object.fromEntries(['taxableValue', 'cgst', 'sgst', 'igst', 'total'].map(field => [
+                                                field,
+                                                { $round: [{ $divide: [{ $multiply: [`$$line.tax.${field}`, '$$item.quantity'] }, '$$line.quantity'] }, 2] }
+                                            ]))
+                                        },
+                                        null
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    ...lineTaxStages(periodFormat)
+]);
+
+// Add up online and offline rows that share a key
+const mergeTaxRows = (rows, keyOf) => {
+    const merged = new Map();
+
+    rows.forEach(row => {
+        const key = keyOf(row);
+        const current = merged.get(key) || { ...row, ...Object.fromEntries(TAX_FIELDS.map(field => [field, 0])), quantity: 0 };
+        TAX_FIELDS.forEach(field => {
+            current[field] = Math.round((current[field] + (row[field] || 0)) * 100) / 100;
+        });
+        current.quantity += row.quantity || 0;
+        merged.set(key, current);
+    });
+
+    return [...merged.values()];
+};
+
+// Turn GST reversed by returns into negative rows
+const negateTaxRow = row => ({
+    ...row,
+    ...Object.fromEntries(TAX_FIELDS.map(field => [field, -(row[field] || 0)])),
+    quantity: -(row.quantity || 0)
+});
+
+export const getTaxReport = async (req, res) => {
+    try {
+        const { groupBy } = req.query; // 'daily' or 'monthly'
+        const from = req.query.from ? startOfDay(new Date(req.query.from)) : startOfMonth(new Date());
+        const to = req.query.to ? endOfDay(new Date(req.query.to)) : endOfDay(new Date());
+
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
+
+        const periodFormat = groupBy === 'daily' ? '%Y-%m-%d' : '%Y-%m';
+        const createdAt = { $gte: from, $lte: to };
+
+        // Tax is owed once an online order is confirmed; pending, cancelled and returned orders are excluded
+        // GST on partial returns is reversed in the period of the return; counter sales are always within the seller's state
+        const [[onlineSales], [onlineReturns], [offlineSales], [offlineReturns]] = await Promise.all([
+            aggregateLineTax(Order, { status: { $nin: ['pending', 'cancelled', 'returned'] }, createdAt }, periodFormat),
+            aggregateOnlineReturnTax(createdAt, periodFormat),
+            aggregateLineTax(OfflineOrder, { status: 'completed', createdAt }, periodFormat),
+            aggregateLineTax(OfflineReturn, { createdAt }, periodFormat, { $literal: SELLER_STATE })
+        ]);
+        const netOfReturns = (sales, returns) => Object.fromEntries(
+            Object.keys(sales).map(facet => [
+                facet,
+                mergeTaxRows(
+                    [...sales[facet], ...returns[facet].map(negateTaxRow)],
+                    row => JSON.stringify(row._id)
+                )
+            ])
+        );
+        const online = netOfReturns(onlineSales, onlineReturns);
+        const offline = netOfReturns(offlineSales, offlineReturns);
+
+        const totalsOf = ({ totals: [row = {}] }) => Object.fromEntries(
+            TAX_FIELDS.map(field => [field, Math.round((row[field] || 0) * 100) / 100])
+        );
+        const onlineTotals = totalsOf(online);
+        const onlineReturnTotals = totalsOf(onlineReturns);
+        const offlineTotals = totalsOf(offline);
+        const offlineReturnTotals = totalsOf(offlineReturns);
+        const combinedTotals = Object.fromEntries(
+            TAX_FIELDS.map(field => [field, Math.round((onlineTotals[field] + offlineTotals[field]) * 100) / 100])
+        );
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                totals: {
+                    online: onlineTotals,
+                    onlineReturns: onlineReturnTotals,
+                    offline: offlineTotals,
+                    offlineReturns: offlineReturnTotals,
+                    combined: combinedTotals
+                },
+                byPeriod: mergeTaxRows([...online.byPeriod, ...offline.byPeriod], row => row._id)
+                    .sort((a, b) => a._id.localeCompare(b._id)),
+                byHsn: mergeTaxRows([...online.byHsn, ...offline.byHsn], row => `${row._id.hsnCode}|${row._id.rate}`)
+                    .sort((a, b) => b.taxableValue - a.taxableValue),
+                byState: mergeTaxRows([...online.byState, ...offline.byState], row => row._id || 'unknown')
+                    .sort((a, b) => b.tax - a.tax)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getTaxReport:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch tax report'
+        });
+    }
+};
+
+// Share of `whole` as a percentage, to two decimals
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Searches where the shopper clicked a result, and where they added one to the cart
+const searchOutcomeTotals = {
+    searches: { $sum: 1 },
+    clicked: { $sum: { $cond: [{ $gt: ['$clicks', 0] }, 1, 0] } },
+    converted: { $sum: { $cond: [{ $gt: [{ $size: '$addedToCart' }, 0] }, 1, 0] } },
+    zeroResult: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } }
+};
+
+export const getSearchAnalytics = async (req, res) => {
+    try {
+        const from = req.query.from ? startOfDay(new Date(req.query.from)) : startOfDay(subDays(new Date(), 30));
+        const to = req.query.to ? endOfDay(new Date(req.query.to)) : endOfDay(new Date());
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
+
+        const createdAt = { $gte: from, $lte: to };
+        const [report] = await SearchQuery.aggregate([
+            { $match: { createdAt } },
+            {
+                $facet: {
+                    totals: [{ $group: { _id: null, ...searchOutcomeTotals } }],
+                    uniqueQueries: [{ $group: { _id: '$normalizedQuery' } }, { $count: 'count' }],
+                    topQueries: [
+                        {
+                            $group: {
+                                _id: '$normalizedQuery',
+                                ...searchOutcomeTotals,
+                                averageResults: { $avg: '$resultCount' },
+                                lastSearchedAt: { $max: '$createdAt' }
+                            }
+                        },
+                        { $sort: { searches: -1, _id: 1 } },
+                        { $limit: limit }
+                    ],
+                    // Searched for but not stocked. Searches narrowed by filters are
+                    // counted apart, as those may only have filtered everything out.
+                    zeroResultQueries: [
+                        { $match: { resultCount: 0 } },
+                        {
+                            $group: {
+                                _id: '$normalizedQuery',
+                                searches: { $sum: 1 },
+                                unfiltered: {
+                                    $sum: {
+                                        $cond: [
+                                            {
+                                                $eq: [
+                                                    {
+                                                        $size: {
+                                                            $filter: {
+                                                                input: { $objectToArray: { $ifNull: ['$filters', {}] } },
+                                                                cond: { $ne: ['$$this.k', 'sort'] }
+                                                            }
+                                                        }
+                                                    },
+                                                    0
+                                                ]
+                                            },
+                                            1,
+                                            0
+                                        ]
+                                    }
+                                },
+                                lastSearchedAt: { $max: '$createdAt' }
+                            }
+                        },
+                        { $sort: { searches: -1, _id: 1 } },
+                        { $limit: limit }
+                    ]
+                }
+            }
+        ]);
+
+        // The products shoppers picked for each top query, with their stock, to
+        // spot demand that sold-out or hidden products are missing
+        const clickedProducts = await SearchQuery.aggregate([
+            { $match: { createdAt, normalizedQuery: { $in: report.topQueries.map(row => row._id) } } },
+            { $unwind: '$clickedProducts' },
+            { $group: { _id: { query: '$normalizedQuery', productId: '$clickedProducts' }, clicks: { $sum: 1 } } },
+            { $sort: { clicks: -1 } },
+            {
+                $lookup: {
+                    from: 'products',
+                    localField: '_id.productId',
+                    foreignField: '_id',
+                    as: 'product'
+                }
+            },
+            { $unwind: '$product' },
+            {
+                $project: {
+                    _id: '$_id.productId',
+                    query: '$_id.query',
+                    clicks: 1,
+                    name: '$product.name',
+                    stock: '$product.stock',
+                    isAvailable: '$product.isAvailable'
+                }
+            }
+        ]);
+
+        const totals = report.totals[0] || { searches: 0, clicked: 0, converted: 0, zeroResult: 0 };
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                totals: {
+                    searches: totals.searches,
+                    uniqueQueries: report.uniqueQueries[0]?.count || 0,
+                    zeroResultSearches: totals.zeroResult,
+                    zeroResultRate: percentOf(totals.zeroResult, totals.searches),
+                    clickThroughRate: percentOf(totals.clicked, totals.searches),
+                    conversionRate: percentOf(totals.converted, totals.searches)
+                },
+                topQueries: report.topQueries.map(row => ({
+                    query: row._id,
+                    searches: row.searches,
+                    averageResults: Math.round(row.averageResults * 10) / 10,
+                    zeroResultSearches: row.zeroResult,
+                    clickThroughRate: percentOf(row.clicked, row.searches),
+                    conversionRate: percentOf(row.converted, row.searches),
+                    lastSearchedAt: row.lastSearchedAt,
+                    topClickedProducts: clickedProducts
+                        .filter(product => product.query === row._id)
+                        .slice(0, 3)
+                        .map(({ query, ...product }) => product)
+                })),
+                zeroResultQueries: report.zeroResultQueries.map(row => ({
+                    query: row._id,
+                    searches: row.searches,
+                    unfilteredSearches: row.unfiltered,
+                    lastSearchedAt: row.lastSearchedAt
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error in getSearchAnalytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch search analytics'
+        });
+    }
+};
@@ -4,7 +4,9 @@ import {
     getDashboardStats,
     getSalesData,
     getProductData,
-    getUserData
+    getUserData,
+    getTaxReport,
+    getSearchAnalytics
 } from '../controllers/analyticsController.js';
 
 const router = express.Router();
@@ -24,4 +26,10 @@ router.get('/products', getProductData);
 // Get user analytics
 router.get('/users', getUserData);
 
+// Get GST liability (CGST/SGST/IGST) for a date range
+router.get('/tax', getTaxReport);
+
+// Get top and zero-result search queries with click-through and conversion
+router.get('/search', getSearchAnalytics);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Order from '../user/models/Order.js';
+import OfflineOrder from '../admin/models/OfflineOrder.js';
+import Product from '../admin/models/Product.js';
+
+// Configure dotenv
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Connect to MongoDB
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/your-db-name');
+
+// Order lines used to store `variant` as free-form data (a SKU string, or an
+// object of size/color). Lines now hold a snapshot { variantId, sku, attributes }.
+// Each old value is matched to the product's variant; values that match
+// nothing are moved to `legacyVariant` so the line still validates on save.
+const isSnapshot = (variant) => Boolean(
+  variant &&
+  typeof variant === 'object' &&
+  mongoose.isValidObjectId(variant.variantId) &&
+  typeof variant.sku === 'string'
+);
+
+async function migrateVariants(Model, label) {
+  const orders = await Model.find({ items: { $elemMatch: { variant: { $ne: null } } } }).lean();
+  console.log(`Found ${orders.length} ${label} with variant data`);
+
+  const products = new Map();
+  const stats = { matched: 0, unmatched: 0, orders: 0 };
+
+  for (const order of orders) {
+    const updates = [];
+
+    for (const item of order.items) {
+      if (item.variant === null || item.variant === undefined || isSnapshot(item.variant)) {
+        continue;
+      }
+
+      const key = item.productId?.toString();
+      if (key && !products.has(key)) {
+        products.set(key, await Product.findById(item.productId));
+      }
+      const variant = products.get(key)?.findVariant(item.variant);
+
+      if (variant) {
+        stats.matched++;
+        updates.push({
+          updateOne: {
+            filter: { _id: order._id, 'items._id': item._id },
+            update: {
+              $set: {
+                'items.$.variant': {
+                  variantId: variant._id,
+                  sku: variant.sku,
+                  attributes: Object.fromEntries(variant.attributes)
+                }
+              }
+            }
+          }
+        });
+      } else {
+        stats.unmatched++;
+        console.log(`No matching variant for ${label} ${order._id} - ${item.name}:`, item.variant);
+        updates.push({
+          updateOne: {
+            filter: { _id: order._id, 'items._id': item._id },
+            update: { $set: { 'items.$.legacyVariant': item.variant, 'items.$.variant': null } }
+          }
+        });
+      }
+    }
+
+    if (updates.length > 0) {
+      try {
+        await Model.bulkWrite(updates);
+        stats.orders++;
+      } catch (error) {
+        console.error(`Error updating ${label} ${order._id}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`\n${label} summary:`);
+  console.log(`- Lines matched to a variant: ${stats.matched}`);
+  console.log(`- Lines kept as legacyVariant: ${stats.unmatched}`);
+  console.log(`- Documents updated: ${stats.orders}`);
+}
+
+async function migrate() {
+  try {
+    console.log('Starting order variant migration...');
+    await migrateVariants(Order, 'orders');
+    await migrateVariants(OfflineOrder, 'offline orders');
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run the migration
+migrate().catch(console.error);
@@ -17,6 +17,13 @@ import adminReviewRoutes from "./admin/routes/adminReviewRoutes.js";
 import notificationRoutes from "./admin/routes/notificationRoutes.js";
 import adminPaymentRoutes from "./admin/routes/paymentRoutes.js";
 import offlineOrderRoutes from "./admin/routes/offlineOrderRoutes.js";
+import couponRoutes from "./admin/routes/couponRoutes.js";
+import returnRoutes from "./admin/routes/returnRoutes.js";
+import shipmentRoutes from "./admin/routes/shipmentRoutes.js";
+import shippingZoneRoutes from "./admin/routes/shippingZoneRoutes.js";
+import serviceabilityRoutes from "./admin/routes/serviceabilityRoutes.js";
+import posRoutes from "./admin/routes/posRoutes.js";
+import customerRoutes from "./admin/routes/customerRoutes.js";
 import analyticsRoutes from "./routes/analytics.js";
 
 // User routes
@@ -24,13 +31,19 @@ import userRoutes from "./user/routes/userRoutes.js";
 import paymentRoutes from "./user/routes/paymentRoutes.js";
 import orderRoutes from "./user/routes/orderRoutes.js";
 import reviewRoutes from "./user/routes/reviewRoutes.js";
+import cartRoutes from "./user/routes/cartRoutes.js";
+import wishlistRoutes from "./user/routes/wishlistRoutes.js";
+import userCouponRoutes from "./user/routes/couponRoutes.js";
 
 // Shared routes
 import authRoutes from "./shared/routes/auth.js";
 import publicRoutes from "./shared/routes/publicRoutes.js";
 import uploadRoutes from "./shared/routes/uploadRoutes.js";
+import webhookRoutes from "./shared/routes/webhookRoutes.js";
 
 import { verifyAdminToken } from "./middleware/auth.js";
+import { startWishlistAlertJob } from "./utils/wishlistAlertJob.js";
+import { startReservationExpiryJob } from "./utils/reservationExpiryJob.js";
 
 // Load environment variables
 dotenv.config();
@@ -88,8 +101,13 @@ app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 app.use("/api/auth", authRoutes);
 app.use("/api/public", publicRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/webhooks", webhookRoutes);
 
 // Mount user routes (with Clerk auth)
+// Cart and wishlist routes go before userRoutes so /:clerkId style routes don't shadow them
+app.use("/api/user/cart", cartRoutes);
+app.use("/api/user/wishlist", wishlistRoutes);
+app.use("/api/user/coupons", userCouponRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/user/payments", paymentRoutes);
 app.use("/api/user/orders", orderRoutes);
@@ -108,6 +126,13 @@ app.use("/api/admin/reviews", adminReviewRoutes);
 app.use("/api/admin/notifications", notificationRoutes);
 app.use("/api/admin/payments", adminPaymentRoutes);
 app.use("/api/admin/offline-orders", offlineOrderRoutes);
+app.use("/api/admin/coupons", couponRoutes);
+app.use("/api/admin/returns", returnRoutes);
+app.use("/api/admin/shipments", shipmentRoutes);
+app.use("/api/admin/shipping-zones", shippingZoneRoutes);
+app.use("/api/admin/serviceability", serviceabilityRoutes);
+app.use("/api/admin/pos", posRoutes);
+app.use("/api/admin/customers", customerRoutes);
 app.use("/api/admin/analytics", analyticsRoutes);
 
 // Mount shared routes
@@ -152,6 +177,10 @@ app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs
+startWishlistAlertJob();
+startReservationExpiryJob();
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
   console.log(`Error: ${err.message}`);
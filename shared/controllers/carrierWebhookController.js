@@ -0,0 +1,29 @@
+import { getCarrier } from '../../utils/carriers/index.js';
+import { applyCarrierEvents } from '../../utils/shipmentService.js';
+
+/**
+ * Receive tracking updates from a carrier. The carrier adapter checks the
+ * request is genuine and turns its payload into tracking events.
+ */
+export const processCarrierWebhook = async (req, res) => {
+  try {
+    const carrier = getCarrier(req.params.carrier);
+
+    if (!carrier) {
+      return res.status(404).json({ success: false, error: 'Unknown carrier' });
+    }
+
+    if (!carrier.verifyWebhook(req)) {
+      console.error('Invalid carrier webhook signature:', carrier.code);
+      return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    const events = await carrier.parseWebhook(req);
+    const summary = await applyCarrierEvents(carrier.code, events);
+
+    return res.status(200).json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error processing carrier webhook:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to process webhook' });
+  }
+};
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// A named, monotonically increasing number (invoice series etc.)
+const CounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+export default mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Invoice issued for an order. The number is assigned once, on the first
+// download, and never changes afterwards.
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    default: null
+  },
+  issuedAt: Date,
+  // Set while a number is being assigned so two downloads can't both take one
+  claimedAt: Date
+}, { _id: false });
+
+export default invoiceSchema;
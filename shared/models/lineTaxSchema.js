@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// GST charged on one order line. `taxableValue` is the line value after its
+// share of order discounts; the tax is either CGST + SGST or IGST.
+const lineTaxSchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Order-level GST totals
+export const taxSummarySchema = new mongoose.Schema({
+  supplyType: {
+    type: String,
+    enum: ['intra-state', 'inter-state']
+  },
+  placeOfSupply: String,
+  placeOfSupplyCode: String,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  total: Number
+}, { _id: false });
+
+export default lineTaxSchema;
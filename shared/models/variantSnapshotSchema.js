@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a product variant stored on order, cart and return lines
+const variantSnapshotSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sku: {
+    type: String,
+    required: true
+  },
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  }
+}, { _id: false });
+
+export default variantSnapshotSchema;
@@ -2,30 +2,47 @@ import express from "express";
 import {
   getAllProducts,
   getProduct,
+  getProductBySlug,
   searchProducts,
 } from "../../admin/controllers/productController.js";
 import {
   getAllCategories,
   getCategory,
+  getCategoryBySlug,
 } from "../../admin/controllers/categoryController.js";
 import {
   getAllSubcategories,
   getSubcategory,
+  getSubcategoryBySlug,
 } from "../../admin/controllers/subcategoryController.js";
+import { getShippingQuote } from "../../admin/controllers/shippingZoneController.js";
+import { getServiceability } from "../../admin/controllers/serviceabilityController.js";
+import { getSearchSuggestions, trackSearchEvent } from "../../admin/controllers/searchController.js";
 
 const router = express.Router();
 
 // Public product routes
 router.get("/products", getAllProducts);
 router.get("/products/search", searchProducts);
+router.get("/products/by-slug/:slug", getProductBySlug);
 router.get("/products/:id", getProduct);
 
+// Public search routes
+router.get("/search/suggest", getSearchSuggestions);
+router.post("/search/:searchId/events", trackSearchEvent);
+
 // Public category routes
 router.get("/categories", getAllCategories);
+router.get("/categories/by-slug/:slug", getCategoryBySlug);
 router.get("/categories/:id", getCategory);
 
 // Public subcategory routes
 router.get("/subcategories", getAllSubcategories);
+router.get("/subcategories/by-slug/:slug", getSubcategoryBySlug);
 router.get("/subcategories/:id", getSubcategory);
 
+// Public shipping routes
+router.post("/shipping/quote", getShippingQuote);
+router.get("/serviceability/:pincode", getServiceability);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from 'express';
+import { processCarrierWebhook } from '../controllers/carrierWebhookController.js';
+
+const router = express.Router();
+
+// Carrier tracking webhooks (no auth; verified by the carrier adapter)
+router.post('/carriers/:carrier', processCarrierWebhook);
+
+export default router;
@@ -0,0 +1,324 @@
+// controllers/cartController.js
+
+import User from '../models/User.js';
+import Product from '../../admin/models/Product.js';
+import { resolveItemVariant } from '../../utils/variantService.js';
+
+const CART_PRODUCT_FIELDS = 'name price images stock isAvailable options variants';
+
+/**
+ * Build the cart response with live prices and stock for each line
+ */
+const buildCartView = async (userId) => {
+  const user = await User.findById(userId)
+    .select('cart')
+    .populate('cart.productId', CART_PRODUCT_FIELDS);
+
+  if (!user) {
+    return null;
+  }
+
+  const items = user.cart.map((line) => {
+    const product = line.productId;
+
+    // The product was deleted after it was added to the cart
+    if (!product) {
+      return {
+        _id: line._id,
+        productId: null,
+        quantity: line.quantity,
+        variant: line.variant,
+        isAvailable: false,
+        message: 'This product is no longer available',
+        addedAt: line.addedAt
+      };
+    }
+
+    const variant = line.variant ? product.findVariant(line.variant.variantId.toString()) : null;
+    const needsVariant = product.variants.length > 0 && !variant;
+    const stock = variant ? variant.stock : product.stock;
+    const price = variant ? variant.effectivePrice : product.price;
+
+    let message = null;
+    if (!product.isAvailable || needsVariant || (variant && !variant.isAvailable)) {
+      message = 'This product is no longer available';
+    } else if (stock < line.quantity) {
+      message = stock > 0 ? `Only ${stock} left in stock` : 'Out of stock';
+    }
+
+    return {
+      _id: line._id,
+      productId: product._id,
+      name: product.name,
+      image: variant?.images?.[0]?.url || product.images?.[0]?.url || null,
+      variant: line.variant,
+      quantity: line.quantity,
+      price,
+      totalPrice: price * line.quantity,
+      stock,
+      isAvailable: !message,
+      message,
+      addedAt: line.addedAt
+    };
+  });
+
+  const availableItems = items.filter((item) => item.isAvailable);
+
+  return {
+    items,
+    itemCount: availableItems.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: availableItems.reduce((sum, item) => sum + item.totalPrice, 0)
+  };
+};
+
+/**
+ * Find the cart line for a product/variant combination
+ */
+const findCartLine = (cart, productId, variantId) => cart.find((line) =>
+  line.productId.toString() === productId.toString() &&
+  (line.variant?.variantId?.toString() || null) === (variantId?.toString() || null)
+);
+
+/**
+ * A cart quantity from the request: 1 when not given, null when it isn't a
+ * positive whole number
+ */
+const parseQuantity = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 1;
+  }
+
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+/**
+ * Get the current user's cart
+ */
+export const getCart = async (req, res) => {
+  try {
+    const cart = await buildCartView(req.user._id);
+
+    if (!cart) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    return res.status(200).json({ success: true, data: cart });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch cart' });
+  }
+};
+
+/**
+ * Add a product (and optional variant) to the cart
+ */
+export const addToCart = async (req, res) => {
+  try {
+    const { productId, variant: selection } = req.body;
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (!productId) {
+      return res.status(400).json({ success: false, error: 'Product ID is required' });
+    }
+
+    if (quantity === null) {
+      return res.status(400).json({ success: false, error: 'Quantity must be a whole number of at least 1' });
+    }
+
+    const product = await Product.findById(productId).select(CART_PRODUCT_FIELDS);
+    if (!product || !product.isAvailable) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const { variant, snapshot } = resolveItemVariant(product, selection);
+
+    const user = await User.findById(req.user._id).select('cart');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const line = findCartLine(user.cart, product._id, snapshot?.variantId);
+    const newQuantity = (line ? line.quantity : 0) + quantity;
+    const stock = variant ? variant.stock : product.stock;
+
+    if (stock < newQuantity) {
+      return res.status(409).json({
+        success: false,
+        error: stock > 0 ? `Only ${stock} left in stock` : 'Out of stock'
+      });
+    }
+
+    if (line) {
+      line.quantity = newQuantity;
+    } else {
+      user.cart.push({ productId: product._id, quantity, variant: snapshot });
+    }
+
+    await user.save();
+
+    return res.status(200).json({ success: true, data: await buildCartView(req.user._id) });
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to add to cart' });
+  }
+};
+
+/**
+ * Change the quantity of a cart line
+ */
+export const updateCartItem = async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, error: 'Quantity must be a whole number of at least 1' });
+    }
+
+    const user = await User.findById(req.user._id).select('cart');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const line = user.cart.id(req.params.itemId);
+
+    if (!line) {
+      return res.status(404).json({ success: false, error: 'Cart item not found' });
+    }
+
+    const product = await Product.findById(line.productId).select(CART_PRODUCT_FIELDS);
+    if (product) {
+      const variant = line.variant ? product.findVariant(line.variant.variantId.toString()) : null;
+      const stock = variant ? variant.stock : product.stock;
+
+      if (stock < quantity) {
+        return res.status(409).json({
+          success: false,
+          error: stock > 0 ? `Only ${stock} left in stock` : 'Out of stock'
+        });
+      }
+    }
+
+    line.quantity = quantity;
+    await user.save();
+
+    return res.status(200).json({ success: true, data: await buildCartView(req.user._id) });
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update cart item' });
+  }
+};
+
+/**
+ * Remove a line from the cart
+ */
+export const removeCartItem = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { cart: { _id: req.params.itemId } } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    return res.status(200).json({ success: true, data: await buildCartView(req.user._id) });
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    return res.status(500).json({ success: false, error: 'Failed to remove cart item' });
+  }
+};
+
+/**
+ * Empty the cart
+ */
+export const clearCart = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $set: { cart: [] } });
+
+    return res.status(200).json({
+      success: true,
+      data: { items: [], itemCount: 0, subtotal: 0 }
+    });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    return res.status(500).json({ success: false, error: 'Failed to clear cart' });
+  }
+};
+
+/**
+ * Merge a guest (local storage) cart into the stored cart on sign-in.
+ * Quantities of matching lines are added together and capped at the available
+ * stock; items that can't be added are reported back instead of failing.
+ */
+export const mergeCart = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ success: false, error: 'Items must be an array' });
+    }
+
+    if (items.some((item) => parseQuantity(item?.quantity) === null)) {
+      return res.status(400).json({ success: false, error: 'Each item quantity must be a whole number of at least 1' });
+    }
+
+    const user = await User.findById(req.user._id).select('cart');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const skipped = [];
+
+    for (const item of items) {
+      const quantity = parseQuantity(item.quantity);
+      const product = item.productId
+        ? await Product.findById(item.productId).select(CART_PRODUCT_FIELDS).catch(() => null)
+        : null;
+
+      if (!product || !product.isAvailable) {
+        skipped.push({ productId: item.productId, reason: 'Product not found' });
+        continue;
+      }
+
+      let resolved;
+      try {
+        resolved = resolveItemVariant(product, item.variant);
+      } catch (error) {
+        skipped.push({ productId: item.productId, reason: error.message });
+        continue;
+      }
+
+      const { variant, snapshot } = resolved;
+      const stock = variant ? variant.stock : product.stock;
+      const line = findCartLine(user.cart, product._id, snapshot?.variantId);
+      const newQuantity = Math.min((line ? line.quantity : 0) + quantity, stock);
+
+      if (newQuantity < 1) {
+        skipped.push({ productId: item.productId, reason: 'Out of stock' });
+        continue;
+      }
+
+      if (line) {
+        line.quantity = newQuantity;
+      } else {
+        user.cart.push({ productId: product._id, quantity: newQuantity, variant: snapshot });
+      }
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...(await buildCartView(req.user._id)),
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    return res.status(500).json({ success: false, error: 'Failed to merge cart' });
+  }
+};
@@ -0,0 +1,45 @@
+// controllers/couponController.js
+
+import User from '../models/User.js';
+import { priceOrder } from '../../utils/pricingService.js';
+
+/**
+ * Check a coupon code against the user's cart and return the discounted quote
+ */
+export const validateCoupon = async (req, res) => {
+  try {
+    const { code, fromCart, shipping, shippingAddress, payment } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Coupon code is required' });
+    }
+
+    const items = fromCart ? await User.getCartItems(req.user._id) : req.body.items;
+
+    const quote = await priceOrder({
+      items,
+      shippingMethod: shipping?.method,
+      couponCode: code,
+      userId: req.user._id,
+      shippingState: shippingAddress?.state,
+      shippingPincode: shippingAddress?.zipCode,
+      paymentMethod: payment?.method
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        valid: true,
+        discount: quote.discounts[0],
+        quote
+      }
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      valid: false,
+      error: error.message || 'Failed to validate coupon'
+    });
+  }
+};
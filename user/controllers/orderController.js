@@ -3,14 +3,52 @@
 import Order from '../models/Order.js';
 import User from '../models/User.js';
 import Payment from '../models/Payment.js';
-import mongoose from 'mongoose';
+import { priceOrder, findPriceMismatches } from '../../utils/pricingService.js';
+import { reserveStock, restoreStock, commitOrderStock, releaseOrderStock } from '../../utils/inventoryService.js';
+import { redeemOrderCoupons, reverseOrderRedemptions } from '../../utils/couponService.js';
+import { transitionOrderStatus, canTransition } from '../../utils/orderStatusService.js';
+import { issueInvoice, renderInvoicePdf, canInvoice, getInvoiceFileName } from '../../utils/invoiceService.js';
+import { getOrderTracking as buildOrderTracking } from '../../utils/shipmentService.js';
+import { assertServiceable } from '../../utils/serviceabilityService.js';
+
+// Payment statuses staff can set by hand
+const MANUAL_PAYMENT_STATUSES = ['completed', 'failed'];
+
+/**
+ * Get a server-side price breakdown for a prospective order
+ */
+export const getOrderQuote = async (req, res) => {
+  try {
+    const { fromCart, shipping, couponCode, shippingAddress, payment } = req.body;
+    const items = fromCart ? await User.getCartItems(req.user._id) : req.body.items;
+
+    const quote = await priceOrder({
+      items,
+      shippingMethod: shipping?.method,
+      couponCode,
+      userId: req.user._id,
+      shippingState: shippingAddress?.state,
+      shippingPincode: shippingAddress?.zipCode,
+      paymentMethod: payment?.method
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error quoting order:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to price order' });
+  }
+};
 
 /**
  * Create a new order
  */
 export const createOrder = async (req, res) => {
   try {
-    const { items, shippingAddress, billingAddress, payment, subtotal, shippingCost, tax, total } = req.body;
+    const { shippingAddress, billingAddress, payment = {}, shipping, fromCart, couponCode } = req.body;
+    let { items } = req.body;
     
     // Verify that req.user exists and has _id
     if (!req.user || !req.user._id) {
@@ -20,6 +58,11 @@ export const createOrder = async (req, res) => {
       });
     }
     
+    // Check out from the stored cart instead of trusting items sent by the client
+    if (fromCart) {
+      items = await User.getCartItems(req.user._id);
+    }
+
     // Validate that items exist and is an array
     if (!items || !Array.isArray(items) || items.length === 0) {
       console.error('Invalid items in request:', items);
@@ -29,54 +72,73 @@ export const createOrder = async (req, res) => {
       });
     }
 
-    // Generate order number
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    const orderNumber = `ORD-${year}${month}${day}-${random}`;
-    
+    // Price the order from product data; client-sent prices are never trusted
+    const quote = await priceOrder({
+      items,
+      shippingMethod: shipping?.method,
+      couponCode,
+      userId: req.user._id,
+      shippingState: shippingAddress?.state,
+      shippingPincode: shippingAddress?.zipCode,
+      paymentMethod: payment.method || 'cod'
+    });
+
+    // Refuse to place the order if the client showed the customer different amounts
+    const mismatches = findPriceMismatches(quote, req.body);
+    if (mismatches.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order prices have changed. Please review your order and try again.',
+        mismatches,
+        quote
+      });
+    }
+
+    const { subtotal, shippingCost, tax, total } = quote;
+
+    // Couriers don't serve every PIN code, and COD is limited by region and order value
+    const serviceability = await assertServiceable(shippingAddress?.zipCode, {
+      paymentMethod: payment.method || 'cod',
+      amount: total
+    });
+    const estimatedDays = serviceability.transitDays ?? quote.shipping.estimatedDays?.max;
+
     // Create new order
     const order = new Order({
       userId: req.user._id, // Ensure this is a valid MongoDB ObjectId
-      orderNumber,
-      items: await Promise.all(items.map(async (item) => {
-        // Ensure productId is provided
-        if (!item.productId) {
-          throw new Error(`Missing productId for item: ${item.name}`);
-        }
-        
-        // If we have a productId, try to get the product to include its details
-        const product = await mongoose.model('Product').findById(item.productId).select('name price images').lean();
-        
-        if (!product) {
-          throw new Error(`Product not found with ID: ${item.productId}`);
-        }
-        
-        // Use product details to ensure consistency
-        return {
-          ...item,
-          name: product.name, // Ensure name matches the product
-          price: item.price || product.price, // Use provided price or fallback to product price
-          image: product.images?.[0]?.url || null // Include product image if available
-        };
-      })),
+      items: quote.items,
       shippingAddress,
       billingAddress: billingAddress || shippingAddress,
       payment: {
         ...payment,
-        method: payment.method || 'cod'
+        method: payment.method || 'cod',
+        amount: total
       },
+      shipping: {
+        method: quote.shippingMethod,
+        zone: quote.shipping.zone,
+        chargeableWeight: quote.shipping.chargeableWeight,
+        codSurcharge: quote.shipping.codSurcharge,
+        ...(estimatedDays !== undefined && {
+          estimatedDelivery: new Date(Date.now() + estimatedDays * 24 * 60 * 60 * 1000)
+        })
+      },
+      discounts: quote.discounts,
       subtotal,
       shippingCost,
       tax,
+      taxSummary: quote.taxSummary,
       total,
-      status: 'pending'
+      status: 'pending',
+      statusHistory: [{
+        to: 'pending',
+        actor: { role: 'customer', id: req.user._id },
+        note: 'Order placed'
+      }]
     });
 
     // Validate the order before saving
-    const validationError = order.validateSync();
+    const validationError = order.validateSync(null, { pathsToSkip: ['orderNumber'] });
     if (validationError) {
       console.error('Order validation error:', validationError);
       return res.status(400).json({ 
@@ -85,7 +147,18 @@ export const createOrder = async (req, res) => {
       });
     }
 
-    await order.save();
+    // Take the stock before the order is persisted so concurrent buyers can't oversell
+    await reserveStock(order.items);
+    order.inventory = { status: 'reserved', reservedAt: new Date() };
+
+    try {
+      await redeemOrderCoupons(order);
+      await order.save();
+    } catch (error) {
+      await restoreStock(order.items);
+      await reverseOrderRedemptions(order);
+      throw error;
+    }
 
     // If payment method is online, create payment record
     if (payment.method === 'razorpay') {
@@ -124,7 +197,9 @@ export const createOrder = async (req, res) => {
         'statistics.totalSpent': total
       },
       $set: {
-        'statistics.lastOrderDate': new Date()
+        'statistics.lastOrderDate': new Date(),
+        // The cart has been turned into this order
+        ...(fromCart && { cart: [] })
       }
     });
 
@@ -134,7 +209,7 @@ export const createOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating order:', error);
-    return res.status(500).json({ success: false, error: error.message || 'Order creation failed' });
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Order creation failed' });
   }
 };
 
@@ -191,26 +266,74 @@ export const getOrderById = async (req, res) => {
 };
 
 /**
- * Update order status (admin only)
+ * Download the PDF invoice of one of the user's orders
  */
-export const updateOrderStatus = async (req, res) => {
+export const getOrderInvoice = async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
+    const order = await Order.findById(req.params.id)
+      .populate('userId', 'firstName lastName email');
 
     if (!order) {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // Update user's order status
-    await User.findOneAndUpdate(
-      { _id: order.userId, 'orders.orderId': order._id },
-      { $set: { 'orders.$.status': status } }
-    );
+    if (order.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view this order' });
+    }
+
+    if (!canInvoice(order, 'online')) {
+      return res.status(400).json({ success: false, error: 'An invoice is available once the order is confirmed' });
+    }
+
+    await issueInvoice(Order, order);
+    const pdf = await renderInvoicePdf(order, 'online');
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${getInvoiceFileName(order)}"`
+    });
+    return res.send(pdf);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to generate invoice' });
+  }
+};
+
+/**
+ * Get the tracking timeline of one of the user's orders
+ */
+export const getOrderTracking = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view this order' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await buildOrderTracking(order)
+    });
+  } catch (error) {
+    console.error('Error fetching order tracking:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch order tracking' });
+  }
+};
+
+/**
+ * Update order status (admin only)
+ */
+export const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const order = await transitionOrderStatus(req.params.id, status, {
+      actor: { role: req.admin.role, id: req.admin._id },
+      note
+    });
 
     return res.status(200).json({
       success: true,
@@ -218,52 +341,84 @@ export const updateOrderStatus = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating order status:', error);
-    return res.status(500).json({ success: false, error: 'Failed to update order status' });
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to update order status' });
   }
 };
 
 /**
- * Update payment status
+ * Update payment status (admin only)
  */
 export const updatePaymentStatus = async (req, res) => {
   try {
     const { status, paymentMethod } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { 
-        'payment.status': status,
-        ...(paymentMethod && { 'payment.method': paymentMethod })
-      },
-      { new: true }
-    );
 
+    // Refund statuses are set by the refund service, never by hand
+    if (!MANUAL_PAYMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Status must be one of: ${MANUAL_PAYMENT_STATUSES.join(', ')}` });
+    }
+
+    const paymentMethods = Order.schema.path('payment.method').enumValues;
+    if (paymentMethod !== undefined && !paymentMethods.includes(paymentMethod)) {
+      return res.status(400).json({ success: false, error: `Payment method must be one of: ${paymentMethods.join(', ')}` });
+    }
+
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
 
-    // If payment is completed, update order status
+    // Check everything before writing so a refused change leaves the order as it was
+    const fromStatuses = status === 'completed' ? ['pending', 'failed'] : ['pending'];
+    if (!fromStatuses.includes(order.payment.status)) {
+      return res.status(409).json({ success: false, error: `A ${order.payment.status} payment cannot be marked ${status}` });
+    }
+
+    if (['cancelled', 'returned'].includes(order.status) || (status === 'failed' && order.status !== 'pending')) {
+      return res.status(409).json({ success: false, error: `Payment of a ${order.status} order cannot be marked ${status}` });
+    }
+
+    // Take the stock first: if an earlier failure released it and it has sold
+    // out since, this throws 409 before anything is written
     if (status === 'completed') {
-      await Order.findByIdAndUpdate(req.params.id, { status: 'confirmed' });
-      
-      // Update payment record if it exists
-      const updateData = { status: 'completed' };
-      if (paymentMethod) {
-        updateData.paymentMethod = paymentMethod;
-      }
-      
-      await Payment.findOneAndUpdate(
-        { orderId: order._id },
-        updateData
-      );
+      await commitOrderStock(order);
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'payment.status': order.payment.status, status: order.status },
+      {
+        $set: {
+          'payment.status': status,
+          ...(paymentMethod && { 'payment.method': paymentMethod })
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ success: false, error: 'Order was changed by someone else, please reload' });
+    }
+
+    await Payment.findOneAndUpdate({ orderId: order._id }, { status });
+
+    if (status === 'completed' && updated.status === 'pending') {
+      const confirmed = await transitionOrderStatus(updated, 'confirmed', {
+        actor: { role: req.admin.role, id: req.admin._id },
+        note: 'Payment marked as completed'
+      });
+      return res.status(200).json({ success: true, data: confirmed });
+    }
+
+    if (status === 'failed') {
+      await releaseOrderStock(updated);
     }
 
     return res.status(200).json({
       success: true,
-      data: order
+      data: updated
     });
   } catch (error) {
     console.error('Error updating payment status:', error);
-    return res.status(500).json({ success: false, error: 'Failed to update payment status' });
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to update payment status' });
   }
 };
 
@@ -311,33 +466,23 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (order.status !== 'pending' && order.status !== 'confirmed') {
+    if (!canTransition(order.status, 'cancelled', 'customer')) {
       return res.status(400).json({ success: false, error: 'Order cannot be cancelled at this stage' });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    await order.save();
-
-    // Update user's order status
-    await User.findOneAndUpdate(
-      { _id: order.userId, 'orders.orderId': order._id },
-      { $set: { 'orders.$.status': 'cancelled' } }
-    );
-
-    // If payment was made, initiate refund
-    if (order.payment.status === 'completed') {
-      // Add refund logic here
-      // This would typically involve calling the payment gateway's refund API
-    }
+    // Stock, coupon use and any online payment are given back by the transition
+    const cancelled = await transitionOrderStatus(order, 'cancelled', {
+      actor: { role: 'customer', id: req.user._id },
+      note: req.body.reason || 'Cancelled by customer'
+    });
 
     return res.status(200).json({
       success: true,
-      data: order
+      data: cancelled
     });
   } catch (error) {
     console.error('Error cancelling order:', error);
-    return res.status(500).json({ success: false, error: 'Failed to cancel order' });
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to cancel order' });
   }
 };
 
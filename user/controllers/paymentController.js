@@ -1,31 +1,40 @@
-import Razorpay from 'razorpay';
 import crypto from 'crypto';
+import razorpay from '../../config/razorpay.js';
 import Payment from '../models/Payment.js';
 import Order from '../models/Order.js';
 import User from '../models/User.js';
 import { createNotification } from '../../admin/controllers/notificationController.js';
-
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+import { commitOrderStock, releaseOrderStock } from '../../utils/inventoryService.js';
+import { applyRazorpayRefund } from '../../utils/refundService.js';
+import { transitionOrderStatus } from '../../utils/orderStatusService.js';
 
 /**
  * Create a Razorpay order
  */
 export const createOrder = async (req, res) => {
   try {
-    const { amount, currency = 'INR', orderId, paymentMethod } = req.body;
-    console.log('Creating Razorpay order with:', { amount, currency, orderId, paymentMethod });
+    const { currency = 'INR', orderId, paymentMethod } = req.body;
+    console.log('Creating Razorpay order with:', { currency, orderId, paymentMethod });
     
-    if (!amount || !orderId) {
+    if (!orderId) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing required fields: amount or orderId' 
+        error: 'Missing required field: orderId' 
       });
     }
 
+    // The amount charged always comes from the stored order, never from the client
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, error: 'Not authorized to pay for this order' });
+    }
+
+    const amount = order.total;
+
     // Validate amount is a positive number
     if (isNaN(amount) || amount <= 0) {
       return res.status(400).json({
@@ -270,12 +279,15 @@ export const verifyPayment = async (req, res) => {
       'payment.razorpayPaymentId': razorpay_payment_id,
       'payment.razorpaySignature': razorpay_signature,
       'payment.method': 'razorpay', 
-      'payment.paymentMethod': paymentMethod,
-      status: 'confirmed'
+      'payment.paymentMethod': paymentMethod
     }, { new: true });
 
     console.log('Updated order with payment details:', updatedOrder);
 
+    await confirmPaidOrder(updatedOrder);
+
+    await commitOrderInventory(updatedOrder);
+
     return res.status(200).json({ 
       success: true, 
       data: payment,
@@ -324,6 +336,10 @@ export const handlePaymentWebhook = async (req, res) => {
       case 'refund.created':
         await handleRefundCreated(payload);
         break;
+      case 'refund.processed':
+      case 'refund.failed':
+        await applyRazorpayRefund(payload.payload.refund.entity);
+        break;
       default:
         console.log('Unhandled webhook event:', event);
     }
@@ -376,6 +392,9 @@ async function handlePaymentCaptured(payload) {
         paymentDetails: payment
       }
     );
+
+    await confirmPaidOrder(order);
+    await commitOrderInventory(order);
   } catch (error) {
     console.error('Error handling payment captured:', error);
   }
@@ -421,18 +440,66 @@ async function handlePaymentFailed(payload) {
         error: payment.error_description
       }
     );
+
+    // Give the reserved stock back; a later successful attempt takes it again
+    await releaseOrderStock(order);
   } catch (error) {
     console.error('Error handling payment failed:', error);
   }
 }
 
+/**
+ * Move a freshly paid order from pending to confirmed. The webhook and the
+ * client-side verification can both arrive, so an order that has already
+ * moved on is left alone.
+ */
+async function confirmPaidOrder(order) {
+  if (!order || order.status !== 'pending') {
+    return;
+  }
+
+  try {
+    await transitionOrderStatus(order, 'confirmed', {
+      actor: { role: 'system' },
+      note: 'Payment received'
+    });
+  } catch (error) {
+    console.error('Error confirming paid order:', order.orderNumber, error);
+  }
+}
+
+/**
+ * Commit an order's reserved stock after payment. If the stock was released
+ * and has since sold out, the payment is kept and admins are notified.
+ */
+async function commitOrderInventory(order) {
+  if (!order) {
+    return;
+  }
+
+  try {
+    await commitOrderStock(order);
+  } catch (error) {
+    console.error('Error committing stock for order:', order.orderNumber, error);
+    await createNotification(
+      'order',
+      `Order #${order.orderNumber} was paid but is out of stock: ${error.message}`,
+      {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        error: error.message
+      }
+    );
+  }
+}
+
 /**
  * Handle refund created event
  */
 async function handleRefundCreated(payload) {
   try {
     const refund = payload.payload.refund.entity;
-    const payment = await Payment.findOne({ razorpayPaymentId: refund.payment_id });
+    const payment = await applyRazorpayRefund(refund);
     
     if (!payment) {
       console.error('Payment not found for refund:', refund.payment_id);
@@ -454,15 +521,9 @@ async function handleRefundCreated(payload) {
         orderId: order._id,
         orderNumber: order.orderNumber,
         amount: refund.amount / 100,
-        status: 'refunded'
+        status: payment.status
       }
     );
-
-    // Update payment status
-    await Payment.findByIdAndUpdate(payment._id, {
-      status: 'refunded',
-      refundDetails: refund
-    });
   } catch (error) {
     console.error('Error handling refund created:', error);
   }
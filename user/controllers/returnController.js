@@ -0,0 +1,216 @@
+// controllers/returnController.js
+
+import Order from '../models/Order.js';
+import Product from '../../admin/models/Product.js';
+import Return, { RETURN_REASONS } from '../models/Return.js';
+import { uploadImage } from '../../utils/cloudinary.js';
+import { resolveItemVariant } from '../../utils/variantService.js';
+import { getUnitAmount, isWithinReturnWindow, claimReturnQuantities, releaseReturnQuantities } from '../../utils/returnService.js';
+import { createHttpError } from '../../utils/httpError.js';
+import { createNotification } from '../../admin/controllers/notificationController.js';
+import { RETURN_WINDOW_DAYS } from '../../config/returns.js';
+
+/**
+ * Load an order and check it belongs to the current user
+ */
+const findUserOrder = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw createHttpError(404, 'Order not found');
+  }
+
+  if (order.userId.toString() !== userId.toString()) {
+    throw createHttpError(403, 'Not authorized to access this order');
+  }
+
+  return order;
+};
+
+/**
+ * Validate the requested return lines against the order. What is still
+ * returnable is checked when the quantities are claimed.
+ */
+const buildReturnItems = async (order, requestedItems, resolution) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw createHttpError(400, 'Select at least one item to return');
+  }
+
+  const itemIds = requestedItems.map((item) => String(item.itemId));
+  if (new Set(itemIds).size !== itemIds.length) {
+    throw createHttpError(400, 'Each item can only be listed once');
+  }
+
+  return Promise.all(requestedItems.map(async (item) => {
+    const line = item.itemId ? order.items.id(item.itemId) : null;
+    if (!line) {
+      throw createHttpError(400, `Item not found on this order: ${item.itemId}`);
+    }
+
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.quantity) {
+      throw createHttpError(400, `Return quantity of ${line.name} must be between 1 and ${line.quantity}`);
+    }
+
+    if (!RETURN_REASONS.includes(item.reason)) {
+      throw createHttpError(400, `Reason must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+
+    let exchangeVariant = null;
+    if (resolution === 'exchange') {
+      const product = await Product.findById(line.productId);
+      if (!product) {
+        throw createHttpError(400, `${line.name} is no longer available for exchange`);
+      }
+
+      const { snapshot } = resolveItemVariant(product, item.exchangeVariant);
+      if (!snapshot || snapshot.variantId.toString() === line.variant?.variantId?.toString()) {
+        throw createHttpError(400, `Choose a different size or color to exchange ${line.name} for`);
+      }
+      exchangeVariant = snapshot;
+    }
+
+    return {
+      orderItemId: line._id,
+      productId: line.productId,
+      name: line.name,
+      variant: line.variant,
+      quantity,
+      unitAmount: getUnitAmount(line),
+      reason: item.reason,
+      comment: item.comment,
+      exchangeVariant
+    };
+  }));
+};
+
+/**
+ * Request a return or exchange for items of a delivered order
+ */
+export const createReturn = async (req, res) => {
+  try {
+    const order = await findUserOrder(req.params.id, req.user._id);
+
+    if (order.status !== 'delivered') {
+      return res.status(400).json({ success: false, error: 'Only delivered orders can be returned' });
+    }
+
+    if (!isWithinReturnWindow(order)) {
+      return res.status(400).json({
+        success: false,
+        error: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`
+      });
+    }
+
+    const resolution = req.body.resolution || 'refund';
+    if (!['refund', 'exchange'].includes(resolution)) {
+      return res.status(400).json({ success: false, error: 'Resolution must be refund or exchange' });
+    }
+
+    // Multipart requests send the items as a JSON string
+    let { items } = req.body;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: 'Invalid items format' });
+      }
+    }
+
+    const returnItems = await buildReturnItems(order, items, resolution);
+
+    // Hold the quantities so concurrent requests can't return the same units twice
+    await claimReturnQuantities(order, returnItems);
+
+    let ret;
+    try {
+      let photos = [];
+      if (req.files && req.files.length > 0) {
+        photos = await Promise.all(req.files.map(async (file) => {
+          const { url, publicId } = await uploadImage(file.buffer, 'returns');
+          return { url, publicId };
+        }));
+      }
+
+      ret = await Return.create({
+        orderId: order._id,
+        userId: req.user._id,
+        items: returnItems,
+        photos,
+        resolution,
+        history: [{ status: 'requested', note: req.body.note }]
+      });
+    } catch (error) {
+      await releaseReturnQuantities(order._id, returnItems);
+      throw error;
+    }
+
+    await createNotification(
+      'order',
+      `Return ${ret.returnNumber} requested for order #${order.orderNumber}`,
+      {
+        returnId: ret._id,
+        orderId: order._id,
+        orderNumber: order.orderNumber
+      }
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    console.error('Error creating return:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to create return' });
+  }
+};
+
+/**
+ * List the returns of one of the user's orders
+ */
+export const getOrderReturns = async (req, res) => {
+  try {
+    const order = await findUserOrder(req.params.id, req.user._id);
+    const returns = await Return.find({ orderId: order._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to fetch returns' });
+  }
+};
+
+/**
+ * Withdraw a return request before the items have been received
+ */
+export const cancelReturn = async (req, res) => {
+  try {
+    const order = await findUserOrder(req.params.id, req.user._id);
+
+    const ret = await Return.findOneAndUpdate(
+      { _id: req.params.returnId, orderId: order._id, status: { $in: ['requested', 'approved'] } },
+      {
+        $set: { status: 'cancelled' },
+        $push: { history: { status: 'cancelled', note: 'Cancelled by customer' } }
+      },
+      { new: true }
+    );
+
+    if (!ret) {
+      return res.status(400).json({ success: false, error: 'This return can no longer be cancelled' });
+    }
+
+    await releaseReturnQuantities(order._id, ret.items);
+
+    return res.status(200).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    console.error('Error cancelling return:', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to cancel return' });
+  }
+};
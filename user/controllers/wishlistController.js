@@ -0,0 +1,101 @@
+// controllers/wishlistController.js
+
+import User from '../models/User.js';
+import Product from '../../admin/models/Product.js';
+
+/**
+ * Build the wishlist response with current price and availability
+ */
+const buildWishlistView = async (userId) => {
+  const user = await User.findById(userId)
+    .select('wishlist')
+    .populate('wishlist', 'name price images stock isAvailable');
+
+  if (!user) {
+    return null;
+  }
+
+  // Deleted products are dropped by populate
+  return user.wishlist.filter(Boolean).map((product) => ({
+    _id: product._id,
+    name: product.name,
+    price: product.price,
+    image: product.images?.[0]?.url || null,
+    stock: product.stock,
+    isAvailable: product.isAvailable,
+    inStock: product.isAvailable && product.stock > 0
+  }));
+};
+
+/**
+ * Get the current user's wishlist
+ */
+export const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await buildWishlistView(req.user._id);
+
+    if (!wishlist) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    return res.status(200).json({ success: true, count: wishlist.length, data: wishlist });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch wishlist' });
+  }
+};
+
+/**
+ * Add a product to the wishlist
+ */
+export const addToWishlist = async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({ success: false, error: 'Product ID is required' });
+    }
+
+    const product = await Product.exists({ _id: productId });
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { $addToSet: { wishlist: productId } });
+
+    const wishlist = await buildWishlistView(req.user._id);
+    return res.status(200).json({ success: true, count: wishlist.length, data: wishlist });
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    return res.status(500).json({ success: false, error: 'Failed to add to wishlist' });
+  }
+};
+
+/**
+ * Remove a product from the wishlist
+ */
+export const removeFromWishlist = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $pull: { wishlist: req.params.productId } });
+
+    const wishlist = await buildWishlistView(req.user._id);
+    return res.status(200).json({ success: true, count: wishlist.length, data: wishlist });
+  } catch (error) {
+    console.error('Error removing from wishlist:', error);
+    return res.status(500).json({ success: false, error: 'Failed to remove from wishlist' });
+  }
+};
+
+/**
+ * Empty the wishlist
+ */
+export const clearWishlist = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $set: { wishlist: [] } });
+
+    return res.status(200).json({ success: true, count: 0, data: [] });
+  } catch (error) {
+    console.error('Error clearing wishlist:', error);
+    return res.status(500).json({ success: false, error: 'Failed to clear wishlist' });
+  }
+};
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import variantSnapshotSchema from '../../shared/models/variantSnapshotSchema.js';
+import lineTaxSchema, { taxSummarySchema } from '../../shared/models/lineTaxSchema.js';
+import invoiceSchema from '../../shared/models/invoiceSchema.js';
+import { nextSequenceNumber } from '../../utils/sequenceService.js';
 
 const OrderSchema = new mongoose.Schema({
   userId: {
@@ -35,8 +39,25 @@ const OrderSchema = new mongoose.Schema({
     },
     image: String,
     variant: {
+      type: variantSnapshotSchema,
+      default: null
+    },
+    // Variant as stored before variants had SKUs, kept by
+    // scripts/migrate-order-variants.js when no matching variant was found
+    legacyVariant: {
       type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    hsnCode: String,
+    tax: {
+      type: lineTaxSchema,
       default: null
+    },
+    // Units claimed by open or completed returns
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   }],
   shippingAddress: {
@@ -71,7 +92,7 @@ const OrderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
     amount: {
@@ -91,18 +112,62 @@ const OrderSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
+  // Every status change, oldest first (see utils/orderStatusService.js)
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      role: {
+        type: String,
+        enum: ['customer', 'admin', 'superadmin', 'system']
+      },
+      // User for customers, Admin for staff, unset for the system
+      id: mongoose.Schema.Types.ObjectId
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   shipping: {
     method: {
       type: String,
       enum: ['standard', 'express', 'priority'],
       default: 'standard'
     },
+    // Shipping zone and weight the charge was worked out from
+    zone: String,
+    chargeableWeight: Number,
+    // Cash-on-delivery surcharge included in shippingCost
+    codSurcharge: {
+      type: Number,
+      default: 0
+    },
     trackingNumber: String,
     carrier: String,
     estimatedDelivery: Date,
     actualDelivery: Date
   },
+  // Stock held for this order by the inventory service
+  inventory: {
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'committed', 'released'],
+      default: 'none'
+    },
+    reservedAt: Date,
+    committedAt: Date,
+    releasedAt: Date
+  },
   discounts: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
     code: String,
     amount: Number,
     type: {
@@ -122,10 +187,19 @@ const OrderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // GST split of `tax`
+  taxSummary: {
+    type: taxSummarySchema,
+    default: null
+  },
   total: {
     type: Number,
     required: true
   },
+  invoice: {
+    type: invoiceSchema,
+    default: () => ({})
+  },
   notes: String,
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -143,22 +217,22 @@ const OrderSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 OrderSchema.index({ orderNumber: 1 }, { unique: true });
+OrderSchema.index(
+  { 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } }
+);
 OrderSchema.index({ userId: 1 });
 OrderSchema.index({ 'payment.status': 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ createdAt: -1 });
+OrderSchema.index({ 'metadata.exchangeFor.returnId': 1 }, { sparse: true });
+OrderSchema.index({ 'inventory.status': 1, 'inventory.reservedAt': 1 });
 
-// Pre-save middleware to generate order number
-OrderSchema.pre('save', async function(next) {
+// Pre-validate middleware to generate order number
+OrderSchema.pre('validate', async function() {
   if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    this.orderNumber = `ORD-${year}${month}${day}-${random}`;
+    this.orderNumber = await nextSequenceNumber('order');
   }
-  next();
 });
 
 export default mongoose.model('Order', OrderSchema); 
\ No newline at end of file
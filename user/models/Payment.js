@@ -35,7 +35,7 @@ const PaymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -68,6 +68,24 @@ const PaymentSchema = new mongoose.Schema({
       enum: ['pending', 'processed', 'failed']
     },
     reason: String,
+    razorpayRefundId: String,
+    // Client-supplied key that makes retried refund requests safe
+    idempotencyKey: String,
+    // Where the refund was started: an admin, a return, a cancellation or the Razorpay dashboard
+    source: {
+      type: String,
+      enum: ['admin', 'return', 'cancellation', 'razorpay'],
+      default: 'admin'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    returnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Return'
+    },
+    error: String,
     createdAt: {
       type: Date,
       default: Date.now
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import variantSnapshotSchema from '../../shared/models/variantSnapshotSchema.js';
+import { nextSequenceNumber } from '../../utils/sequenceService.js';
+
+export const RETURN_REASONS = ['wrong_size', 'damaged', 'defective', 'not_as_described', 'wrong_item', 'changed_mind', 'other'];
+
+const ReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    // _id of the line on the order
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    variant: {
+      type: variantSnapshotSchema,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // What the customer paid per unit, tax included and discounts taken off
+    unitAmount: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: true
+    },
+    comment: String,
+    // Size/color wanted instead, for exchanges
+    exchangeVariant: {
+      type: variantSnapshotSchema,
+      default: null
+    },
+    // Filled in at inspection
+    condition: {
+      type: String,
+      enum: ['resellable', 'damaged'],
+      default: null
+    },
+    accepted: {
+      type: Boolean,
+      default: null
+    },
+    restocked: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  photos: [{
+    url: String,
+    publicId: String
+  }],
+  resolution: {
+    type: String,
+    enum: ['refund', 'exchange'],
+    required: true
+  },
+  status: {
+    type: String,
+    // `inspecting` holds the return while one admin settles it
+    enum: ['requested', 'approved', 'rejected', 'received', 'inspecting', 'completed', 'cancelled'],
+    default: 'requested'
+  },
+  refund: {
+    amount: Number,
+    method: {
+      type: String,
+      enum: ['razorpay', 'manual']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed']
+    },
+    razorpayRefundId: String,
+    error: String
+  },
+  exchangeOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  history: [{
+    status: String,
+    note: String,
+    // Admin who made the change; unset for changes made by the customer
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  approvedAt: Date,
+  receivedAt: Date,
+  completedAt: Date
+}, { timestamps: true });
+
+// Indexes for better query performance
+ReturnSchema.index({ returnNumber: 1 }, { unique: true });
+ReturnSchema.index({ orderId: 1 });
+ReturnSchema.index({ userId: 1 });
+ReturnSchema.index({ status: 1, createdAt: -1 });
+
+// Pre-validate middleware to generate return number
+ReturnSchema.pre('validate', async function() {
+  if (!this.returnNumber) {
+    this.returnNumber = await nextSequenceNumber('return');
+  }
+});
+
+export default mongoose.model('Return', ReturnSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { SEARCH_LOG_RETENTION_DAYS } from '../../config/search.js';
+
+// A storefront search and what the shopper did with the results
+const SearchQuerySchema = new mongoose.Schema({
+  // As typed, and reduced to the terms searched on so spellings group together
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalizedQuery: {
+    type: String,
+    required: true
+  },
+  resultCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Handed only to the shopper who searched; events must carry it
+  eventToken: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Filters and sort from the query string, as sent
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Distinct products clicked
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Position in the results (from 1) of the first product clicked
+  firstClickPosition: {
+    type: Number,
+    default: null
+  },
+  clickedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  addedToCart: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }]
+}, { timestamps: true });
+
+SearchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+SearchQuerySchema.index({ normalizedQuery: 1, createdAt: -1 });
+
+export default mongoose.model('SearchQuery', SearchQuerySchema);
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import variantSnapshotSchema from '../../shared/models/variantSnapshotSchema.js';
+import { nextSequenceNumber } from '../../utils/sequenceService.js';
+
+// Normalised tracking statuses; carrier adapters map their own codes onto these
+export const SHIPMENT_STATUSES = [
+  'label_created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'failed_attempt',
+  'delivered',
+  'returned_to_origin',
+  'cancelled'
+];
+
+const ShipmentSchema = new mongoose.Schema({
+  shipmentNumber: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Order lines in this parcel; an order can go out in several shipments
+  items: [{
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    variant: {
+      type: variantSnapshotSchema,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Code of the carrier adapter, or a free-form name for carriers without one
+  carrier: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: String,
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'label_created'
+  },
+  events: [{
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES,
+      required: true
+    },
+    description: String,
+    location: String,
+    occurredAt: {
+      type: Date,
+      required: true
+    },
+    // Carrier event id, used to ignore webhook retries
+    eventId: {
+      type: String,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['carrier', 'admin'],
+      default: 'carrier'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  estimatedDelivery: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+ShipmentSchema.index({ shipmentNumber: 1 }, { unique: true });
+ShipmentSchema.index({ orderId: 1 });
+ShipmentSchema.index({ status: 1, createdAt: -1 });
+ShipmentSchema.index(
+  { carrier: 1, trackingNumber: 1 },
+  { unique: true, partialFilterExpression: { trackingNumber: { $type: 'string' } } }
+);
+
+// Pre-validate middleware to generate shipment number
+ShipmentSchema.pre('validate', async function() {
+  if (!this.shipmentNumber) {
+    this.shipmentNumber = await nextSequenceNumber('shipment');
+  }
+});
+
+export default mongoose.model('Shipment', ShipmentSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import variantSnapshotSchema from '../../shared/models/variantSnapshotSchema.js';
 
 const UserSchema = new mongoose.Schema({
   clerkId: {
@@ -106,6 +107,19 @@ const UserSchema = new mongoose.Schema({
     totalRefundAmount: {
       type: Number,
       default: 0
+    },
+    // In-store purchases matched to this account by phone number, net of returns
+    offlineOrders: {
+      type: Number,
+      default: 0
+    },
+    offlineSpent: {
+      type: Number,
+      default: 0
+    },
+    lastOfflineOrderDate: {
+      type: Date,
+      default: null
     }
   },
   // Payment preferences
@@ -203,7 +217,12 @@ const UserSchema = new mongoose.Schema({
     },
     quantity: {
       type: Number,
-      default: 1
+      default: 1,
+      min: 1
+    },
+    variant: {
+      type: variantSnapshotSchema,
+      default: null
     },
     addedAt: {
       type: Date,
@@ -224,8 +243,19 @@ const UserSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Load a user's stored cart as order items ({ productId, quantity, variant })
+UserSchema.statics.getCartItems = async function(userId) {
+  const user = await this.findById(userId).select('cart');
+  return (user?.cart || []).map((line) => ({
+    productId: line.productId,
+    quantity: line.quantity,
+    variant: line.variant ? { variantId: line.variant.variantId } : null
+  }));
+};
+
 // Indexes for better query performance
 UserSchema.index({ 'orders.orderId': 1 });
 UserSchema.index({ 'reviews.productId': 1 });
+UserSchema.index({ phoneNumber: 1 });
 
 export default mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Last price/stock state of a variant, kept like the product-level fields below
+const variantStateSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  lastPrice: {
+    type: Number,
+    required: true
+  },
+  lastInStock: {
+    type: Boolean,
+    required: true
+  }
+}, { _id: false });
+
+// Last price/stock state of a wishlisted product seen by the wishlist alert job.
+// lastPrice is the price last seen while in stock, so a drop that happens
+// while the item is sold out is still reported when it comes back.
+const WishlistAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  lastPrice: {
+    type: Number,
+    required: true
+  },
+  lastInStock: {
+    type: Boolean,
+    required: true
+  },
+  // One entry per variant, for products sold in variants
+  variants: {
+    type: [variantStateSchema],
+    default: []
+  },
+  lastAlertAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+WishlistAlertSchema.index({ product: 1 }, { unique: true });
+
+export default mongoose.model('WishlistAlert', WishlistAlertSchema);
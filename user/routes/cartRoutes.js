@@ -0,0 +1,27 @@
+import express from 'express';
+import { verifyClerkAuth } from '../../middleware/auth.js';
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart
+} from '../controllers/cartController.js';
+
+const router = express.Router();
+
+// All cart routes require Clerk auth
+router.use(verifyClerkAuth);
+
+router.get('/', getCart);
+router.post('/', addToCart);
+router.delete('/', clearCart);
+
+// Merge a guest cart into the stored cart after sign-in
+router.post('/merge', mergeCart);
+
+router.patch('/:itemId', updateCartItem);
+router.delete('/:itemId', removeCartItem);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { verifyClerkAuth } from '../../middleware/auth.js';
+import { validateCoupon } from '../controllers/couponController.js';
+
+const router = express.Router();
+
+// Check a coupon against the cart before checkout
+router.post('/validate', verifyClerkAuth, validateCoupon);
+
+export default router;
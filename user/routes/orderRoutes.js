@@ -2,27 +2,39 @@ import express from 'express';
 import { verifyAdminToken, verifyClerkAuth } from '../../middleware/auth.js';
 import {
   createOrder,
+  getOrderQuote,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
   updatePaymentStatus,
   getUserOrders,
   cancelOrder,
+  getOrderInvoice,
+  getOrderTracking,
   hasPurchasedProduct
 } from '../controllers/orderController.js';
+import { createReturn, getOrderReturns, cancelReturn } from '../controllers/returnController.js';
+import { memoryUpload } from '../../utils/multer.js';
+import { MAX_RETURN_PHOTOS } from '../../config/returns.js';
 
 const router = express.Router();
 
 // User routes (Clerk auth required)
 router.post('/', verifyClerkAuth, createOrder);
+router.post('/quote', verifyClerkAuth, getOrderQuote);
 router.get('/user/orders', verifyClerkAuth, getUserOrders);
 router.get('/:id', verifyClerkAuth, getOrderById);
-router.patch('/:id/payment', verifyClerkAuth, updatePaymentStatus);
+router.get('/:id/invoice', verifyClerkAuth, getOrderInvoice);
+router.get('/:id/tracking', verifyClerkAuth, getOrderTracking);
+router.get('/:id/returns', verifyClerkAuth, getOrderReturns);
+router.post('/:id/returns', verifyClerkAuth, memoryUpload.array('photos', MAX_RETURN_PHOTOS), createReturn);
+router.post('/:id/returns/:returnId/cancel', verifyClerkAuth, cancelReturn);
 router.post('/:id/cancel', verifyClerkAuth, cancelOrder);
 router.get('/purchased/:productId', verifyClerkAuth, hasPurchasedProduct);
 
 // Admin routes (admin auth required)
 router.get('/', verifyAdminToken, getAllOrders);
 router.patch('/:id/status', verifyAdminToken, updateOrderStatus);
+router.patch('/:id/payment', verifyAdminToken, updatePaymentStatus);
 
 export default router; 
\ No newline at end of file
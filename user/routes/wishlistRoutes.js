@@ -0,0 +1,20 @@
+import express from 'express';
+import { verifyClerkAuth } from '../../middleware/auth.js';
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist
+} from '../controllers/wishlistController.js';
+
+const router = express.Router();
+
+// All wishlist routes require Clerk auth
+router.use(verifyClerkAuth);
+
+router.get('/', getWishlist);
+router.post('/', addToWishlist);
+router.delete('/', clearWishlist);
+router.delete('/:productId', removeFromWishlist);
+
+export default router;
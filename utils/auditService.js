@@ -0,0 +1,22 @@
+import AuditLog from '../admin/models/AuditLog.js';
+
+/**
+ * Write an audit entry for an admin action. Failures are logged and never
+ * break the action being audited.
+ * @param {Object} req - The request (for the acting admin and IP)
+ * @param {Object} entry - { action, entityType, entityId, details }
+ */
+export const recordAudit = async (req, { action, entityType, entityId, details = {} }) => {
+  try {
+    await AuditLog.create({
+      actor: req.admin._id,
+      action,
+      entityType,
+      entityId,
+      details,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Error writing audit entry:', error);
+  }
+};
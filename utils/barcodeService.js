@@ -0,0 +1,145 @@
+import { nextSequence } from './sequenceService.js';
+import { createHttpError } from './httpError.js';
+import { BARCODE_EAN_PREFIX } from '../config/barcodes.js';
+
+// EAN-13 digit patterns: L and G on the left half, R on the right half
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+// The first digit isn't drawn; it picks which left-half digits use G patterns
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 symbols as bar/space widths, indexed by symbol value
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+/**
+ * Check digit of the first 12 digits of an EAN-13 code
+ */
+export const ean13CheckDigit = (digits) => {
+  const sum = [...digits.slice(0, 12)].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidEan13 = (code) => /^\d{13}$/.test(code) && ean13CheckDigit(code) === code[12];
+
+/**
+ * Assign the next EAN-13 code in our in-store range
+ * @returns {Promise<string>}
+ */
+export const generateEan13 = async () => {
+  const value = await nextSequence('barcode');
+  const digits = `${BARCODE_EAN_PREFIX}${String(value).padStart(12 - BARCODE_EAN_PREFIX.length, '0')}`;
+
+  if (digits.length > 12) {
+    throw createHttpError(500, 'The barcode range is used up');
+  }
+
+  return `${digits}${ean13CheckDigit(digits)}`;
+};
+
+/**
+ * Bars of an EAN-13 code as a string of modules, '1' for black
+ */
+export const encodeEan13 = (code) => {
+  if (!isValidEan13(code)) {
+    throw createHttpError(400, `Invalid EAN-13 code: ${code}`);
+  }
+
+  const parity = EAN_PARITY[Number(code[0])];
+  const left = [...code.slice(1, 7)]
+    .map((digit, index) => (parity[index] === 'L' ? EAN_L : EAN_G)[Number(digit)])
+    .join('');
+  const right = [...code.slice(7)].map((digit) => EAN_R[Number(digit)]).join('');
+
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Bars of a Code 128 (code set B) barcode as a string of modules, '1' for black
+ */
+export const encodeCode128 = (text) => {
+  const values = [...String(text)].map((char) => char.charCodeAt(0) - 32);
+  if (values.length === 0 || values.some((value) => value < 0 || value > 95)) {
+    throw createHttpError(400, `Cannot print "${text}" as a Code 128 barcode`);
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+
+  return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+    .map((value) => [...CODE128_WIDTHS[value]]
+      .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+      .join(''))
+    .join('');
+};
+
+/**
+ * The barcode printed for a product or variant: its EAN-13 code when it has
+ * one, otherwise its SKU as Code 128
+ * @returns {Object} - { symbology: 'ean13' | 'code128', value, modules }
+ */
+export const getBarcode = ({ barcode, sku }) => (
+  barcode
+    ? { symbology: 'ean13', value: barcode, modules: encodeEan13(barcode) }
+    : { symbology: 'code128', value: sku, modules: encodeCode128(sku) }
+);
+
+/**
+ * Draw barcode modules into a PDFKit document, leaving a quiet zone on both sides
+ * @param {Object} doc - PDFKit document
+ * @param {string} modules - Output of encodeEan13 or encodeCode128
+ * @param {Object} box - { x, y, width, height }
+ */
+export const drawBarcode = (doc, modules, { x, y, width, height }) => {
+  const quietZone = 10;
+  const moduleWidth = width / (modules.length + quietZone * 2);
+
+  let start = -1;
+  [...modules, '0'].forEach((module, index) => {
+    if (module === '1' && start < 0) {
+      start = index;
+    } else if (module !== '1' && start >= 0) {
+      doc.rect(x + (quietZone + start) * moduleWidth, y, (index - start) * moduleWidth, height);
+      start = -1;
+    }
+  });
+
+  doc.fillColor('black').fill();
+};
+
+/**
+ * Give a product and its variants EAN-13 codes where they have none. A product
+ * with variants is scanned by its variant codes, so the product itself only
+ * gets one when it has no variants.
+ * @param {Object} product - Product document; changes are left unsaved
+ * @returns {Promise<number>} - How many codes were assigned
+ */
+export const assignMissingBarcodes = async (product) => {
+  const targets = product.variants?.length > 0 ? product.variants : [product];
+  let assigned = 0;
+
+  for (const target of targets) {
+    if (!target.barcode) {
+      target.barcode = await generateEan13();
+      assigned += 1;
+    }
+  }
+
+  return assigned;
+};
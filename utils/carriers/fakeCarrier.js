@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { FAKE_CARRIER } from '../../config/carriers.js';
+
+// Fake carrier event codes => shipment statuses
+const STATUS_CODES = {
+  BOOKED: 'label_created',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  FAILED_ATTEMPT: 'failed_attempt',
+  DELIVERED: 'delivered',
+  RTO: 'returned_to_origin'
+};
+
+const secretsMatch = (expected, received) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * A carrier that lives entirely inside this app. Booking hands out FAKE
+ * tracking numbers and the webhook accepts
+ * `{ trackingNumber, events: [{ id, code, message, location, timestamp }] }`
+ * (or an array of those), so tracking can be driven with plain HTTP calls.
+ */
+const fakeCarrier = {
+  code: 'fake',
+  name: 'Local Test Carrier',
+
+  verifyWebhook(req) {
+    if (!FAKE_CARRIER.webhookSecret) {
+      return false;
+    }
+    return secretsMatch(FAKE_CARRIER.webhookSecret, req.headers['x-fake-carrier-secret']);
+  },
+
+  parseWebhook(req) {
+    const payloads = Array.isArray(req.body) ? req.body : [req.body];
+
+    return payloads.flatMap((payload) => (payload?.events || [])
+      .filter((event) => STATUS_CODES[event.code])
+      .map((event) => ({
+        trackingNumber: payload.trackingNumber,
+        eventId: event.id,
+        status: STATUS_CODES[event.code],
+        description: event.message,
+        location: event.location,
+        occurredAt: event.timestamp
+      })));
+  },
+
+  async bookShipment() {
+    return {
+      trackingNumber: `FAKE${Date.now()}${crypto.randomInt(100, 1000)}`,
+      estimatedDelivery: new Date(Date.now() + FAKE_CARRIER.transitDays * 24 * 60 * 60 * 1000)
+    };
+  },
+
+  getTrackingUrl() {
+    return null;
+  }
+};
+
+export default fakeCarrier;
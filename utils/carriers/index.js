@@ -0,0 +1,47 @@
+import fakeCarrier from './fakeCarrier.js';
+import { FAKE_CARRIER } from '../../config/carriers.js';
+
+/**
+ * Carrier adapters, keyed by code. An adapter is an object with:
+ *
+ * - `code` / `name`: identifier used in URLs and on shipments, and a display name
+ * - `verifyWebhook(req)`: whether a webhook request really comes from the carrier
+ * - `parseWebhook(req)`: the request body as a list of tracking events
+ *   `{ trackingNumber, eventId, status, description, location, occurredAt }`,
+ *   with `status` mapped onto SHIPMENT_STATUSES
+ * - `bookShipment({ order, shipment })` (optional): book the parcel with the
+ *   carrier, resolving to `{ trackingNumber, trackingUrl, estimatedDelivery }`
+ * - `getTrackingUrl(trackingNumber)` (optional): public tracking page
+ *
+ * Shipments can also name a carrier with no adapter; those are tracked by
+ * entering events by hand.
+ */
+const adapters = new Map();
+
+/**
+ * Make a carrier adapter available for bookings and webhooks
+ */
+export const registerCarrier = (adapter) => {
+  if (!adapter?.code || typeof adapter.parseWebhook !== 'function' || typeof adapter.verifyWebhook !== 'function') {
+    throw new Error('A carrier adapter needs a code, verifyWebhook() and parseWebhook()');
+  }
+  adapters.set(adapter.code.toLowerCase(), adapter);
+};
+
+/**
+ * The adapter for a carrier code, or null when the carrier has none
+ */
+export const getCarrier = (code) => adapters.get(String(code || '').toLowerCase()) || null;
+
+/**
+ * Registered carriers and what they support
+ */
+export const listCarriers = () => [...adapters.values()].map((adapter) => ({
+  code: adapter.code,
+  name: adapter.name,
+  canBook: typeof adapter.bookShipment === 'function'
+}));
+
+if (FAKE_CARRIER.enabled) {
+  registerCarrier(fakeCarrier);
+}
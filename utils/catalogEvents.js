@@ -0,0 +1,56 @@
+import { EventEmitter } from 'events';
+
+// Query writes that can change catalog documents
+const WRITE_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+];
+
+// Paths a stock movement writes: the product's stock, a variant's stock, and
+// the timestamp Mongoose adds to every update
+const STOCK_PATH = /^(stock|variants\.(\$|\$\[\w*\]|\d+)\.stock|updatedAt)$/;
+
+/**
+ * Whether a query update only moves stock, like the ones inventoryService
+ * makes on every checkout and cancellation
+ */
+const isStockUpdate = (update) => {
+  if (!update || Array.isArray(update)) {
+    return false;
+  }
+  const paths = Object.entries(update)
+    .flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value || {}) : [key]));
+  return paths.some((path) => path !== 'updatedAt') && paths.every((path) => STOCK_PATH.test(path));
+};
+
+/**
+ * Emits 'change' with the model name after a product, category or subcategory
+ * is written, or 'stock' instead when a query only moved stock. Indexes kept
+ * in memory over the catalog listen to it to know when they are out of date.
+ */
+export const catalogEvents = new EventEmitter();
+
+/**
+ * Report every write to a schema's documents through catalogEvents. Called
+ * from the model files so writes from anywhere in the app are seen.
+ * @param {Object} schema - Mongoose schema, before the model is compiled
+ * @param {string} modelName - Name passed along with the event
+ */
+export const trackCatalogChanges = (schema, modelName) => {
+  const emit = () => {
+    catalogEvents.emit('change', modelName);
+  };
+
+  schema.post('save', emit);
+  schema.post('insertMany', emit);
+  schema.post(WRITE_QUERIES, { document: false, query: true }, function emitQuery() {
+    catalogEvents.emit(isStockUpdate(this.getUpdate()) ? 'stock' : 'change', modelName);
+  });
+  schema.post('deleteOne', { document: true, query: false }, emit);
+};
@@ -0,0 +1,193 @@
+import Coupon from '../admin/models/Coupon.js';
+import CouponRedemption from '../admin/models/CouponRedemption.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Record one use of a coupon by a user in the first free per-user slot
+ * @returns {Promise<Object|null>} - The redemption, or null when every slot is taken
+ */
+const createRedemption = async (coupon, order, discount) => {
+  for (let slot = 1; slot <= coupon.perUserLimit; slot++) {
+    try {
+      return await CouponRedemption.create({
+        coupon: discount.coupon,
+        code: discount.code,
+        user: order.userId,
+        order: order._id,
+        amount: discount.amount,
+        slot
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether an order line falls within the coupon's product/category scope
+ */
+const isLineEligible = (coupon, line) => {
+  const { categories = [], subcategories = [], products = [] } = coupon.appliesTo || {};
+
+  if (categories.length === 0 && subcategories.length === 0 && products.length === 0) {
+    return true;
+  }
+
+  const matches = (ids, id) => id && ids.some((scopeId) => scopeId.toString() === id.toString());
+
+  return (
+    matches(products, line.productId) ||
+    matches(categories, line.category) ||
+    matches(subcategories, line.subcategory)
+  );
+};
+
+/**
+ * Check a coupon against a cart and compute its discount
+ * @param {string} code - The coupon code entered by the customer
+ * @param {Object} context - { userId, lines, subtotal } where lines come from priceItems
+ * @returns {Promise<Object>} - { coupon, discount: { coupon, code, type, amount }, eligibleLines }
+ */
+export const evaluateCoupon = async (code, { userId, lines, subtotal }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw createHttpError(400, 'Invalid coupon code');
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw createHttpError(400, 'This coupon is not active yet');
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw createHttpError(400, 'This coupon has expired');
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw createHttpError(400, 'This coupon has reached its usage limit');
+  }
+
+  if (userId) {
+    const userRedemptions = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: userId,
+      status: 'applied'
+    });
+
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw createHttpError(400, 'You have already used this coupon');
+    }
+  }
+
+  if (subtotal < coupon.minCartValue) {
+    throw createHttpError(400, `Add items worth ₹${roundCurrency(coupon.minCartValue - subtotal)} more to use this coupon`);
+  }
+
+  // Indexes of the lines the discount is spread over
+  const eligibleLines = lines
+    .map((line, index) => (isLineEligible(coupon, line) ? index : -1))
+    .filter((index) => index !== -1);
+
+  const eligibleAmount = eligibleLines.reduce((sum, index) => sum + lines[index].totalPrice, 0);
+
+  if (eligibleAmount <= 0) {
+    throw createHttpError(400, 'This coupon does not apply to any item in your cart');
+  }
+
+  let amount = coupon.type === 'percentage'
+    ? (eligibleAmount * coupon.value) / 100
+    : coupon.value;
+
+  if (coupon.type === 'percentage' && coupon.maxDiscount !== null) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+
+  amount = roundCurrency(Math.min(amount, eligibleAmount));
+
+  return {
+    coupon,
+    discount: {
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      amount
+    },
+    eligibleLines
+  };
+};
+
+/**
+ * Record the use of an order's coupons. The global usage limit is enforced with
+ * a conditional update and the per-user limit with unique redemption slots, so
+ * concurrent checkouts can't exceed either.
+ * @param {Object} order - The order ({ _id, userId, discounts })
+ */
+export const redeemOrderCoupons = async (order) => {
+  for (const discount of order.discounts || []) {
+    if (!discount.coupon) {
+      continue;
+    }
+
+    const claimed = await Coupon.findOneAndUpdate(
+      {
+        _id: discount.coupon,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } }
+    );
+
+    if (!claimed) {
+      await reverseOrderRedemptions(order);
+      throw createHttpError(409, `Coupon ${discount.code} has reached its usage limit`);
+    }
+
+    let redemption = null;
+    try {
+      redemption = await createRedemption(claimed, order, discount);
+    } finally {
+      if (!redemption) {
+        // This use was counted but never recorded, so reversing won't give it back
+        await Coupon.updateOne({ _id: discount.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      }
+    }
+
+    if (!redemption) {
+      await reverseOrderRedemptions(order);
+      throw createHttpError(409, 'You have already used this coupon');
+    }
+  }
+};
+
+/**
+ * Give back the coupon uses of an order (cancellation or failed checkout).
+ * Safe to call more than once.
+ * @param {Object} order - The order
+ */
+export const reverseOrderRedemptions = async (order) => {
+  const redemptions = await CouponRedemption.find({ order: order._id, status: 'applied' });
+
+  for (const redemption of redemptions) {
+    const reversed = await CouponRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'applied' },
+      { $set: { status: 'reversed', reversedAt: new Date() } }
+    );
+
+    if (reversed) {
+      await Coupon.updateOne(
+        { _id: redemption.coupon, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+      );
+    }
+  }
+};
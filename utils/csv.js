@@ -0,0 +1,80 @@
+/**
+ * Parse CSV text into rows of fields, each with the file line it starts on
+ * (from 1), counted before blank lines are skipped
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Line breaks inside a quoted field still move on to the next file line
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows.filter(({ fields }) => fields.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields with commas,
+ * doubled quotes and line breaks, CRLF line endings and a UTF-8 BOM.
+ * @param {string} text - The CSV file contents
+ * @returns {Array<Array<string>>} - The rows, blank lines skipped
+ */
+export const parseCsv = (text) => parseCsvRows(text).map(({ fields }) => fields);
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name
+ * @param {string} text - The CSV file contents
+ * @param {Function} normalizeHeader - Maps each header cell to the key used in the objects
+ * @returns {Array<Object>} - { line, values } per data row, `line` being the line of the file it starts on
+ */
+export const parseCsvRecords = (text, normalizeHeader = (header) => header.trim()) => {
+  const [{ fields: header = [] } = {}, ...rows] = parseCsvRows(text);
+  const keys = header.map(normalizeHeader);
+
+  return rows.map(({ line, fields }) => ({
+    line,
+    values: Object.fromEntries(keys.map((key, column) => [key, (fields[column] ?? '').trim()]))
+  }));
+};
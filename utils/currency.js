@@ -0,0 +1,6 @@
+/**
+ * Round an amount to paise
+ * @param {number} amount - Amount in rupees
+ * @returns {number} - The amount rounded to two decimals
+ */
+export const roundCurrency = (amount) => Math.round(amount * 100) / 100;
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import User from '../user/models/User.js';
+import Order from '../user/models/Order.js';
+import Return from '../user/models/Return.js';
+import OfflineOrder from '../admin/models/OfflineOrder.js';
+import OfflineReturn from '../admin/models/OfflineReturn.js';
+import OfflineCustomer from '../admin/models/OfflineCustomer.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+
+// Online orders that count as purchases: paid for and not cancelled
+const PURCHASED_ORDER_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered', 'returned'];
+
+/**
+ * Reduce an Indian mobile number to its ten digits, dropping spaces, dashes
+ * and a +91, 91 or 0 prefix
+ * @returns {string|null} - The ten digits, or null when it isn't a mobile number
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  const local = digits.length === 12 && digits.startsWith('91')
+    ? digits.slice(2)
+    : digits.length === 11 && digits.startsWith('0') ? digits.slice(1) : digits;
+
+  return /^[6-9]\d{9}$/.test(local) ? local : null;
+};
+
+/**
+ * The online account with a phone number. Accounts store the number as the
+ * sign-in provider gave it, so the usual spellings are tried. Nothing is
+ * returned when several accounts share the number.
+ */
+export const findUserByPhone = async (phone) => {
+  const local = normalizePhone(phone);
+  if (!local) {
+    return null;
+  }
+
+  const users = await User.find({
+    phoneNumber: { $in: [local, `+91${local}`, `91${local}`, `0${local}`, `+91 ${local}`] }
+  })
+    .select('firstName lastName email phoneNumber statistics')
+    .limit(2);
+
+  return users.length === 1 ? users[0] : null;
+};
+
+/**
+ * Hand a walk-in customer record over to the online account with the same
+ * phone number: its sales are attributed to the account and its spend is
+ * added to the account's statistics. Does nothing if already linked.
+ */
+const linkOfflineCustomer = async (phone, user) => {
+  const customer = await OfflineCustomer.findOneAndUpdate(
+    { phone, userId: null },
+    { $set: { userId: user._id, linkedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!customer) {
+    return;
+  }
+
+  await OfflineOrder.updateMany({ customerId: customer._id }, { $set: { userId: user._id } });
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $inc: {
+        'statistics.offlineOrders': customer.statistics.totalOrders,
+        'statistics.offlineSpent': customer.statistics.totalSpent
+      },
+      ...(customer.statistics.lastOrderDate
+        ? { $max: { 'statistics.lastOfflineOrderDate': customer.statistics.lastOrderDate } }
+        : {})
+    }
+  );
+};
+
+/**
+ * Work out who is buying at the till: the online account with the phone
+ * number, or else a walk-in customer record, created on first purchase.
+ * Numbers that aren't Indian mobile numbers are left unmatched.
+ * @param {Object} details - { name, phone }
+ * @returns {Promise<Object>} - { userId, customerId }
+ */
+export const resolvePosCustomer = async ({ name, phone }) => {
+  const local = normalizePhone(phone);
+  if (!local) {
+    return { userId: null, customerId: null };
+  }
+
+  const user = await findUserByPhone(local);
+  if (user) {
+    await linkOfflineCustomer(local, user);
+    return { userId: user._id, customerId: null };
+  }
+
+  const customer = await OfflineCustomer.findOneAndUpdate(
+    { phone: local },
+    { $setOnInsert: { phone: local, name } },
+    { new: true, upsert: true }
+  );
+
+  return { userId: null, customerId: customer._id };
+};
+
+/**
+ * Add a POS sale to (or, with negative values, take a void or return off)
+ * the buyer's offline statistics
+ * @param {Object} order - The OfflineOrder
+ * @param {Object} change - { orders, amount }
+ */
+export const recordOfflineSpend = async (order, { orders = 0, amount = 0 }) => {
+  const date = orders > 0 ? order.createdAt || new Date() : null;
+
+  if (order.userId) {
+    await User.updateOne(
+      { _id: order.userId },
+      {
+        $inc: { 'statistics.offlineOrders': orders, 'statistics.offlineSpent': roundCurrency(amount) },
+        ...(date ? { $max: { 'statistics.lastOfflineOrderDate': date } } : {})
+      }
+    );
+  } else if (order.customerId) {
+    await OfflineCustomer.updateOne(
+      { _id: order.customerId },
+      {
+        $inc: { 'statistics.totalOrders': orders, 'statistics.totalSpent': roundCurrency(amount) },
+        ...(date ? { $max: { 'statistics.lastOrderDate': date } } : {})
+      }
+    );
+  }
+};
+
+/**
+ * Find a customer from an account id, a walk-in customer id or a phone number
+ * @param {Object} query - { userId, customerId, phone }
+ * @returns {Promise<Object>} - { user, offlineCustomers }
+ */
+const findCustomer = async ({ userId, customerId, phone }) => {
+  if (userId || customerId) {
+    const id = userId || customerId;
+    if (!mongoose.isValidObjectId(id)) {
+      throw createHttpError(400, 'Invalid customer id');
+    }
+  }
+
+  let user = null;
+  if (userId) {
+    user = await User.findById(userId).select('firstName lastName email phoneNumber statistics createdAt');
+  } else if (customerId) {
+    const customer = await OfflineCustomer.findById(customerId);
+    if (!customer) {
+      throw createHttpError(404, 'Customer not found');
+    }
+    if (!customer.userId) {
+      return { user: null, offlineCustomers: [customer] };
+    }
+    user = await User.findById(customer.userId).select('firstName lastName email phoneNumber statistics createdAt');
+  } else if (phone) {
+    const local = normalizePhone(phone);
+    if (!local) {
+      throw createHttpError(400, 'Please enter a valid 10-digit mobile number');
+    }
+    user = await findUserByPhone(local);
+    if (!user) {
+      const customer = await OfflineCustomer.findOne({ phone: local });
+      if (!customer) {
+        throw createHttpError(404, 'Customer not found');
+      }
+      return { user: null, offlineCustomers: [customer] };
+    }
+  } else {
+    throw createHttpError(400, 'A user id, customer id or phone number is required');
+  }
+
+  if (!user) {
+    throw createHttpError(404, 'Customer not found');
+  }
+
+  return { user, offlineCustomers: await OfflineCustomer.find({ userId: user._id }) };
+};
+
+/**
+ * A customer's online and in-store purchases in one timeline, with what
+ * they have spent net of refunds
+ * @param {Object} query - { userId, customerId, phone }
+ * @returns {Promise<Object>} - { customer, lifetimeValue, orders }
+ */
+export const getCustomerHistory = async (query) => {
+  const { user, offlineCustomers } = await findCustomer(query);
+
+  const offlineMatch = user
+    ? { $or: [{ userId: user._id }, { customerId: { $in: offlineCustomers.map((c) => c._id) } }] }
+    : { customerId: offlineCustomers[0]._id };
+
+  const [onlineOrders, offlineOrders] = await Promise.all([
+    user
+      ? Order.find({ userId: user._id, status: { $in: PURCHASED_ORDER_STATUSES } })
+        .select('orderNumber status total items.quantity createdAt')
+        .sort({ createdAt: -1 })
+        .lean()
+      : [],
+    OfflineOrder.find({ ...offlineMatch, status: 'completed' })
+      .select('orderNumber status total items.quantity payment.method exchangeFor createdAt')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  const [onlineReturns, offlineReturns] = await Promise.all([
+    user
+      ? Return.find({ orderId: { $in: onlineOrders.map((o) => o._id) }, status: 'completed', resolution: 'refund' })
+        .select('refund.amount')
+        .lean()
+      : [],
+    OfflineReturn.find({ offlineOrderId: { $in: offlineOrders.map((o) => o._id) } })
+      .select('returnedAmount')
+      .lean()
+  ]);
+
+  const sum = (rows, valueOf) => roundCurrency(rows.reduce((total, row) => total + (valueOf(row) || 0), 0));
+  const online = roundCurrency(sum(onlineOrders, (o) => o.total) - sum(onlineReturns, (r) => r.refund?.amount));
+  const offline = roundCurrency(sum(offlineOrders, (o) => o.total) - sum(offlineReturns, (r) => r.returnedAmount));
+  const orderCount = onlineOrders.length + offlineOrders.length;
+  const total = roundCurrency(online + offline);
+
+  const toEntry = (channel) => (order) => ({
+    channel,
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    total: order.total,
+    itemCount: order.items.reduce((count, item) => count + item.quantity, 0),
+    paymentMethod: order.payment?.method,
+    createdAt: order.createdAt
+  });
+  const orders = [...onlineOrders.map(toEntry('online')), ...offlineOrders.map(toEntry('offline'))]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return {
+    customer: {
+      userId: user?._id || null,
+      offlineCustomerIds: offlineCustomers.map((c) => c._id),
+      name: user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : offlineCustomers[0].name,
+      email: user?.email || null,
+      phone: user?.phoneNumber || offlineCustomers[0]?.phone || null,
+      firstSeen: orders.length > 0 ? orders[orders.length - 1].createdAt : user?.createdAt || null
+    },
+    lifetimeValue: {
+      online,
+      offline,
+      total,
+      onlineOrders: onlineOrders.length,
+      offlineOrders: offlineOrders.length,
+      averageOrderValue: orderCount > 0 ? roundCurrency(total / orderCount) : 0,
+      lastOrderDate: orders[0]?.createdAt || null
+    },
+    orders
+  };
+};
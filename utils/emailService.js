@@ -35,3 +35,62 @@ export const sendPasswordResetEmail = async (
 
   await transporter.sendMail(message);
 };
+
+// Send a back-in-stock or price-drop alert for a wishlisted product
+export const sendWishlistAlertEmail = async (email, { firstName, product, type, oldPrice, newPrice, variantLabel }) => {
+  const productUrl = `${process.env.FRONTEND_URL}/product/${product._id}`;
+  const greeting = firstName ? `Hi ${firstName},` : "Hi,";
+  const itemName = variantLabel ? `${product.name} (${variantLabel})` : product.name;
+  const priceNote = oldPrice !== undefined ? ` Its price has dropped from ₹${oldPrice} to ₹${newPrice}.` : "";
+
+  const details =
+    type === "back_in_stock"
+      ? `<p><strong>${itemName}</strong> from your wishlist is back in stock.${priceNote}</p>`
+      : `<p>The price of <strong>${itemName}</strong> from your wishlist has dropped from ₹${oldPrice} to ₹${newPrice}.</p>`;
+
+  const message = {
+    from: process.env.EMAIL_FROM || '"Admin System" <admin@example.com>',
+    to: email,
+    subject:
+      type === "back_in_stock"
+        ? `Back in stock: ${product.name}`
+        : `Price drop: ${product.name}`,
+    html: `
+      <p>${greeting}</p>
+      ${details}
+      <a href="${productUrl}" target="_blank">View product</a>
+      <p>You are receiving this because the item is on your wishlist. You can turn off email notifications in your account preferences.</p>
+    `,
+  };
+
+  await transporter.sendMail(message);
+};
+
+const ORDER_STATUS_MESSAGES = {
+  confirmed: "has been confirmed and will be packed soon",
+  shipped: "has been shipped",
+  delivered: "has been delivered",
+  cancelled: "has been cancelled",
+  returned: "has been returned",
+};
+
+// Tell a customer their order moved to a new status
+export const sendOrderStatusEmail = async (email, { firstName, order, note }) => {
+  const orderUrl = `${process.env.FRONTEND_URL}/orders/${order._id}`;
+  const greeting = firstName ? `Hi ${firstName},` : "Hi,";
+  const statusMessage = ORDER_STATUS_MESSAGES[order.status] || `is now ${order.status}`;
+
+  const message = {
+    from: process.env.EMAIL_FROM || '"Admin System" <admin@example.com>',
+    to: email,
+    subject: `Order #${order.orderNumber} ${order.status}`,
+    html: `
+      <p>${greeting}</p>
+      <p>Your order <strong>#${order.orderNumber}</strong> ${statusMessage}.</p>
+      ${note ? `<p>${note}</p>` : ""}
+      <a href="${orderUrl}" target="_blank">View order</a>
+    `,
+  };
+
+  await transporter.sendMail(message);
+};
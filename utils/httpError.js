@@ -0,0 +1,11 @@
+/**
+ * Creates an Error carrying the HTTP status code a controller should respond with
+ * @param {number} statusCode - The HTTP status code
+ * @param {string} message - The error message
+ * @returns {Error} - The error with a `statusCode` property
+ */
+export const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
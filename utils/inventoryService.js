@@ -0,0 +1,160 @@
+import Product from '../admin/models/Product.js';
+import Order from '../user/models/Order.js';
+import { createHttpError } from './httpError.js';
+import { RESERVATION_TTL_MINUTES } from '../config/inventory.js';
+
+/**
+ * Atomically take stock for one order line. The stock condition is part of the
+ * update filter, so two buyers racing for the last unit cannot both succeed.
+ * @returns {Promise<boolean>} - Whether the stock was taken
+ */
+const decrementItem = async ({ productId, quantity, variant }) => {
+  const variantId = variant?.variantId;
+
+  const result = variantId
+    ? await Product.updateOne(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+        { $inc: { stock: -quantity, 'variants.$.stock': -quantity } }
+      )
+    : await Product.updateOne(
+        { _id: productId, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity } }
+      );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Put stock for one order line back
+ */
+const incrementItem = async ({ productId, quantity, variant }) => {
+  const variantId = variant?.variantId;
+
+  if (variantId) {
+    await Product.updateOne(
+      { _id: productId, 'variants._id': variantId },
+      { $inc: { stock: quantity, 'variants.$.stock': quantity } }
+    );
+  } else {
+    await Product.updateOne({ _id: productId }, { $inc: { stock: quantity } });
+  }
+};
+
+/**
+ * Put stock back for a list of order items
+ * @param {Array} items - Order items ({ productId, quantity, variant })
+ */
+export const restoreStock = async (items) => {
+  for (const item of items) {
+    await incrementItem(item);
+  }
+};
+
+/**
+ * Take stock for every item, all or nothing. If any line is short, the lines
+ * already taken are put back and a 409 error is thrown.
+ * @param {Array} items - Order items ({ productId, name, quantity, variant })
+ */
+export const reserveStock = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    const taken = await decrementItem(item);
+
+    if (!taken) {
+      await restoreStock(reserved);
+      const label = item.variant?.sku ? `${item.name} (${item.variant.sku})` : item.name;
+      throw createHttpError(409, `Insufficient stock for product: ${label}`);
+    }
+
+    reserved.push(item);
+  }
+};
+
+/**
+ * Mark an online order's reservation as final once it has been paid for. If
+ * the reservation was released in the meantime (e.g. an earlier payment
+ * attempt failed), the stock is taken again.
+ * @param {Object} order - The order
+ * @returns {Promise<boolean>} - Whether the order's stock is now committed by this call
+ */
+export const commitOrderStock = async (order) => {
+  const committed = await Order.findOneAndUpdate(
+    { _id: order._id, 'inventory.status': 'reserved' },
+    { $set: { 'inventory.status': 'committed', 'inventory.committedAt': new Date() } }
+  );
+
+  if (committed) {
+    return true;
+  }
+
+  const reclaimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'inventory.status': 'released' },
+    { $set: { 'inventory.status': 'committed', 'inventory.committedAt': new Date() } }
+  );
+
+  if (!reclaimed) {
+    return false;
+  }
+
+  try {
+    await reserveStock(reclaimed.items);
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $set: { 'inventory.status': 'released' } });
+    throw error;
+  }
+
+  return true;
+};
+
+/**
+ * Give back the stock held by an online order (cancellation, failed payment).
+ * Safe to call more than once: only the first call restores stock.
+ * @param {Object} order - The order
+ * @returns {Promise<boolean>} - Whether stock was restored by this call
+ */
+export const releaseOrderStock = async (order) => {
+  const released = await Order.findOneAndUpdate(
+    { _id: order._id, 'inventory.status': { $in: ['reserved', 'committed'] } },
+    { $set: { 'inventory.status': 'released', 'inventory.releasedAt': new Date() } }
+  );
+
+  if (!released) {
+    return false;
+  }
+
+  await restoreStock(released.items);
+  return true;
+};
+
+/**
+ * Give back the stock of online orders left unpaid past the reservation TTL.
+ * Orders are claimed one at a time with the unpaid state in the filter, so a
+ * payment confirmed meanwhile keeps its stock. COD orders are never expired.
+ * @param {Date} now - Time to measure the TTL from
+ * @returns {Promise<number>} - Number of reservations released
+ */
+export const releaseExpiredReservations = async (now = new Date()) => {
+  const filter = {
+    status: 'pending',
+    'payment.method': 'razorpay',
+    'payment.status': 'pending',
+    'inventory.status': 'reserved',
+    'inventory.reservedAt': { $lte: new Date(now.getTime() - RESERVATION_TTL_MINUTES * 60 * 1000) }
+  };
+
+  let count = 0;
+  for (;;) {
+    const expired = await Order.findOneAndUpdate(
+      filter,
+      { $set: { 'inventory.status': 'released', 'inventory.releasedAt': now } }
+    );
+
+    if (!expired) {
+      return count;
+    }
+
+    await restoreStock(expired.items);
+    count++;
+  }
+};
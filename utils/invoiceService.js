@@ -0,0 +1,337 @@
+import PDFDocument from 'pdfkit';
+import { nextSequenceNumber } from './sequenceService.js';
+import { createHttpError } from './httpError.js';
+import { SELLER } from '../config/invoice.js';
+
+// A claim older than this is assumed to belong to a request that died
+const CLAIM_TIMEOUT_MS = 30 * 1000;
+const CLAIM_POLL_MS = 250;
+const CLAIM_POLL_ATTEMPTS = 12;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Give an order its invoice number if it doesn't have one yet.
+ *
+ * The order is claimed before a number is taken from the counter, so two
+ * simultaneous downloads can't each consume a number and leave a gap in the
+ * series. A download that finds the order claimed waits for the number.
+ *
+ * @param {mongoose.Model} Model - Order or OfflineOrder
+ * @param {Object} order - The order document
+ * @returns {Promise<Object>} - The order with `invoice.number` set
+ */
+export const issueInvoice = async (Model, order) => {
+  if (order.invoice?.number) {
+    return order;
+  }
+
+  const now = new Date();
+  const claimed = await Model.findOneAndUpdate(
+    {
+      _id: order._id,
+      'invoice.number': null,
+      $or: [
+        { 'invoice.claimedAt': null },
+        { 'invoice.claimedAt': { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { 'invoice.claimedAt': now } }
+  );
+
+  if (!claimed) {
+    // Another request is assigning the number
+    for (let attempt = 0; attempt < CLAIM_POLL_ATTEMPTS; attempt++) {
+      await sleep(CLAIM_POLL_MS);
+      const current = await Model.findById(order._id).select('invoice');
+      if (current?.invoice?.number) {
+        order.invoice = current.invoice;
+        return order;
+      }
+    }
+    throw createHttpError(409, 'Invoice is being generated, please try again');
+  }
+
+  const invoice = {
+    number: await nextSequenceNumber('invoice', now),
+    issuedAt: now,
+    claimedAt: null
+  };
+
+  await Model.updateOne({ _id: order._id }, { $set: { invoice } });
+  order.invoice = invoice;
+
+  return order;
+};
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+const formatAddress = (address) => address
+  ? [address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', ')
+  : '';
+
+/**
+ * Normalise an online or POS order into what the invoice prints
+ * @param {Object} order - Order (with userId populated) or OfflineOrder
+ * @param {string} channel - 'online' or 'pos'
+ */
+const buildInvoiceData = (order, channel) => {
+  const isOnline = channel === 'online';
+  const user = isOnline && order.userId?.email ? order.userId : null;
+
+  return {
+    invoiceNumber: order.invoice.number,
+    issuedAt: order.invoice.issuedAt,
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    buyer: isOnline
+      ? {
+        name: user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : '',
+        email: user?.email || '',
+        billingAddress: formatAddress(order.billingAddress),
+        shippingAddress: formatAddress(order.shippingAddress)
+      }
+      : {
+        name: order.customerName,
+        phone: order.phone
+      },
+    taxSummary: order.taxSummary,
+    lines: order.items.map((item) => ({
+      name: item.name,
+      variant: item.variant?.attributes
+        ? [...item.variant.attributes.values()].join(' / ')
+        : '',
+      hsnCode: item.hsnCode || '',
+      quantity: item.quantity,
+      price: item.price,
+      tax: item.tax
+    })),
+    subtotal: order.subtotal,
+    discounts: order.discounts || [],
+    shippingCost: order.shippingCost || 0,
+    tax: order.tax,
+    total: order.total,
+    payment: {
+      method: order.payment?.method,
+      status: order.payment?.status,
+      reference: order.payment?.razorpayPaymentId || '',
+      // Tenders of a split POS payment
+      tenders: order.payment?.method === 'split' ? order.payment.tenders : []
+    }
+  };
+};
+
+/**
+ * Render the invoice of an order as a PDF. The output only depends on the
+ * stored order, so downloading the same invoice again gives the same file.
+ * @param {Object} order - Order or OfflineOrder with an issued invoice
+ * @param {string} channel - 'online' or 'pos'
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (order, channel) => new Promise((resolve, reject) => {
+  const data = buildInvoiceData(order, channel);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    info: {
+      Title: `Tax Invoice ${data.invoiceNumber}`,
+      Author: SELLER.name,
+      CreationDate: new Date(data.issuedAt)
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header: seller and invoice details
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'right' });
+  doc.moveDown(0.5);
+  doc.fontSize(12).text(SELLER.name, left);
+  doc.font('Helvetica').fontSize(9);
+  [
+    SELLER.address,
+    SELLER.state && `State: ${SELLER.state}`,
+    SELLER.gstin && `GSTIN: ${SELLER.gstin}`,
+    SELLER.email,
+    SELLER.phone
+  ].filter(Boolean).forEach((line) => doc.text(line));
+
+  doc.moveDown();
+  const detailsTop = doc.y;
+  doc.font('Helvetica-Bold').text('Invoice No: ', left, detailsTop, { continued: true })
+    .font('Helvetica').text(data.invoiceNumber);
+  doc.font('Helvetica-Bold').text('Invoice Date: ', { continued: true })
+    .font('Helvetica').text(formatDate(data.issuedAt));
+  doc.font('Helvetica-Bold').text('Order No: ', { continued: true })
+    .font('Helvetica').text(data.orderNumber);
+  doc.font('Helvetica-Bold').text('Order Date: ', { continued: true })
+    .font('Helvetica').text(formatDate(data.orderDate));
+  if (data.taxSummary?.placeOfSupply) {
+    const code = data.taxSummary.placeOfSupplyCode ? ` (${data.taxSummary.placeOfSupplyCode})` : '';
+    doc.font('Helvetica-Bold').text('Place of Supply: ', { continued: true })
+      .font('Helvetica').text(`${data.taxSummary.placeOfSupply}${code}`);
+  }
+  const detailsBottom = doc.y;
+
+  // Buyer
+  const buyerX = left + width / 2;
+  doc.font('Helvetica-Bold').text('Bill To', buyerX, detailsTop);
+  doc.font('Helvetica');
+  [
+    data.buyer.name,
+    data.buyer.email,
+    data.buyer.phone,
+    data.buyer.billingAddress
+  ].filter(Boolean).forEach((line) => doc.text(line, buyerX, doc.y, { width: width / 2 }));
+  if (data.buyer.shippingAddress) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text('Ship To', buyerX);
+    doc.font('Helvetica').text(data.buyer.shippingAddress, buyerX, doc.y, { width: width / 2 });
+  }
+
+  // Line items
+  const interState = data.taxSummary?.supplyType === 'inter-state';
+  const columns = [
+    { label: 'Item', width: 150, align: 'left' },
+    { label: 'HSN', width: 45, align: 'left' },
+    { label: 'Qty', width: 30, align: 'right' },
+    { label: 'Rate', width: 65, align: 'right' },
+    { label: 'Taxable', width: 65, align: 'right' },
+    { label: 'GST %', width: 35, align: 'right' },
+    { label: interState ? 'IGST' : 'CGST + SGST', width: 60, align: 'right' },
+    { label: 'Amount', width: width - 450, align: 'right' }
+  ];
+
+  const drawRow = (cells, y, font = 'Helvetica') => {
+    let x = left;
+    doc.font(font).fontSize(8);
+    const heights = cells.map((cell, index) => doc.heightOfString(String(cell), { width: columns[index].width - 4 }));
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + 2, y, { width: columns[index].width - 4, align: columns[index].align });
+      x += columns[index].width;
+    });
+    return y + Math.max(...heights) + 6;
+  };
+
+  let y = Math.max(doc.y, detailsBottom) + 20;
+  doc.moveTo(left, y - 4).lineTo(left + width, y - 4).stroke();
+  y = drawRow(columns.map((column) => column.label), y, 'Helvetica-Bold');
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  data.lines.forEach((line) => {
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+
+    const taxableValue = line.tax ? line.tax.taxableValue : line.price * line.quantity;
+    const lineTax = line.tax ? line.tax.total : 0;
+    const gstAmount = line.tax
+      ? (interState ? formatAmount(line.tax.igst) : `${formatAmount(line.tax.cgst)} + ${formatAmount(line.tax.sgst)}`)
+      : '-';
+
+    y = drawRow([
+      line.variant ? `${line.name} (${line.variant})` : line.name,
+      line.hsnCode,
+      line.quantity,
+      formatAmount(line.price),
+      formatAmount(taxableValue),
+      line.tax ? line.tax.rate : '-',
+      gstAmount,
+      formatAmount(taxableValue + lineTax)
+    ], y);
+  });
+
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+  y += 10;
+
+  // Totals
+  const totalsX = left + width - 220;
+  const totalRow = (label, value, font = 'Helvetica') => {
+    doc.font(font).fontSize(9);
+    doc.text(label, totalsX, y, { width: 120 });
+    doc.text(value, totalsX + 120, y, { width: 100, align: 'right' });
+    y += 14;
+  };
+
+  totalRow('Subtotal', formatAmount(data.subtotal));
+  data.discounts.forEach((discount) => {
+    totalRow(`Discount${discount.code ? ` (${discount.code})` : ''}`, `- ${formatAmount(discount.amount)}`);
+  });
+  if (data.taxSummary) {
+    if (interState) {
+      totalRow('IGST', formatAmount(data.taxSummary.igst));
+    } else {
+      totalRow('CGST', formatAmount(data.taxSummary.cgst));
+      totalRow('SGST', formatAmount(data.taxSummary.sgst));
+    }
+  } else {
+    totalRow('Tax', formatAmount(data.tax));
+  }
+  if (data.shippingCost) {
+    totalRow('Shipping', formatAmount(data.shippingCost));
+  }
+  totalRow('Total', formatAmount(data.total), 'Helvetica-Bold');
+
+  // Payment
+  y += 10;
+  doc.font('Helvetica-Bold').fontSize(9).text('Payment', left, y);
+  doc.font('Helvetica').text(
+    [
+      data.payment.method && `Method: ${data.payment.method.toUpperCase()}`,
+      data.payment.status && `Status: ${data.payment.status}`,
+      data.payment.reference && `Reference: ${data.payment.reference}`
+    ].filter(Boolean).join('   ')
+  );
+  if (data.payment.tenders.length > 0) {
+    doc.text(data.payment.tenders
+      .map((tender) => `${tender.method.replace('_', ' ').toUpperCase()}: ${formatAmount(tender.amount)}`)
+      .join('   '));
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor('#666666')
+    .text('This is a computer generated invoice and does not require a signature.', left, doc.y, { width, align: 'center' });
+
+  doc.end();
+});
+
+/**
+ * Whether an invoice can be issued for an order. Online orders are invoiced
+ * once confirmed, POS sales once completed. An already issued invoice can
+ * always be downloaded again.
+ * @param {Object} order - Order or OfflineOrder
+ * @param {string} channel - 'online' or 'pos'
+ */
+export const canInvoice = (order, channel) => {
+  if (order.invoice?.number) {
+    return true;
+  }
+
+  if (channel === 'pos') {
+    return order.status === 'completed';
+  }
+
+  return ['confirmed', 'processing', 'shipped', 'delivered'].includes(order.status) ||
+    order.payment?.status === 'completed';
+};
+
+/**
+ * File name for the invoice download, e.g. INV-26-27-000001.pdf
+ */
+export const getInvoiceFileName = (order) => `${order.invoice.number.replace(/\//g, '-')}.pdf`;
@@ -0,0 +1,117 @@
+import PDFDocument from 'pdfkit';
+import Product from '../admin/models/Product.js';
+import { getBarcode, drawBarcode } from './barcodeService.js';
+import { createHttpError } from './httpError.js';
+import { LABEL_SHEET, MAX_LABELS_PER_REQUEST } from '../config/barcodes.js';
+
+const formatPrice = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Work out the labels to print. A product picked without a variant prints
+ * one set of labels per variant.
+ * @param {Array} selection - [{ productId, variantId, copies }]
+ * @returns {Promise<Array>} - [{ name, size, price, barcode }], one entry per printed label
+ */
+export const buildLabels = async (selection) => {
+  if (!Array.isArray(selection) || selection.length === 0) {
+    throw createHttpError(400, 'Select at least one product to print labels for');
+  }
+
+  const products = await Product.find({ _id: { $in: selection.map((item) => item.productId) } });
+  const labels = [];
+
+  selection.forEach((item) => {
+    const product = products.find((p) => p._id.toString() === String(item.productId));
+    if (!product) {
+      throw createHttpError(404, `Product not found: ${item.productId}`);
+    }
+
+    const copies = item.copies === undefined ? 1 : Number(item.copies);
+    if (!Number.isInteger(copies) || copies < 1) {
+      throw createHttpError(400, `Invalid number of copies for ${product.name}`);
+    }
+
+    let targets;
+    if (item.variantId) {
+      const variant = product.variants.id(item.variantId);
+      if (!variant) {
+        throw createHttpError(400, `Invalid variant selected for ${product.name}`);
+      }
+      targets = [variant];
+    } else {
+      targets = product.hasVariants ? product.variants : [null];
+    }
+
+    // Checked before the labels are built so a huge `copies` is refused up front
+    if (labels.length + targets.length * copies > MAX_LABELS_PER_REQUEST) {
+      throw createHttpError(400, `At most ${MAX_LABELS_PER_REQUEST} labels can be printed at once`);
+    }
+
+    targets.forEach((variant) => {
+      const label = {
+        name: product.name,
+        size: variant
+          ? variant.attributes.get('size') || [...variant.attributes.values()].join(' / ')
+          : '',
+        price: variant ? variant.effectivePrice : product.price,
+        barcode: getBarcode(variant || product)
+      };
+      for (let copy = 0; copy < copies; copy++) {
+        labels.push(label);
+      }
+    });
+  });
+
+  return labels;
+};
+
+/**
+ * Render labels onto A4 sheets, filling each row left to right
+ * @param {Array} labels - Output of buildLabels
+ * @returns {Promise<Buffer>}
+ */
+export const renderLabelSheetPdf = (labels) => new Promise((resolve, reject) => {
+  const { columns, rows, margin, gap } = LABEL_SHEET;
+  const doc = new PDFDocument({ size: 'A4', margin, autoFirstPage: false, info: { Title: 'Product labels' } });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const perPage = columns * rows;
+  labels.forEach((label, index) => {
+    if (index % perPage === 0) {
+      doc.addPage();
+    }
+
+    const labelWidth = (doc.page.width - margin * 2 - gap * (columns - 1)) / columns;
+    const labelHeight = (doc.page.height - margin * 2 - gap * (rows - 1)) / rows;
+    const slot = index % perPage;
+    const x = margin + (slot % columns) * (labelWidth + gap);
+    const y = margin + Math.floor(slot / columns) * (labelHeight + gap);
+    const padding = 6;
+    const innerWidth = labelWidth - padding * 2;
+
+    doc.lineWidth(0.25).strokeColor('#cccccc').rect(x, y, labelWidth, labelHeight).stroke();
+    doc.fillColor('black');
+
+    doc.font('Helvetica-Bold').fontSize(8)
+      .text(label.name, x + padding, y + padding, { width: innerWidth, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(7)
+      .text(label.size ? `Size: ${label.size}` : ' ', x + padding, y + padding + 11, { width: innerWidth / 2, lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(formatPrice(label.price), x + padding + innerWidth / 2, y + padding + 10, { width: innerWidth / 2, align: 'right', lineBreak: false });
+
+    const barcodeTop = y + padding + 24;
+    const barcodeHeight = Math.max(labelHeight - padding * 2 - 34, 10);
+    drawBarcode(doc, label.barcode.modules, { x: x + padding, y: barcodeTop, width: innerWidth, height: barcodeHeight });
+    doc.font('Helvetica').fontSize(7)
+      .text(label.barcode.value, x + padding, barcodeTop + barcodeHeight + 1, { width: innerWidth, align: 'center', lineBreak: false });
+  });
+
+  doc.end();
+});
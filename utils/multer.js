@@ -45,4 +45,27 @@ const upload = multer({
   },
 });
 
-export { upload };
+// Keep files in memory for handlers that stream them to Cloudinary
+const memoryUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit per file
+  },
+});
+
+// CSV files (imports), kept in memory for parsing
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Please upload a CSV file'), false);
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+  },
+});
+
+export { upload, memoryUpload, csvUpload };
@@ -0,0 +1,191 @@
+import Order from '../user/models/Order.js';
+import User from '../user/models/User.js';
+import Payment from '../user/models/Payment.js';
+import { createNotification } from '../admin/controllers/notificationController.js';
+import { commitOrderStock, releaseOrderStock } from './inventoryService.js';
+import { reverseOrderRedemptions } from './couponService.js';
+import { refundPayment, getRefundableAmount } from './refundService.js';
+import { sendOrderStatusEmail } from './emailService.js';
+import { createHttpError } from './httpError.js';
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+const STAFF = ['admin', 'superadmin'];
+
+// Allowed transitions: current status => next status => roles that may make
+// the change. `system` covers payment webhooks, carriers and the returns flow.
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: [...STAFF, 'system'],
+    cancelled: ['customer', ...STAFF, 'system']
+  },
+  confirmed: {
+    processing: [...STAFF, 'system'],
+    cancelled: ['customer', ...STAFF]
+  },
+  processing: {
+    shipped: [...STAFF, 'system'],
+    cancelled: STAFF
+  },
+  shipped: {
+    delivered: [...STAFF, 'system'],
+    // Undeliverable parcels coming back to the warehouse
+    returned: [...STAFF, 'system']
+  },
+  delivered: {
+    // Normally reached through a completed return; staff override is superadmin only
+    returned: ['superadmin', 'system']
+  },
+  cancelled: {},
+  returned: {}
+};
+
+// Statuses the customer is emailed about
+const EMAILED_STATUSES = ['confirmed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+/**
+ * Whether a role may move an order from one status to another
+ */
+export const canTransition = (from, to, role) => (ORDER_TRANSITIONS[from]?.[to] || []).includes(role);
+
+/**
+ * Refund what is left of a captured online payment when a paid order is cancelled
+ */
+const refundCancelledOrder = async (order, actor) => {
+  if (order.payment.method !== 'razorpay' || !['completed', 'partially_refunded'].includes(order.payment.status)) {
+    return;
+  }
+
+  const payment = await Payment.findOne({ orderId: order._id });
+  if (!payment || getRefundableAmount(payment) <= 0) {
+    return;
+  }
+
+  try {
+    await refundPayment(payment, {
+      amount: getRefundableAmount(payment),
+      reason: 'Order cancelled',
+      idempotencyKey: `cancel-${order._id}`,
+      source: 'cancellation',
+      ...(actor.role !== 'customer' && actor.role !== 'system' && { createdBy: actor.id })
+    });
+  } catch (error) {
+    console.error('Error refunding cancelled order:', order.orderNumber, error);
+    await createNotification(
+      'payment',
+      `Refund for cancelled order #${order.orderNumber} failed: ${error.message}`,
+      {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        error: error.message
+      }
+    );
+  }
+};
+
+/**
+ * Work that follows a status change: stock, coupons, refunds, notifications and emails.
+ * Failures are logged so they never undo the transition itself.
+ */
+const runTransitionEffects = async (order, from, { actor, note }) => {
+  try {
+    if (order.status === 'confirmed') {
+      // Payment flows have usually committed already; this covers COD orders
+      await commitOrderStock(order);
+    }
+
+    if (order.status === 'cancelled') {
+      await releaseOrderStock(order);
+      await reverseOrderRedemptions(order);
+      await refundCancelledOrder(order, actor);
+    }
+
+    if (order.status === 'returned' && from === 'shipped') {
+      // Parcel came back undelivered (RTO). Delivered orders are restocked line
+      // by line when their return is inspected, so they are skipped here.
+      await releaseOrderStock(order);
+    }
+
+    await createNotification(
+      'order',
+      `Order #${order.orderNumber} status updated from ${from} to ${order.status}`,
+      {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        from,
+        status: order.status,
+        actor: actor.role
+      }
+    );
+
+    if (EMAILED_STATUSES.includes(order.status)) {
+      const user = await User.findById(order.userId).select('email firstName preferences');
+      if (user?.email && user.preferences?.emailNotifications !== false) {
+        await sendOrderStatusEmail(user.email, { firstName: user.firstName, order, note });
+      }
+    }
+  } catch (error) {
+    console.error(`Error running ${from} -> ${order.status} effects for order:`, order.orderNumber, error);
+  }
+};
+
+/**
+ * Move an order to a new status.
+ *
+ * The change is checked against ORDER_TRANSITIONS for the actor's role and
+ * applied with a conditional update on the current status, so two concurrent
+ * changes can't both win. The transition is recorded in `statusHistory` and
+ * mirrored to the user's order list before side effects run.
+ *
+ * @param {string|Object} orderOrId - The order or its id
+ * @param {string} to - The new status
+ * @param {Object} options - { actor: { role, id }, note }
+ * @returns {Promise<Object>} - The updated order
+ */
+export const transitionOrderStatus = async (orderOrId, to, { actor, note } = {}) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw createHttpError(400, `Invalid order status: ${to}`);
+  }
+
+  const order = orderOrId?._id ? orderOrId : await Order.findById(orderOrId);
+  if (!order) {
+    throw createHttpError(404, 'Order not found');
+  }
+
+  const from = order.status;
+  if (!ORDER_TRANSITIONS[from]?.[to]) {
+    throw createHttpError(409, `Order cannot move from ${from} to ${to}`);
+  }
+
+  if (!canTransition(from, to, actor.role)) {
+    throw createHttpError(403, `Not allowed to move an order from ${from} to ${to}`);
+  }
+
+  const now = new Date();
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: {
+        status: to,
+        ...(to === 'delivered' && { 'shipping.actualDelivery': now })
+      },
+      $push: {
+        statusHistory: { from, to, actor, note, timestamp: now }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createHttpError(409, 'Order status was changed by someone else, please reload');
+  }
+
+  await User.findOneAndUpdate(
+    { _id: updated.userId, 'orders.orderId': updated._id },
+    { $set: { 'orders.$.status': to } }
+  );
+
+  await runTransitionEffects(updated, from, { actor, note });
+
+  return updated;
+};
@@ -0,0 +1,344 @@
+import OfflineOrder from '../admin/models/OfflineOrder.js';
+import OfflineReturn, { POS_REFUND_METHODS } from '../admin/models/OfflineReturn.js';
+import { priceCounterItems, buildPayment } from './posService.js';
+import { issueStoreCredit, revokeStoreCredit, redeemStoreCreditTenders, restoreStoreCreditTenders } from './storeCreditService.js';
+import { reserveStock, restoreStock } from './inventoryService.js';
+import { recordOfflineSpend } from './customerService.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+
+const TAX_FIELDS = ['taxableValue', 'cgst', 'sgst', 'igst', 'total'];
+
+/**
+ * Quantity of each line of a POS sale already returned
+ * @returns {Promise<Map<string, number>>} - sale line id => quantity
+ */
+export const getPosReturnedQuantities = async (offlineOrderId) => {
+  const returns = await OfflineReturn.find({ offlineOrderId }).select('items.orderItemId items.quantity');
+
+  const quantities = new Map();
+  returns.forEach((ret) => {
+    ret.items.forEach((item) => {
+      const key = item.orderItemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+/**
+ * Share of a line value for `quantity` units, given `previous` units were
+ * already returned. Shares are taken off the running total so returning a
+ * line in several goes adds up to exactly what was charged for it.
+ */
+const shareOf = (value, { previous, quantity, total }) => roundCurrency(
+  roundCurrency((value * (previous + quantity)) / total) - roundCurrency((value * previous) / total)
+);
+
+/**
+ * Value and GST of the returned quantity of a sale line
+ */
+const priceReturnedLine = (line, previous, quantity) => {
+  const portion = { previous, quantity, total: line.quantity };
+
+  if (!line.tax) {
+    return { amount: shareOf(line.price * line.quantity, portion), tax: null };
+  }
+
+  const tax = { rate: line.tax.rate, discount: 0 };
+  TAX_FIELDS.forEach((field) => {
+    tax[field] = shareOf(line.tax[field] || 0, portion);
+  });
+
+  return { amount: roundCurrency(tax.taxableValue + tax.total), tax };
+};
+
+/**
+ * Check the requested return lines against the sale
+ * @returns {Array} - [{ line, quantity, reason, condition }]
+ */
+const parseReturnItems = (order, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'Select at least one item to return');
+  }
+
+  return items.map((item) => {
+    const line = item.itemId ? order.items.id(item.itemId) : null;
+    if (!line) {
+      throw createHttpError(400, `Item ${item.itemId} is not on sale ${order.orderNumber}`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, `Invalid return quantity for ${line.name}`);
+    }
+
+    if (item.condition && !['resellable', 'damaged'].includes(item.condition)) {
+      throw createHttpError(400, `Invalid condition for ${line.name}`);
+    }
+
+    return { line, quantity, reason: item.reason, condition: item.condition || 'resellable' };
+  });
+};
+
+/**
+ * Sales recorded before lines kept a `returnedQuantity` get it filled in from
+ * their returns, so the count can be relied on below
+ */
+const backfillReturnedQuantities = async (order) => {
+  const stored = await OfflineOrder.findById(order._id).select('items._id items.returnedQuantity').lean();
+  const missing = (stored?.items || []).filter((line) => line.returnedQuantity === undefined);
+  if (missing.length === 0) {
+    return;
+  }
+
+  const returned = await getPosReturnedQuantities(order._id);
+  for (const line of missing) {
+    await OfflineOrder.updateOne(
+      { _id: order._id, items: { $elemMatch: { _id: line._id, returnedQuantity: { $exists: false } } } },
+      { $set: { 'items.$.returnedQuantity': returned.get(line._id.toString()) || 0 } }
+    );
+  }
+};
+
+/**
+ * Give back quantities reserved by reserveReturnItems
+ */
+const releaseReturnItems = async (order, returnItems) => {
+  for (const item of returnItems) {
+    await OfflineOrder.updateOne(
+      { _id: order._id, 'items._id': item.orderItemId },
+      { $inc: { 'items.$.returnedQuantity': -item.quantity } }
+    );
+  }
+};
+
+/**
+ * Reserve the returned quantity on each sale line and price it. The limit is
+ * part of the update filter, so two returns racing for the same units can't
+ * both take them back. If any line is short, the lines already reserved are
+ * given back and a 400 error is thrown.
+ */
+const reserveReturnItems = async (order, parsed) => {
+  await backfillReturnedQuantities(order);
+  const reserved = [];
+
+  for (const { line, quantity, reason, condition } of parsed) {
+    const before = await OfflineOrder.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: 'completed',
+        items: { $elemMatch: { _id: line._id, returnedQuantity: { $lte: line.quantity - quantity } } }
+      },
+      { $inc: { 'items.$.returnedQuantity': quantity } }
+    );
+
+    if (!before) {
+      await releaseReturnItems(order, reserved);
+      const current = await OfflineOrder.findById(order._id);
+      if (current?.status !== 'completed') {
+        throw createHttpError(400, 'Only completed sales can be returned');
+      }
+      const left = line.quantity - (current.items.id(line._id)?.returnedQuantity || 0);
+      throw createHttpError(400, `Only ${Math.max(left, 0)} of ${line.name} can still be returned`);
+    }
+
+    const previous = before.items.id(line._id).returnedQuantity || 0;
+    reserved.push({
+      orderItemId: line._id,
+      productId: line.productId,
+      name: line.name,
+      variant: line.variant,
+      quantity,
+      hsnCode: line.hsnCode,
+      reason,
+      condition,
+      ...priceReturnedLine(line, previous, quantity)
+    });
+  }
+
+  return reserved;
+};
+
+/**
+ * How the money owed back is paid out. Defaults to the tender of the sale; a
+ * split payment needs the method picked. A sale paid only with store credit
+ * can only be refunded as store credit.
+ */
+const resolveRefundMethod = (order, refundMethod) => {
+  const method = refundMethod || (order.payment.method !== 'split' ? order.payment.method : null);
+
+  if (!method) {
+    throw createHttpError(400, 'This sale was paid several ways; choose how to refund it');
+  }
+
+  if (!POS_REFUND_METHODS.includes(method)) {
+    throw createHttpError(400, `Invalid refund method: ${method}`);
+  }
+
+  if (order.payment.method === 'store_credit' && method !== 'store_credit') {
+    throw createHttpError(400, 'A sale paid with store credit can only be refunded as store credit');
+  }
+
+  return method;
+};
+
+/**
+ * Ring up the replacement sale of an exchange. The returned value is put
+ * towards it; a higher total leaves a difference for the customer to pay.
+ */
+const createExchangeSale = async (ret, order, exchangeItems, payment, { session, admin }) => {
+  const { processedItems, subtotal, tax, taxSummary, total } = await priceCounterItems(exchangeItems);
+
+  const exchangeCredit = roundCurrency(Math.min(ret.returnedAmount, total));
+  const due = roundCurrency(total - exchangeCredit);
+
+  if (due > 0 && !payment?.method && !payment?.tenders?.length) {
+    throw createHttpError(400, `₹${due} is due on the exchange; choose how it is paid`);
+  }
+
+  // Nothing is paid when the returned items cover the exchange
+  const { method, tenders, change } = due > 0
+    ? buildPayment(payment, due)
+    : { method: order.payment.method, tenders: [], change: 0 };
+
+  await reserveStock(processedItems);
+
+  const exchangeSale = new OfflineOrder({
+    customerName: order.customerName,
+    phone: order.phone,
+    userId: order.userId,
+    customerId: order.customerId,
+    items: processedItems,
+    payment: {
+      method,
+      tenders,
+      change,
+      status: 'completed',
+      amount: due
+    },
+    subtotal,
+    tax,
+    taxSummary,
+    total,
+    notes: `Exchange for return ${ret.returnNumber}`,
+    exchangeFor: ret._id,
+    exchangeCredit,
+    session: session._id,
+    createdBy: admin._id
+  });
+
+  try {
+    await redeemStoreCreditTenders(tenders, exchangeSale._id);
+  } catch (error) {
+    await restoreStock(processedItems);
+    throw error;
+  }
+
+  try {
+    await exchangeSale.save();
+  } catch (error) {
+    await restoreStock(processedItems);
+    await restoreStoreCreditTenders(tenders, exchangeSale._id);
+    throw error;
+  }
+
+  return exchangeSale;
+};
+
+/**
+ * Take back an exchange sale whose return failed to save
+ */
+const voidExchangeSale = async (exchangeSale) => {
+  await OfflineOrder.deleteOne({ _id: exchangeSale._id });
+  await restoreStock(exchangeSale.items);
+  await restoreStoreCreditTenders(exchangeSale.payment.tenders, exchangeSale._id);
+};
+
+/**
+ * Take back part or all of a completed POS sale. The sale itself is left as
+ * it was; the return records the lines, the GST reversed, the exchange sale
+ * if one was rung up and how the balance was paid back.
+ *
+ * @param {Object} order - The OfflineOrder
+ * @param {Object} details - { items: [{ itemId, quantity, reason, condition }], refundMethod, exchangeItems, payment, notes }
+ * @param {Object} context - { admin, session }: the cashier and the open register session
+ * @returns {Promise<Object>} - { ret, exchangeSale, storeCredit }
+ */
+export const createPosReturn = async (order, { items, refundMethod, exchangeItems, payment, notes }, { admin, session }) => {
+  if (order.status !== 'completed') {
+    throw createHttpError(400, 'Only completed sales can be returned');
+  }
+
+  const parsed = parseReturnItems(order, items);
+  const method = resolveRefundMethod(order, refundMethod);
+  const returnItems = await reserveReturnItems(order, parsed);
+
+  const ret = new OfflineReturn({
+    offlineOrderId: order._id,
+    customerName: order.customerName,
+    phone: order.phone,
+    items: returnItems,
+    returnedAmount: roundCurrency(returnItems.reduce((sum, item) => sum + item.amount, 0)),
+    session: session._id,
+    notes,
+    createdBy: admin._id
+  });
+
+  let exchangeSale = null;
+  let storeCredit = null;
+
+  try {
+    // The return number is referenced by the exchange sale and store credit
+    await ret.validate();
+
+    if (Array.isArray(exchangeItems) && exchangeItems.length > 0) {
+      exchangeSale = await createExchangeSale(ret, order, exchangeItems, payment, { session, admin });
+      ret.exchangeCredit = exchangeSale.exchangeCredit;
+      ret.exchangeOrderId = exchangeSale._id;
+    }
+
+    const refundAmount = roundCurrency(ret.returnedAmount - ret.exchangeCredit);
+    if (refundAmount > 0 && method === 'store_credit') {
+      storeCredit = await issueStoreCredit({
+        amount: refundAmount,
+        customerName: order.customerName,
+        phone: order.phone,
+        offlineReturnId: ret._id,
+        adminId: admin._id
+      });
+    }
+    ret.refund = {
+      method: refundAmount > 0 ? method : undefined,
+      amount: refundAmount,
+      storeCreditId: storeCredit?._id
+    };
+
+    ret.items.forEach((item) => {
+      item.restocked = item.condition === 'resellable';
+    });
+
+    await ret.save();
+  } catch (error) {
+    await releaseReturnItems(order, returnItems);
+    if (exchangeSale) {
+      await voidExchangeSale(exchangeSale);
+    }
+    if (storeCredit) {
+      await revokeStoreCredit(storeCredit);
+    }
+    throw error;
+  }
+
+  // Restocked once the return is on record, so a failed save has nothing to take back
+  await restoreStock(ret.items.filter((item) => item.restocked));
+
+  // The customer's spend drops by what came back and grows by the exchange sale
+  await recordOfflineSpend(order, { amount: -ret.returnedAmount });
+  if (exchangeSale) {
+    await recordOfflineSpend(exchangeSale, { orders: 1, amount: exchangeSale.total });
+  }
+
+  return { ret, exchangeSale, storeCredit };
+};
@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import Product from '../admin/models/Product.js';
+import { POS_TENDER_METHODS } from '../admin/models/OfflineOrder.js';
+import { resolveItemVariant } from './variantService.js';
+import { calculateGst, getGstRule } from './taxService.js';
+import { roundCurrency } from './currency.js';
+import { createHttpError } from './httpError.js';
+
+/**
+ * Find what a scanned or typed code refers to: a variant or product barcode,
+ * a variant or product SKU, or a product id
+ * @param {string} code - The code
+ * @returns {Promise<Object|null>} - { product, variant } where `variant` is null for a product-level match
+ */
+export const findByCode = async (code) => {
+  const value = String(code ?? '').trim();
+  if (!value) {
+    return null;
+  }
+
+  const conditions = [
+    { barcode: value },
+    { 'variants.barcode': value },
+    { sku: value },
+    { 'variants.sku': value }
+  ];
+  if (mongoose.isValidObjectId(value)) {
+    conditions.push({ _id: value });
+  }
+
+  const product = await Product.findOne({ $or: conditions });
+  if (!product) {
+    return null;
+  }
+
+  const variant = product.variants.find((v) => v.barcode === value || v.sku === value) || null;
+  return { product, variant };
+};
+
+/**
+ * Look up a scanned code for the till
+ * @param {string} code - The code
+ * @returns {Promise<Object>} - { code, product, variant, price, stock, isAvailable }
+ */
+export const lookupCode = async (code) => {
+  const match = await findByCode(code);
+  if (!match) {
+    throw createHttpError(404, `No product found for code ${String(code ?? '').trim()}`);
+  }
+
+  const { product, variant } = match;
+  const source = variant || product;
+
+  return {
+    code: String(code).trim(),
+    product: {
+      _id: product._id,
+      name: product.name,
+      sku: product.sku,
+      barcode: product.barcode,
+      image: product.images?.[0]?.url,
+      hsnCode: product.hsnCode,
+      hasVariants: product.hasVariants
+    },
+    variant: variant
+      ? {
+          _id: variant._id,
+          sku: variant.sku,
+          barcode: variant.barcode,
+          attributes: Object.fromEntries(variant.attributes)
+        }
+      : null,
+    // A product-level match on a product with variants still needs a variant picked
+    variants: !variant && product.hasVariants
+      ? product.variants.map((v) => ({
+          _id: v._id,
+          sku: v.sku,
+          attributes: Object.fromEntries(v.attributes),
+          price: v.effectivePrice,
+          stock: v.stock,
+          isAvailable: v.isAvailable
+        }))
+      : undefined,
+    price: variant ? variant.effectivePrice : product.price,
+    stock: source.stock,
+    isAvailable: Boolean(product.isAvailable && source.isAvailable)
+  };
+};
+
+/**
+ * Find the product of a sale line, from its product id or a scanned `code`
+ */
+const resolveCounterItem = async (item) => {
+  if (item.code) {
+    const match = await findByCode(item.code);
+    if (!match) {
+      throw createHttpError(404, `No product found for code ${item.code}`);
+    }
+    return {
+      product: match.product,
+      variant: match.variant ? match.variant._id.toString() : item.variant
+    };
+  }
+
+  const product = await Product.findById(item.productId);
+  if (!product) {
+    throw createHttpError(404, `Product not found: ${item.productId}`);
+  }
+  return { product, variant: item.variant };
+};
+
+/**
+ * Price the lines of a counter sale. GST is worked out per line; a counter
+ * sale is always within the seller's state.
+ * @param {Array} items - Requested lines ({ productId, variant, quantity, price }
+ *   or { code, quantity, price } for a scanned barcode or SKU; quantity defaults to 1)
+ * @returns {Promise<Object>} - { processedItems, subtotal, tax, taxSummary, total }
+ */
+export const priceCounterItems = async (items) => {
+  const pricedItems = await Promise.all(items.map(async (item) => {
+    const { product, variant } = await resolveCounterItem(item);
+    const quantity = item.quantity ?? 1;
+
+    // Make sure the selected size/color exists on the product
+    const { snapshot, price: listPrice } = resolveItemVariant(product, variant);
+    const price = item.price ?? listPrice;
+
+    return {
+      productId: product._id,
+      name: product.name,
+      quantity,
+      price,
+      totalPrice: roundCurrency(price * quantity),
+      variant: snapshot,
+      gstRule: getGstRule(product)
+    };
+  }));
+
+  const { lines, summary: taxSummary } = calculateGst(pricedItems);
+  const processedItems = lines.map(({ totalPrice, ...line }) => line);
+  const subtotal = roundCurrency(pricedItems.reduce((sum, item) => sum + item.totalPrice, 0));
+  const tax = taxSummary.total;
+
+  return {
+    processedItems,
+    subtotal,
+    tax,
+    taxSummary,
+    total: roundCurrency(subtotal + tax)
+  };
+};
+
+/**
+ * Tender lines of a sale for aggregations. Sales from before split payments
+ * only have `payment.method` and `payment.amount`.
+ */
+export const TENDER_LINES_EXPRESSION = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$payment.tenders', []] } }, 0] },
+    '$payment.tenders',
+    [{ method: '$payment.method', amount: '$payment.amount' }]
+  ]
+};
+
+/**
+ * Work out how a POS sale is paid. Takes either one tender
+ * ({ method, tendered, storeCreditCode, reference }, paying the amount due;
+ * `tendered` is the cash handed over) or several as `tenders`
+ * ([{ method, amount, storeCreditCode, reference }]). Only cash can be
+ * over-tendered; the excess is the change due.
+ * @param {Object} payment - The payment from the request
+ * @param {number} amountDue - What the customer owes
+ * @returns {Object} - { method, amount, tenders, change }
+ */
+export const buildPayment = (payment, amountDue) => {
+  const split = Array.isArray(payment?.tenders) && payment.tenders.length > 0;
+  const requested = split
+    ? payment.tenders
+    : [{ ...payment, amount: (payment?.method === 'cash' && payment.tendered) || amountDue }];
+
+  const tenders = requested.map((tender) => {
+    if (!POS_TENDER_METHODS.includes(tender.method)) {
+      throw createHttpError(400, `Invalid payment method: ${tender.method}`);
+    }
+
+    const amount = Number(tender.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw createHttpError(400, `Invalid ${tender.method} amount`);
+    }
+
+    if (tender.method === 'store_credit' && !tender.storeCreditCode) {
+      throw createHttpError(400, 'Store credit code is required');
+    }
+
+    return {
+      method: tender.method,
+      amount: roundCurrency(amount),
+      reference: tender.reference,
+      storeCreditCode: tender.method === 'store_credit' ? String(tender.storeCreditCode).trim().toUpperCase() : undefined
+    };
+  });
+
+  const sumOf = (lines) => roundCurrency(lines.reduce((sum, tender) => sum + tender.amount, 0));
+  const cashLines = tenders.filter((tender) => tender.method === 'cash');
+  const otherTotal = sumOf(tenders.filter((tender) => tender.method !== 'cash'));
+  const received = roundCurrency(otherTotal + sumOf(cashLines));
+
+  if (otherTotal > amountDue) {
+    throw createHttpError(400, `Card, UPI and store credit payments add up to more than the ₹${amountDue} due`);
+  }
+
+  if (received < amountDue) {
+    throw createHttpError(400, `Payments add up to ₹${received}; ₹${roundCurrency(amountDue - received)} more is due`);
+  }
+
+  // Change comes out of the cash handed over, last cash line first
+  const change = roundCurrency(received - amountDue);
+  let remaining = change;
+  [...cashLines].reverse().forEach((tender) => {
+    const taken = Math.min(remaining, tender.amount);
+    tender.tendered = tender.amount;
+    tender.amount = roundCurrency(tender.amount - taken);
+    remaining = roundCurrency(remaining - taken);
+  });
+
+  const methods = [...new Set(tenders.map((tender) => tender.method))];
+
+  return {
+    method: methods.length === 1 ? methods[0] : 'split',
+    amount: amountDue,
+    tenders,
+    change
+  };
+};
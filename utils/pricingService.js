@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import Product from '../admin/models/Product.js';
+import { resolveItemVariant } from './variantService.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+import { evaluateCoupon } from './couponService.js';
+import { calculateGst, getGstRule, allocateAmount } from './taxService.js';
+import { quoteShipping, getChargeableWeight } from './shippingService.js';
+import { PRICE_TOLERANCE } from '../config/pricing.js';
+import { DEFAULT_SHIPPING_METHOD } from '../config/shipping.js';
+
+/**
+ * Price order lines from the product catalogue. Client-sent prices are ignored.
+ * @param {Array} items - Requested items ({ productId, quantity, variant })
+ * @returns {Promise<Array>} - Order lines ready to be stored on an order
+ */
+export const priceItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'Order must contain at least one item');
+  }
+
+  for (const item of items) {
+    if (!item.productId || !mongoose.isValidObjectId(item.productId)) {
+      throw createHttpError(400, `Invalid productId for item: ${item.name || item.productId}`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, `Invalid quantity for item: ${item.name || item.productId}`);
+    }
+  }
+
+  const productIds = [...new Set(items.map((item) => item.productId.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name price images isAvailable options variants category subcategory hsnCode gstRate gstSlab weight dimensions');
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return items.map((item) => {
+    const product = productById.get(item.productId.toString());
+
+    if (!product) {
+      throw createHttpError(400, `Product not found with ID: ${item.productId}`);
+    }
+
+    if (!product.isAvailable) {
+      throw createHttpError(400, `Product ${product.name} is not available`);
+    }
+
+    // Make sure the selected size/color exists on the product
+    const { variant, snapshot, price } = resolveItemVariant(product, item.variant);
+    const quantity = Number(item.quantity);
+
+    return {
+      productId: product._id,
+      name: product.name,
+      quantity,
+      price,
+      totalPrice: roundCurrency(price * quantity),
+      image: variant?.images?.[0]?.url || product.images?.[0]?.url || null,
+      variant: snapshot,
+      category: product.category,
+      subcategory: product.subcategory,
+      gstRule: getGstRule(product),
+      shippingWeight: getChargeableWeight(product)
+    };
+  });
+};
+
+/**
+ * Compute the full price breakdown of an order from product data
+ * @param {Object} options - { items, shippingMethod, couponCode, userId, shippingState, shippingPincode, paymentMethod }
+ * @returns {Promise<Object>} - The quote: lines, subtotal, discounts, shipping, GST and total
+ */
+export const priceOrder = async ({
+  items,
+  shippingMethod: requestedMethod,
+  couponCode,
+  userId,
+  shippingState,
+  shippingPincode,
+  paymentMethod
+}) => {
+  const pricedLines = await priceItems(items);
+  const shippingMethod = requestedMethod || DEFAULT_SHIPPING_METHOD;
+
+  const subtotal = roundCurrency(pricedLines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const discounts = [];
+  const lineDiscounts = pricedLines.map(() => 0);
+
+  if (couponCode) {
+    const { discount, eligibleLines } = await evaluateCoupon(couponCode, { userId, lines: pricedLines, subtotal });
+    discounts.push(discount);
+
+    // Spread the discount over the lines it applies to so GST is charged on the discounted value
+    const shares = allocateAmount(eligibleLines.map((index) => pricedLines[index].totalPrice), discount.amount);
+    eligibleLines.forEach((index, position) => {
+      lineDiscounts[index] = roundCurrency(lineDiscounts[index] + shares[position]);
+    });
+  }
+
+  const discountTotal = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  const taxableAmount = roundCurrency(subtotal - discountTotal);
+
+  const { lines, summary: taxSummary } = calculateGst(pricedLines, {
+    lineDiscounts,
+    destinationState: shippingState
+  });
+
+  const shipping = await quoteShipping({
+    lines: pricedLines,
+    amount: taxableAmount,
+    destination: { state: shippingState, pincode: shippingPincode },
+    paymentMethod,
+    method: shippingMethod
+  });
+
+  const shippingCost = shipping.selected.cost;
+  const tax = taxSummary.total;
+  const total = roundCurrency(taxableAmount + shippingCost + tax);
+
+  return {
+    items: lines.map(({ shippingWeight, ...line }) => line),
+    subtotal,
+    discounts,
+    discountTotal,
+    shippingMethod,
+    shippingCost,
+    shipping: {
+      zone: shipping.zone.name,
+      chargeableWeight: shipping.chargeableWeight,
+      baseCost: shipping.selected.baseCost,
+      codSurcharge: shipping.selected.codSurcharge,
+      estimatedDays: shipping.selected.estimatedDays
+    },
+    tax,
+    taxSummary,
+    total,
+    currency: 'INR'
+  };
+};
+
+/**
+ * List the amounts the client submitted that don't match the server quote
+ * @param {Object} quote - The server quote from priceOrder
+ * @param {Object} submitted - The request body ({ items, subtotal, shippingCost, tax, total })
+ * @returns {Array} - [{ field, submitted, expected }]
+ */
+export const findPriceMismatches = (quote, submitted) => {
+  const mismatches = [];
+
+  for (const field of ['subtotal', 'shippingCost', 'tax', 'total']) {
+    const value = submitted[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if (Math.abs(Number(value) - quote[field]) > PRICE_TOLERANCE) {
+      mismatches.push({ field, submitted: Number(value), expected: quote[field] });
+    }
+  }
+
+  (submitted.items || []).forEach((item, index) => {
+    const line = quote.items[index];
+    if (line && item.price !== undefined && item.price !== null &&
+        Math.abs(Number(item.price) - line.price) > PRICE_TOLERANCE) {
+      mismatches.push({ field: `items[${index}].price`, submitted: Number(item.price), expected: line.price });
+    }
+  });
+
+  return mismatches;
+};
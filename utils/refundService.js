@@ -0,0 +1,219 @@
+import mongoose from 'mongoose';
+import razorpay from '../config/razorpay.js';
+import Payment from '../user/models/Payment.js';
+import Order from '../user/models/Order.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+
+// Float noise allowed when comparing refund totals with the captured amount
+const AMOUNT_EPSILON = 0.001;
+
+// Payment statuses that mean the money was captured
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Aggregation expression: total of a payment's refunds that haven't failed
+const activeRefundTotalExpr = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$refunds', []] },
+          cond: { $ne: ['$$this.status', 'failed'] }
+        }
+      },
+      in: '$$this.amount'
+    }
+  }
+};
+
+/**
+ * Total of a payment's refunds that haven't failed
+ */
+export const getRefundedAmount = (payment) => roundCurrency(
+  (payment.refunds || [])
+    .filter((refund) => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0)
+);
+
+/**
+ * Amount of a payment that can still be refunded
+ */
+export const getRefundableAmount = (payment) => roundCurrency(payment.amount - getRefundedAmount(payment));
+
+/**
+ * Set the payment's and its order's payment status from the refunds recorded so far
+ * @param {string} paymentId
+ * @returns {Promise<Object>} - The updated payment
+ */
+export const syncRefundStatus = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment || ![...REFUNDABLE_STATUSES, 'refunded'].includes(payment.status)) {
+    return payment;
+  }
+
+  const refunded = getRefundedAmount(payment);
+  let status = 'completed';
+  if (refunded >= payment.amount - AMOUNT_EPSILON) {
+    status = 'refunded';
+  } else if (refunded > 0) {
+    status = 'partially_refunded';
+  }
+
+  if (payment.status !== status) {
+    payment.status = status;
+    await payment.save();
+  }
+  await Order.findByIdAndUpdate(payment.orderId, { 'payment.status': status });
+
+  return payment;
+};
+
+/**
+ * The refund already made with an idempotency key, if any. Failed attempts
+ * don't count, so a failed refund can be retried with the same key.
+ */
+const findIdempotentRefund = (payment, idempotencyKey) => idempotencyKey
+  ? payment.refunds.find((refund) => refund.idempotencyKey === idempotencyKey && refund.status !== 'failed')
+  : null;
+
+/**
+ * Refund (part of) a captured Razorpay payment.
+ *
+ * The refund is first recorded as pending with a conditional update that only
+ * succeeds while the total stays within the captured amount and the
+ * idempotency key is unused, so concurrent or repeated requests can't
+ * over-refund. The Razorpay call then settles the entry.
+ *
+ * @param {Object} payment - The Payment document
+ * @param {Object} options - { amount, reason, idempotencyKey, source, createdBy, returnId }
+ * @returns {Promise<Object>} - { payment, refund, replayed } where `replayed`
+ *   is true when the idempotency key had already been used
+ */
+export const refundPayment = async (payment, { amount, reason, idempotencyKey, source = 'admin', createdBy, returnId }) => {
+  amount = roundCurrency(Number(amount));
+
+  if (!(amount > 0)) {
+    throw createHttpError(400, 'Refund amount must be greater than zero');
+  }
+
+  const replayCheck = (current) => {
+    const existing = findIdempotentRefund(current, idempotencyKey);
+    if (!existing) {
+      return null;
+    }
+    if (existing.amount !== amount) {
+      throw createHttpError(409, 'This idempotency key was already used for a different refund amount');
+    }
+    return { payment: current, refund: existing, replayed: true };
+  };
+
+  const replay = replayCheck(payment);
+  if (replay) {
+    return replay;
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(payment.status) || !payment.razorpayPaymentId ||
+      payment.razorpayPaymentId === 'pending') {
+    throw createHttpError(400, 'Only captured payments can be refunded');
+  }
+
+  const refundId = new mongoose.Types.ObjectId();
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      ...(idempotencyKey && {
+        refunds: { $not: { $elemMatch: { idempotencyKey, status: { $ne: 'failed' } } } }
+      }),
+      $expr: { $lte: [{ $add: [activeRefundTotalExpr, amount] }, { $add: ['$amount', AMOUNT_EPSILON] }] }
+    },
+    {
+      $push: {
+        refunds: { _id: refundId, amount, status: 'pending', reason, idempotencyKey, source, createdBy, returnId }
+      }
+    }
+  );
+
+  if (!claimed) {
+    const current = await Payment.findById(payment._id);
+    const concurrentReplay = replayCheck(current);
+    if (concurrentReplay) {
+      return concurrentReplay;
+    }
+    throw createHttpError(400, `Refund exceeds the refundable amount of ₹${getRefundableAmount(current)}`);
+  }
+
+  try {
+    const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+      amount: Math.round(amount * 100),
+      ...(idempotencyKey && { receipt: idempotencyKey.slice(0, 40) }),
+      notes: {
+        reason: reason || '',
+        ...(returnId && { returnId: returnId.toString() })
+      }
+    });
+
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refundId },
+      {
+        $set: {
+          'refunds.$.razorpayRefundId': refund.id,
+          'refunds.$.status': refund.status === 'processed' ? 'processed' : 'pending'
+        }
+      }
+    );
+  } catch (error) {
+    const message = error.error?.description || error.message;
+
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refundId },
+      { $set: { 'refunds.$.status': 'failed', 'refunds.$.error': message } }
+    );
+    throw createHttpError(502, `Refund failed: ${message}`);
+  }
+
+  const updated = await syncRefundStatus(payment._id);
+
+  return {
+    payment: updated,
+    refund: updated.refunds.id(refundId),
+    replayed: false
+  };
+};
+
+/**
+ * Bring a refund reported by a Razorpay webhook into the payment. Refunds
+ * started here are matched by their Razorpay id; refunds made from the
+ * Razorpay dashboard are added.
+ * @param {Object} entity - The Razorpay refund entity
+ * @returns {Promise<Object|null>} - The updated payment, or null if it is unknown
+ */
+export const applyRazorpayRefund = async (entity) => {
+  const payment = await Payment.findOne({ razorpayPaymentId: entity.payment_id });
+  if (!payment) {
+    return null;
+  }
+
+  const status = entity.status === 'processed' ? 'processed' : entity.status === 'failed' ? 'failed' : 'pending';
+  // The webhook can arrive before the refund call returns, so also match on
+  // the receipt (the idempotency key) of a refund still waiting for its id
+  const existing = payment.refunds.find((refund) => refund.razorpayRefundId === entity.id) ||
+    (entity.receipt && payment.refunds.find((refund) =>
+      !refund.razorpayRefundId && refund.idempotencyKey?.slice(0, 40) === entity.receipt));
+
+  if (existing) {
+    existing.razorpayRefundId = entity.id;
+    existing.status = status;
+  } else {
+    payment.refunds.push({
+      amount: roundCurrency(entity.amount / 100),
+      status,
+      reason: entity.notes?.reason,
+      razorpayRefundId: entity.id,
+      source: 'razorpay'
+    });
+  }
+
+  await payment.save();
+  return syncRefundStatus(payment._id);
+};
@@ -0,0 +1,7 @@
+/**
+ * Escape regex metacharacters so user input can be used in a `$regex` query
+ * and only ever matches literally
+ * @param {string} value - Text to match
+ * @returns {string} - The escaped pattern
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,287 @@
+import mongoose from 'mongoose';
+import RegisterSession, { TENDER_TYPES } from '../admin/models/RegisterSession.js';
+import OfflineOrder from '../admin/models/OfflineOrder.js';
+import OfflineReturn from '../admin/models/OfflineReturn.js';
+import { TENDER_LINES_EXPRESSION } from './posService.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const emptyTotals = () => Object.fromEntries(TENDER_TYPES.map((tender) => [tender, 0]));
+
+/**
+ * Open a session on a register
+ * @param {Object} details - { register, openingFloat, notes }
+ * @param {Object} admin - The admin opening the session
+ * @returns {Promise<Object>} - The session
+ */
+export const openSession = async ({ register, openingFloat, notes }, admin) => {
+  const float = Number(openingFloat);
+  if (!Number.isFinite(float) || float < 0) {
+    throw createHttpError(400, 'Opening float must be zero or more');
+  }
+
+  try {
+    return await RegisterSession.create({
+      register: register || undefined,
+      openingFloat: roundCurrency(float),
+      openingNotes: notes,
+      openedBy: admin._id
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      throw createHttpError(409, `Register ${register || 'main'} already has an open session`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the open session a sale is recorded in: the one asked for, or else the
+ * session the cashier opened
+ * @param {Object} options - { sessionId, adminId }
+ * @returns {Promise<Object>} - The open session
+ */
+export const getOpenSession = async ({ sessionId, adminId }) => {
+  if (sessionId && !mongoose.isValidObjectId(sessionId)) {
+    throw createHttpError(400, 'Invalid register session');
+  }
+
+  const session = sessionId
+    ? await RegisterSession.findOne({ _id: sessionId, status: 'open' })
+    : await RegisterSession.findOne({ openedBy: adminId, status: 'open' }).sort({ openedAt: -1 });
+
+  if (!session) {
+    throw createHttpError(409, 'Open a register session before recording sales');
+  }
+
+  return session;
+};
+
+/**
+ * Sales of a session by tender type, with split payments counted under each
+ * of their tenders. Cancelled sales are counted but not totalled, and store
+ * credit takes nothing in.
+ * @returns {Promise<Object>} - { salesCount, cancelledCount, splitCount, sales: { cash, card, upi }, change }
+ */
+export const getSessionSales = async (sessionId) => {
+  const [{ byStatus, byTender }] = await OfflineOrder.aggregate([
+    { $match: { session: new mongoose.Types.ObjectId(sessionId) } },
+    {
+      $facet: {
+        byStatus: [
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 },
+              splitCount: { $sum: { $cond: [{ $eq: ['$payment.method', 'split'] }, 1, 0] } },
+              change: { $sum: { $ifNull: ['$payment.change', 0] } }
+            }
+          }
+        ],
+        byTender: [
+          { $match: { status: 'completed' } },
+          { $project: { tenders: TENDER_LINES_EXPRESSION } },
+          { $unwind: '$tenders' },
+          { $group: { _id: '$tenders.method', amount: { $sum: '$tenders.amount' } } }
+        ]
+      }
+    }
+  ]);
+
+  const completed = byStatus.find((row) => row._id === 'completed');
+  const sales = emptyTotals();
+  byTender.forEach((row) => {
+    if (TENDER_TYPES.includes(row._id)) {
+      sales[row._id] = roundCurrency(row.amount);
+    }
+  });
+
+  return {
+    salesCount: completed?.count || 0,
+    cancelledCount: byStatus.find((row) => row._id === 'cancelled')?.count || 0,
+    splitCount: completed?.splitCount || 0,
+    sales,
+    change: roundCurrency(completed?.change || 0)
+  };
+};
+
+/**
+ * Refunds paid out of a session for in-store returns, by tender type. Refunds
+ * given as store credit take nothing out.
+ * @returns {Promise<Object>} - { returnsCount, refunds: { cash, card, upi } }
+ */
+export const getSessionRefunds = async (sessionId) => {
+  const rows = await OfflineReturn.aggregate([
+    { $match: { session: new mongoose.Types.ObjectId(sessionId) } },
+    {
+      $group: {
+        _id: '$refund.method',
+        count: { $sum: 1 },
+        amount: { $sum: '$refund.amount' }
+      }
+    }
+  ]);
+
+  const refunds = emptyTotals();
+  let returnsCount = 0;
+
+  rows.forEach((row) => {
+    returnsCount += row.count;
+    if (TENDER_TYPES.includes(row._id)) {
+      refunds[row._id] = roundCurrency(refunds[row._id] + row.amount);
+    }
+  });
+
+  return { returnsCount, refunds };
+};
+
+/**
+ * Work out what the drawer and the card/UPI settlements should hold, and the
+ * difference to what was counted
+ * @param {Object} session - The register session
+ * @param {Object} counted - Counted amounts per tender; tenders not counted have no variance
+ * @returns {Promise<Object>} - The session report
+ */
+export const buildSessionReport = async (session, counted = {}) => {
+  const { salesCount, cancelledCount, splitCount, sales, change } = await getSessionSales(session._id);
+  const { returnsCount, refunds } = await getSessionRefunds(session._id);
+  const sumMovements = (type) => roundCurrency(session.cashMovements
+    .filter((movement) => movement.type === type)
+    .reduce((sum, movement) => sum + movement.amount, 0));
+
+  const payIns = sumMovements('pay_in');
+  const payOuts = sumMovements('pay_out');
+
+  const expected = Object.fromEntries(TENDER_TYPES.map((tender) => [
+    tender,
+    roundCurrency(sales[tender] - refunds[tender])
+  ]));
+  expected.cash = roundCurrency(session.openingFloat + expected.cash + payIns - payOuts);
+
+  const countedTotals = {};
+  const variance = {};
+  TENDER_TYPES.forEach((tender) => {
+    if (counted[tender] !== undefined && counted[tender] !== null) {
+      countedTotals[tender] = roundCurrency(counted[tender]);
+      variance[tender] = roundCurrency(countedTotals[tender] - expected[tender]);
+    }
+  });
+
+  return {
+    salesCount,
+    cancelledCount,
+    splitCount,
+    sales,
+    change,
+    returnsCount,
+    refunds,
+    payIns,
+    payOuts,
+    expected,
+    counted: countedTotals,
+    variance
+  };
+};
+
+/**
+ * Record cash put into or taken out of an open session's drawer
+ * @param {string} sessionId - The session
+ * @param {Object} movement - { type: 'pay_in' | 'pay_out', amount, reason }
+ * @param {Object} admin - The admin making the entry
+ * @returns {Promise<Object>} - The updated session
+ */
+export const addCashMovement = async (sessionId, { type, amount, reason }, admin) => {
+  if (!['pay_in', 'pay_out'].includes(type)) {
+    throw createHttpError(400, 'Type must be pay_in or pay_out');
+  }
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw createHttpError(400, 'Amount must be greater than zero');
+  }
+
+  if (!reason) {
+    throw createHttpError(400, 'A reason is required');
+  }
+
+  const session = await RegisterSession.findOneAndUpdate(
+    { _id: sessionId, status: 'open' },
+    {
+      $push: {
+        cashMovements: { type, amount: roundCurrency(value), reason, createdBy: admin._id }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!session) {
+    const exists = await RegisterSession.exists({ _id: sessionId });
+    throw createHttpError(exists ? 409 : 404, exists ? 'Register session is closed' : 'Register session not found');
+  }
+
+  return session;
+};
+
+/**
+ * Close a session. Counted cash is required; counted card and UPI totals
+ * (from the terminal settlement) are optional.
+ * @param {string} sessionId - The session
+ * @param {Object} closing - { countedCash, countedCard, countedUpi, notes }
+ * @param {Object} admin - The admin closing the session
+ * @returns {Promise<Object>} - The closed session with its report
+ */
+export const closeSession = async (sessionId, { countedCash, countedCard, countedUpi, notes }, admin) => {
+  const counted = { cash: countedCash, card: countedCard, upi: countedUpi };
+
+  for (const [tender, value] of Object.entries(counted)) {
+    if (value === undefined || value === null || value === '') {
+      if (tender === 'cash') {
+        throw createHttpError(400, 'Counted cash is required');
+      }
+      delete counted[tender];
+      continue;
+    }
+
+    counted[tender] = Number(value);
+    if (!Number.isFinite(counted[tender]) || counted[tender] < 0) {
+      throw createHttpError(400, `Counted ${tender} must be zero or more`);
+    }
+  }
+
+  // Close first so no further sales or cash movements land in the session
+  const session = await RegisterSession.findOneAndUpdate(
+    { _id: sessionId, status: 'open' },
+    {
+      $set: {
+        status: 'closed',
+        closedBy: admin._id,
+        closedAt: new Date(),
+        closingNotes: notes
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const exists = await RegisterSession.exists({ _id: sessionId });
+    throw createHttpError(exists ? 409 : 404, exists ? 'Register session is already closed' : 'Register session not found');
+  }
+
+  session.report = await buildSessionReport(session, counted);
+  await session.save();
+
+  return session;
+};
+
+/**
+ * Whether a sale's register session has been closed, which freezes the sale
+ * so the session report stays true
+ */
+export const isSessionClosed = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+  return Boolean(await RegisterSession.exists({ _id: sessionId, status: 'closed' }));
+};
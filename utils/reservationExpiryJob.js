@@ -0,0 +1,40 @@
+import { releaseExpiredReservations } from './inventoryService.js';
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+let running = false;
+
+/**
+ * Start releasing expired stock reservations. The interval can be changed with
+ * RESERVATION_EXPIRY_INTERVAL_MINUTES; set it to 0 to disable the job.
+ */
+export const startReservationExpiryJob = () => {
+  const minutes = Number(process.env.RESERVATION_EXPIRY_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+
+  if (!minutes || minutes <= 0) {
+    console.log('Reservation expiry job disabled');
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    // Skip this tick if the previous run is still going
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`Reservation expiry: released stock of ${released} unpaid order(s)`);
+      }
+    } catch (error) {
+      console.error('Error releasing expired reservations:', error);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+
+  console.log(`Reservation expiry job running every ${minutes} minute(s)`);
+  return timer;
+};
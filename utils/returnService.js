@@ -0,0 +1,296 @@
+import Order from '../user/models/Order.js';
+import User from '../user/models/User.js';
+import Payment from '../user/models/Payment.js';
+import Return from '../user/models/Return.js';
+import { reserveStock, restoreStock } from './inventoryService.js';
+import { refundPayment } from './refundService.js';
+import { transitionOrderStatus } from './orderStatusService.js';
+import { roundCurrency } from './currency.js';
+import { createHttpError } from './httpError.js';
+import { RETURN_WINDOW_DAYS } from '../config/returns.js';
+
+// Returns that no longer hold on to the quantities they asked for
+const CLOSED_RETURN_STATUSES = ['rejected', 'cancelled'];
+
+/**
+ * What the customer paid for one unit of an order line: the discounted value
+ * plus its GST. Older orders without a per-line tax breakdown fall back to the price.
+ */
+export const getUnitAmount = (line) => {
+  if (line.tax) {
+    return roundCurrency((line.tax.taxableValue + line.tax.total) / line.quantity);
+  }
+  return line.price;
+};
+
+/**
+ * Whether the return window of a delivered order is still open
+ */
+export const isWithinReturnWindow = (order, now = new Date()) => {
+  const deliveredAt = order.shipping?.actualDelivery || order.updatedAt;
+  return now - new Date(deliveredAt) <= RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Quantity of each order line already claimed by open or completed returns
+ * @returns {Promise<Map<string, number>>} - order line id => quantity
+ */
+export const getReturnedQuantities = async (orderId, { completedOnly = false } = {}) => {
+  const returns = await Return.find({
+    orderId,
+    status: completedOnly ? 'completed' : { $nin: CLOSED_RETURN_STATUSES }
+  });
+
+  const quantities = new Map();
+  returns.forEach((ret) => {
+    ret.items
+      .filter((item) => item.accepted !== false)
+      .forEach((item) => {
+        const key = item.orderItemId.toString();
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+      });
+  });
+
+  return quantities;
+};
+
+/**
+ * Orders placed before lines kept a `returnedQuantity` get it filled in from
+ * their returns, so the count can be relied on below
+ */
+const backfillReturnedQuantities = async (orderId) => {
+  const stored = await Order.findById(orderId).select('items._id items.returnedQuantity').lean();
+  const missing = (stored?.items || []).filter((line) => line.returnedQuantity === undefined);
+  if (missing.length === 0) {
+    return;
+  }
+
+  const returned = await getReturnedQuantities(orderId);
+  for (const line of missing) {
+    await Order.updateOne(
+      { _id: orderId, items: { $elemMatch: { _id: line._id, returnedQuantity: { $exists: false } } } },
+      { $set: { 'items.$.returnedQuantity': returned.get(line._id.toString()) || 0 } }
+    );
+  }
+};
+
+/**
+ * Give back order line quantities claimed by claimReturnQuantities, when a
+ * return is cancelled or rejected or its items fail inspection
+ * @param {string} orderId - The order
+ * @param {Array} items - Return items ({ orderItemId, quantity })
+ */
+export const releaseReturnQuantities = async (orderId, items) => {
+  for (const item of items) {
+    // Orders whose count was never filled in are left for the backfill to work out
+    await Order.updateOne(
+      { _id: orderId, items: { $elemMatch: { _id: item.orderItemId, returnedQuantity: { $gte: item.quantity } } } },
+      { $inc: { 'items.$.returnedQuantity': -item.quantity } }
+    );
+  }
+};
+
+/**
+ * Claim the quantities of a new return on the order lines. The limit is part
+ * of the update filter, so two returns racing for the same units can't both
+ * take them. If any line is short, the lines already claimed are given back
+ * and a 400 error is thrown.
+ * @param {Object} order - The order
+ * @param {Array} items - Return items ({ orderItemId, name, quantity })
+ */
+export const claimReturnQuantities = async (order, items) => {
+  await backfillReturnedQuantities(order._id);
+  const claimed = [];
+
+  for (const item of items) {
+    const line = order.items.id(item.orderItemId);
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        items: { $elemMatch: { _id: line._id, returnedQuantity: { $lte: line.quantity - item.quantity } } }
+      },
+      { $inc: { 'items.$.returnedQuantity': item.quantity } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      await releaseReturnQuantities(order._id, claimed);
+      const current = await Order.findById(order._id).select('items');
+      const left = line.quantity - (current?.items.id(line._id)?.returnedQuantity || 0);
+      throw createHttpError(400, `Only ${Math.max(left, 0)} of ${item.name} can be returned`);
+    }
+
+    claimed.push(item);
+  }
+};
+
+/**
+ * Create the replacement order for an exchange. It ships the requested
+ * sizes/colors at no charge; any price difference between variants is absorbed.
+ */
+const createExchangeOrder = async (ret, order, items) => {
+  const lines = items.map((item) => {
+    const line = order.items.id(item.orderItemId);
+    return {
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity,
+      price: line.price,
+      totalPrice: roundCurrency(line.price * item.quantity),
+      image: line.image,
+      variant: item.exchangeVariant,
+      hsnCode: line.hsnCode
+    };
+  });
+
+  await reserveStock(lines);
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const now = new Date();
+  const exchangeOrder = new Order({
+    userId: order.userId,
+    items: lines,
+    shippingAddress: order.shippingAddress,
+    billingAddress: order.billingAddress,
+    payment: {
+      method: order.payment.method,
+      status: 'completed',
+      amount: 0
+    },
+    shipping: {
+      method: 'standard'
+    },
+    discounts: [{ code: ret.returnNumber, amount: subtotal, type: 'fixed' }],
+    subtotal,
+    shippingCost: 0,
+    tax: 0,
+    total: 0,
+    status: 'confirmed',
+    statusHistory: [{
+      to: 'confirmed',
+      actor: { role: 'system' },
+      note: `Exchange for return ${ret.returnNumber}`
+    }],
+    inventory: { status: 'committed', reservedAt: now, committedAt: now },
+    metadata: { exchangeFor: { returnId: ret._id, orderId: order._id } }
+  });
+
+  try {
+    await exchangeOrder.save();
+  } catch (error) {
+    await restoreStock(lines);
+    throw error;
+  }
+
+  await User.findByIdAndUpdate(order.userId, {
+    $push: {
+      orders: {
+        orderId: exchangeOrder._id,
+        status: 'confirmed',
+        totalAmount: 0,
+        createdAt: now
+      }
+    }
+  });
+
+  return exchangeOrder;
+};
+
+/**
+ * Refund the accepted items of a return. Razorpay orders are refunded to the
+ * original payment; COD orders are recorded for staff to pay out manually.
+ */
+export const refundReturn = async (ret, order) => {
+  const amount = roundCurrency(
+    ret.items
+      .filter((item) => item.accepted)
+      .reduce((sum, item) => sum + item.unitAmount * item.quantity, 0)
+  );
+
+  const payment = order.payment.method === 'razorpay'
+    ? await Payment.findOne({ orderId: order._id })
+    : null;
+
+  if (!payment) {
+    ret.refund = { amount, method: 'manual', status: 'pending' };
+    return ret.refund;
+  }
+
+  ret.refund = { amount, method: 'razorpay', status: 'pending' };
+  try {
+    const { refund } = await refundPayment(payment, {
+      amount,
+      reason: `Return ${ret.returnNumber}`,
+      idempotencyKey: `return-${ret._id}`,
+      source: 'return',
+      returnId: ret._id
+    });
+    ret.refund.status = refund.status;
+    ret.refund.razorpayRefundId = refund.razorpayRefundId;
+  } catch (error) {
+    ret.refund.status = 'failed';
+    ret.refund.error = error.message;
+  }
+
+  return ret.refund;
+};
+
+/**
+ * Mark the order as returned once every unit of every line has come back
+ */
+const syncOrderReturnStatus = async (order, ret) => {
+  const returned = await getReturnedQuantities(order._id, { completedOnly: true });
+  const fullyReturned = order.items.every((line) => (returned.get(line._id.toString()) || 0) >= line.quantity);
+
+  if (!fullyReturned || order.status !== 'delivered') {
+    return;
+  }
+
+  await transitionOrderStatus(order, 'returned', {
+    actor: { role: 'system' },
+    note: `All items returned (${ret.returnNumber})`
+  });
+};
+
+/**
+ * Settle an inspected return: issue the exchange order or the refund, then
+ * put resellable items back in stock. The exchange is created first so a
+ * stock shortage leaves the return untouched.
+ * @param {Object} ret - The Return document, with inspection results set
+ * @param {Object} order - The original order
+ * @param {string} adminId - Admin completing the return
+ */
+export const completeReturn = async (ret, order, adminId) => {
+  const accepted = ret.items.filter((item) => item.accepted);
+
+  if (ret.resolution === 'exchange') {
+    // A retried inspection reuses the exchange order of an earlier attempt
+    // rather than shipping a second free replacement
+    if (!ret.exchangeOrderId) {
+      const existing = await Order.findOne({ 'metadata.exchangeFor.returnId': ret._id }).select('_id');
+      const exchangeOrder = existing || await createExchangeOrder(ret, order, accepted);
+      ret.exchangeOrderId = exchangeOrder._id;
+      await Return.updateOne({ _id: ret._id }, { $set: { exchangeOrderId: exchangeOrder._id } });
+    }
+  } else {
+    await refundReturn(ret, order);
+  }
+
+  const restock = accepted.filter((item) => item.condition === 'resellable' && !item.restocked);
+  await restoreStock(restock);
+  restock.forEach((item) => {
+    item.restocked = true;
+  });
+
+  ret.status = 'completed';
+  ret.completedAt = new Date();
+  ret.history.push({
+    status: 'completed',
+    note: ret.resolution === 'exchange' ? 'Exchange order created' : `Refund ${ret.refund.status}`,
+    actor: adminId
+  });
+  await ret.save();
+
+  await syncOrderReturnStatus(order, ret);
+
+  return ret;
+};
@@ -0,0 +1,229 @@
+import Product from '../../admin/models/Product.js';
+import Order from '../../user/models/Order.js';
+import OfflineOrder from '../../admin/models/OfflineOrder.js';
+import { catalogEvents } from '../catalogEvents.js';
+import { indexTerms, normalizeText } from './text.js';
+import { SEARCH_POPULARITY_DAYS, SEARCH_INDEX_MAX_AGE_MINUTES, SEARCH_STOCK_REFRESH_SECONDS } from '../../config/search.js';
+
+// How much a match in each part of a product counts towards its relevance
+export const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  subcategory: 2,
+  attribute: 1.5,
+  sku: 1.5,
+  description: 1
+};
+
+const SIZE_OPTIONS = ['size'];
+const COLOR_OPTIONS = ['color', 'colour'];
+
+// Online orders that count as sold: paid for and not cancelled
+const SOLD_ORDER_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+let index = null;
+let building = null;
+// Bumped on every catalog write, so a build can tell whether it is already out of date
+let catalogVersion = 0;
+let indexedVersion = -1;
+// Bumped on every stock movement, which only the in-stock filter depends on
+let stockVersion = 0;
+let indexedStockVersion = -1;
+
+catalogEvents.on('change', () => {
+  catalogVersion += 1;
+});
+
+catalogEvents.on('stock', () => {
+  stockVersion += 1;
+});
+
+/**
+ * Units of each product sold online and in store over the popularity window
+ * @returns {Promise<Map<string, number>>} - product id => units
+ */
+const getUnitsSold = async () => {
+  const since = new Date(Date.now() - SEARCH_POPULARITY_DAYS * 24 * 60 * 60 * 1000);
+  const unitsPipeline = (match) => [
+    { $match: { ...match, createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.productId', units: { $sum: '$items.quantity' } } }
+  ];
+
+  const [online, offline] = await Promise.all([
+    Order.aggregate(unitsPipeline({ status: { $in: SOLD_ORDER_STATUSES } })),
+    OfflineOrder.aggregate(unitsPipeline({ status: 'completed' }))
+  ]);
+
+  const units = new Map();
+  [...online, ...offline].forEach((row) => {
+    const key = row._id.toString();
+    units.set(key, (units.get(key) || 0) + row.units);
+  });
+
+  return units;
+};
+
+const attributeOf = (attributes, names) => {
+  const name = names.find((candidate) => attributes?.[candidate]);
+  return name ? attributes[name] : null;
+};
+
+/**
+ * What a product can be bought as: one entry per variant, or the product
+ * itself when it has none
+ */
+const buildOffers = (product) => {
+  if (!product.variants || product.variants.length === 0) {
+    return [{ size: null, color: null, price: product.price, inStock: product.stock > 0 }];
+  }
+
+  return product.variants.map((variant) => ({
+    size: attributeOf(variant.attributes, SIZE_OPTIONS),
+    color: attributeOf(variant.attributes, COLOR_OPTIONS),
+    price: variant.price ?? product.price,
+    inStock: variant.isAvailable !== false && variant.stock > 0
+  }));
+};
+
+/**
+ * Load the catalog and build the index. Products are kept in a flat list
+ * and terms point at their positions in it.
+ */
+const buildIndex = async () => {
+  const [products, unitsSold] = await Promise.all([
+    Product.find()
+      .select('name slug description price images category subcategory stock isAvailable featured newlyArrived sku options variants rating numReviews createdAt')
+      .populate('category', 'name')
+      .populate('subcategory', 'name')
+      .lean(),
+    getUnitsSold()
+  ]);
+
+  const postings = new Map();
+  const sizeLabels = new Map();
+  const colorLabels = new Map();
+
+  const addTerms = (text, field, position) => {
+    indexTerms(text).forEach((term) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      const docs = postings.get(term);
+      docs.set(position, Math.max(docs.get(position) || 0, FIELD_WEIGHTS[field]));
+    });
+  };
+
+  const docs = products.map((product, position) => {
+    const offers = buildOffers(product).map((offer) => {
+      const size = offer.size ? normalizeText(offer.size) : null;
+      const color = offer.color ? normalizeText(offer.color) : null;
+      if (size && !sizeLabels.has(size)) {
+        sizeLabels.set(size, offer.size);
+      }
+      if (color && !colorLabels.has(color)) {
+        colorLabels.set(color, offer.color);
+      }
+      return { ...offer, size, color };
+    });
+
+    addTerms(product.name, 'name', position);
+    addTerms(product.description, 'description', position);
+    addTerms(product.category?.name, 'category', position);
+    addTerms(product.subcategory?.name, 'subcategory', position);
+    (product.options || []).forEach((option) => {
+      addTerms(option.values.join(' '), 'attribute', position);
+    });
+    addTerms([product.sku, ...(product.variants || []).map((variant) => variant.sku)].join(' '), 'sku', position);
+
+    const units = unitsSold.get(product._id.toString()) || 0;
+
+    return {
+      id: product._id.toString(),
+      name: product.name,
+      slug: product.slug || null,
+      image: product.images?.[0]?.url || null,
+      price: Math.min(...offers.map((offer) => offer.price)),
+      category: product.category ? { id: product.category._id.toString(), name: product.category.name } : null,
+      subcategory: product.subcategory ? { id: product.subcategory._id.toString(), name: product.subcategory.name } : null,
+      isAvailable: product.isAvailable !== false,
+      featured: Boolean(product.featured),
+      newlyArrived: Boolean(product.newlyArrived),
+      rating: product.rating || 0,
+      numReviews: product.numReviews || 0,
+      createdAt: new Date(product.createdAt).getTime() || 0,
+      unitsSold: units,
+      // Sales count most; a good rating counts for more the more reviews back it
+      popularityScore: Math.log1p(units) + ((product.rating || 0) / 5) * Math.log1p(product.numReviews || 0),
+      offers
+    };
+  });
+
+  // Popularity on a 0 to 1 scale across the catalog
+  const topScore = Math.max(0, ...docs.map((doc) => doc.popularityScore));
+  docs.forEach((doc) => {
+    doc.popularity = topScore > 0 ? doc.popularityScore / topScore : 0;
+  });
+
+  return {
+    docs,
+    postings,
+    vocabulary: [...postings.keys()].sort(),
+    sizeLabels,
+    colorLabels,
+    builtAt: Date.now()
+  };
+};
+
+const isFresh = () => (
+  index
+  && indexedVersion === catalogVersion
+  && Date.now() - index.builtAt < SEARCH_INDEX_MAX_AGE_MINUTES * 60 * 1000
+);
+
+// Stock moves with every checkout. Rather than rebuilding each time, an index
+// that is only behind on stock is still served, and refreshed in the
+// background once it is old enough.
+const needsStockRefresh = () => (
+  indexedStockVersion !== stockVersion
+  && Date.now() - index.builtAt >= SEARCH_STOCK_REFRESH_SECONDS * 1000
+);
+
+/**
+ * The search index, rebuilt first if the catalog has changed since it was
+ * built or it has reached its maximum age. Concurrent callers share a build.
+ * Stock changes alone are refreshed in the background (see needsStockRefresh).
+ * @param {Object} options - { allowStale }: return an out of date index straight
+ *   away and rebuild it in the background, for callers that must answer fast
+ * @returns {Promise<Object>} - { docs, postings, vocabulary, sizeLabels, colorLabels, builtAt }
+ */
+export const getProductIndex = async ({ allowStale = false } = {}) => {
+  const fresh = isFresh();
+  if (fresh && !needsStockRefresh()) {
+    return index;
+  }
+
+  if (!building) {
+    const version = catalogVersion;
+    const versionOfStock = stockVersion;
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        indexedVersion = version;
+        indexedStockVersion = versionOfStock;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  if ((allowStale || fresh) && index) {
+    building.catch((error) => {
+      console.error('Error rebuilding the search index:', error);
+    });
+    return index;
+  }
+
+  return building;
+};
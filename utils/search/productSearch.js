@@ -0,0 +1,382 @@
+import { createHash } from 'crypto';
+import Product from '../../admin/models/Product.js';
+import { getProductIndex } from './productIndex.js';
+import { queryTerms, normalizeText, synonymsOf, maxEditsFor, editDistance, SYNONYM_TERMS } from './text.js';
+import { createHttpError } from '../httpError.js';
+import {
+  SEARCH_PAGE_SIZE,
+  SEARCH_MAX_PAGE_SIZE,
+  SEARCH_MAX_QUERY_LENGTH,
+  SEARCH_MAX_QUERY_TERMS,
+  SEARCH_POPULARITY_WEIGHT,
+  SEARCH_PRICE_BUCKETS
+} from '../../config/search.js';
+
+// How much each kind of match counts, relative to the word itself
+const MATCH_WEIGHTS = {
+  exact: 1,
+  synonym: 0.9,
+  prefix: 0.7,
+  fuzzy: 0.5
+};
+
+// Sort orders, each as the value results are ordered by (ascending)
+const SORT_KEYS = {
+  relevance: (result) => -result.score,
+  popularity: (result) => -result.doc.popularity,
+  price_asc: (result) => result.price,
+  price_desc: (result) => -result.price,
+  newest: (result) => -result.doc.createdAt,
+  rating: (result) => -result.doc.rating,
+  best_selling: (result) => -result.doc.unitsSold
+};
+export const SEARCH_SORTS = Object.keys(SORT_KEYS);
+
+const PRICE_RANGES = [0, ...SEARCH_PRICE_BUCKETS].map((min, i) => ({
+  min,
+  max: SEARCH_PRICE_BUCKETS[i] ?? null
+}));
+
+/**
+ * Index terms a query term matches, each with how strongly: the term itself,
+ * close misspellings of it, their synonyms, and longer words it starts
+ * @returns {Map<string, number>} - index term => match weight
+ */
+const expandTerm = ({ postings, vocabulary }, term) => {
+  const matches = new Map();
+  const add = (candidate, weight) => {
+    if (postings.has(candidate) && (matches.get(candidate) || 0) < weight) {
+      matches.set(candidate, weight);
+    }
+  };
+
+  const spellings = new Map([[term, MATCH_WEIGHTS.exact]]);
+  const maxEdits = maxEditsFor(term);
+  if (maxEdits > 0) {
+    [...vocabulary, ...SYNONYM_TERMS].forEach((candidate) => {
+      if (!spellings.has(candidate) && editDistance(term, candidate, maxEdits) <= maxEdits) {
+        spellings.set(candidate, MATCH_WEIGHTS.fuzzy);
+      }
+    });
+  }
+
+  spellings.forEach((weight, spelling) => {
+    add(spelling, weight);
+    synonymsOf(spelling).forEach((synonym) => add(synonym, weight * MATCH_WEIGHTS.synonym));
+  });
+
+  // Terms starting with the query term sit together in the sorted vocabulary.
+  // A prefix counts for more the more of the word it covers.
+  if (term.length >= 2) {
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (vocabulary[mid] < term) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+      add(vocabulary[i], MATCH_WEIGHTS.prefix * (0.5 + (0.5 * term.length) / vocabulary[i].length));
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Products matching every query term, scored by how well they match
+ * @returns {Map<number, number>} - position in index.docs => relevance
+ */
+const matchQuery = (index, terms) => {
+  let scores = null;
+
+  for (const term of terms) {
+    const termScores = new Map();
+    expandTerm(index, term).forEach((matchWeight, indexTerm) => {
+      index.postings.get(indexTerm).forEach((fieldWeight, position) => {
+        const score = matchWeight * fieldWeight;
+        if ((termScores.get(position) || 0) < score) {
+          termScores.set(position, score);
+        }
+      });
+    });
+
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, position) => {
+        if (termScores.has(position)) {
+          combined.set(position, score + termScores.get(position));
+        }
+      });
+      scores = combined;
+    }
+
+    if (scores.size === 0) {
+      break;
+    }
+  }
+
+  return scores;
+};
+
+const isTrue = (value) => ['true', '1'].includes(String(value));
+
+const parseList = (value) => (value === undefined ? '' : [].concat(value).join(','))
+  .split(',')
+  .map((item) => normalizeText(item).trim())
+  .filter(Boolean);
+
+const parsePrice = (value, label) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw createHttpError(400, `Invalid ${label}`);
+  }
+  return price;
+};
+
+const encodeCursor = (sort, result) => Buffer
+  .from(JSON.stringify({ s: sort, v: result.key, id: result.doc.id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.s === sort && typeof decoded.v === 'number' && typeof decoded.id === 'string') {
+      return decoded;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw createHttpError(400, 'Invalid cursor');
+};
+
+const compareResults = (a, b) => a.key - b.key || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Check and default the search parameters from the query string
+ */
+const parseSearchParams = (params, defaultSort) => {
+  const q = String(params.q ?? '').trim();
+  if (q.length > SEARCH_MAX_QUERY_LENGTH) {
+    throw createHttpError(400, `Search query cannot be longer than ${SEARCH_MAX_QUERY_LENGTH} characters`);
+  }
+  if (queryTerms(q).length > SEARCH_MAX_QUERY_TERMS) {
+    throw createHttpError(400, `Search query cannot have more than ${SEARCH_MAX_QUERY_TERMS} words`);
+  }
+
+  const sort = params.sort || defaultSort;
+  if (!SORT_KEYS[sort]) {
+    throw createHttpError(400, `Invalid sort. Use one of: ${SEARCH_SORTS.join(', ')}`);
+  }
+
+  const limit = params.limit === undefined ? SEARCH_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_PAGE_SIZE) {
+    throw createHttpError(400, `Limit must be between 1 and ${SEARCH_MAX_PAGE_SIZE}`);
+  }
+
+  const page = params.page === undefined ? null : Number(params.page);
+  if (page !== null && (!Number.isInteger(page) || page < 1)) {
+    throw createHttpError(400, 'Page must be a whole number from 1');
+  }
+  if (page !== null && params.cursor) {
+    throw createHttpError(400, 'Use either a cursor or a page number, not both');
+  }
+
+  const minPrice = parsePrice(params.minPrice, 'minimum price');
+  const maxPrice = parsePrice(params.maxPrice, 'maximum price');
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw createHttpError(400, 'Minimum price cannot be more than the maximum price');
+  }
+
+  return {
+    q,
+    sort,
+    limit,
+    page,
+    cursor: params.cursor ? decodeCursor(params.cursor, sort) : null,
+    filters: {
+      category: new Set(parseList(params.category)),
+      subcategory: new Set(parseList(params.subcategory)),
+      size: new Set(parseList(params.size)),
+      color: new Set(parseList(params.color)),
+      minPrice,
+      maxPrice,
+      inStock: isTrue(params.inStock),
+      featured: isTrue(params.featured),
+      newlyArrived: isTrue(params.newlyArrived)
+    }
+  };
+};
+
+/**
+ * Weak ETag for a page of results. It changes whenever the index is rebuilt,
+ * which every catalog change leads to, so it can be checked before anything
+ * is read from the database.
+ */
+const etagOf = (index, parsed, { includeUnavailable, unpaged }) => {
+  const filters = Object.fromEntries(Object.entries(parsed.filters)
+    .map(([name, value]) => [name, value instanceof Set ? [...value].sort() : value]));
+  const hash = createHash('sha1')
+    .update(JSON.stringify([index.builtAt, includeUnavailable, unpaged, parsed.q, parsed.sort, parsed.limit, parsed.page, parsed.cursor, filters]))
+    .digest('base64url');
+  return `W/"${hash}"`;
+};
+
+const matchesEtag = (ifNoneMatch, etag) => Boolean(ifNoneMatch) && String(ifNoneMatch)
+  .split(',')
+  .some((tag) => tag.trim() === etag || tag.trim() === '*');
+
+/**
+ * Search the catalog. Every query word has to match, allowing for typos,
+ * synonyms and words still being typed. Facet counts for each filter are
+ * worked out with all the other filters applied, so picking a value never
+ * hides the alternatives to it.
+ *
+ * Results are paged either with the cursor of the previous page or by page
+ * number. Without a query every product matches, which makes this the
+ * listing behind category pages as well. With `unpaged`, every result is
+ * returned on one page and `limit` comes back as null.
+ *
+ * @param {Object} params - { q, category, subcategory, minPrice, maxPrice, size, color, inStock, featured,
+ *   newlyArrived, sort, limit, cursor, page }; list filters take comma-separated values
+ * @param {Object} options - { includeUnavailable, defaultSort, ifNoneMatch, unpaged }: also search products
+ *   taken off sale; sort used when none is given; the client's cached ETag; return all results
+ * @returns {Promise<Object>} - { products, total, facets, limit, page, nextCursor, etag }, or { notModified, etag }
+ *   when the cached ETag is still current
+ */
+export const searchCatalog = async (params, { includeUnavailable = false, defaultSort = 'relevance', ifNoneMatch, unpaged = false } = {}) => {
+  const parsed = parseSearchParams(params, defaultSort);
+  const { q, sort, limit, page: pageNumber, cursor, filters } = parsed;
+  const index = await getProductIndex();
+
+  const etag = etagOf(index, parsed, { includeUnavailable, unpaged });
+  if (matchesEtag(ifNoneMatch, etag)) {
+    return { notModified: true, etag };
+  }
+
+  const terms = queryTerms(q);
+  const scores = terms.length > 0 ? matchQuery(index, terms) : null;
+  const candidates = (scores ? [...scores.keys()] : index.docs.map((_, position) => position))
+    .map((position) => ({ doc: index.docs[position], relevance: scores ? scores.get(position) : 0 }))
+    .filter(({ doc }) => includeUnavailable || doc.isAvailable);
+
+  // Filters on the product, and on what it can be bought as. `except` leaves
+  // one filter out, for counting that filter's facet.
+  const productMatches = ({ doc }, except) => (
+    (except === 'category' || filters.category.size === 0 || filters.category.has(doc.category?.id))
+    && (except === 'subcategory' || filters.subcategory.size === 0 || filters.subcategory.has(doc.subcategory?.id))
+    && (!filters.featured || doc.featured)
+    && (!filters.newlyArrived || doc.newlyArrived)
+  );
+  const offerMatches = (offer, except) => (
+    (except === 'size' || filters.size.size === 0 || filters.size.has(offer.size))
+    && (except === 'color' || filters.color.size === 0 || filters.color.has(offer.color))
+    && (except === 'price' || filters.minPrice === null || offer.price >= filters.minPrice)
+    && (except === 'price' || filters.maxPrice === null || offer.price <= filters.maxPrice)
+    && (except === 'inStock' || !filters.inStock || offer.inStock)
+  );
+  const matchingOffers = (candidate, except) => (
+    productMatches(candidate, except)
+      ? candidate.doc.offers.filter((offer) => offerMatches(offer, except))
+      : []
+  );
+
+  const countFacet = (facet, valuesOf) => {
+    const counts = new Map();
+    candidates.forEach((candidate) => {
+      new Set(valuesOf(candidate, matchingOffers(candidate, facet))).forEach((value) => {
+        if (value !== null && value !== undefined) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      });
+    });
+    return counts;
+  };
+  const sortedFacet = (counts, toEntry) => [...counts]
+    .map(([value, count]) => ({ ...toEntry(value), count }))
+    .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name)));
+
+  const categoryNames = new Map(candidates.flatMap(({ doc }) => [doc.category, doc.subcategory])
+    .filter(Boolean)
+    .map(({ id, name }) => [id, name]));
+  const priceCounts = countFacet('price', (_, offers) => offers.map((offer) => PRICE_RANGES
+    .findIndex((range) => range.max === null || offer.price < range.max)));
+  const stockCounts = countFacet('inStock', (_, offers) => (offers.length > 0
+    ? ['all', ...(offers.some((offer) => offer.inStock) ? ['inStock'] : [])]
+    : []));
+
+  const facets = {
+    categories: sortedFacet(
+      countFacet('category', ({ doc }, offers) => (offers.length > 0 ? [doc.category?.id] : [])),
+      (id) => ({ _id: id, name: categoryNames.get(id) })
+    ),
+    subcategories: sortedFacet(
+      countFacet('subcategory', ({ doc }, offers) => (offers.length > 0 ? [doc.subcategory?.id] : [])),
+      (id) => ({ _id: id, name: categoryNames.get(id) })
+    ),
+    sizes: sortedFacet(
+      countFacet('size', (_, offers) => offers.map((offer) => offer.size)),
+      (size) => ({ value: size, name: index.sizeLabels.get(size) })
+    ),
+    colors: sortedFacet(
+      countFacet('color', (_, offers) => offers.map((offer) => offer.color)),
+      (color) => ({ value: color, name: index.colorLabels.get(color) })
+    ),
+    priceRanges: PRICE_RANGES.map((range, i) => ({ ...range, count: priceCounts.get(i) || 0 })),
+    availability: {
+      all: stockCounts.get('all') || 0,
+      inStock: stockCounts.get('inStock') || 0
+    }
+  };
+
+  // Relevance is lifted by popularity; without a query popularity decides
+  const results = candidates
+    .map((candidate) => ({ candidate, offers: matchingOffers(candidate) }))
+    .filter(({ offers }) => offers.length > 0)
+    .map(({ candidate, offers }) => {
+      const result = {
+        doc: candidate.doc,
+        id: candidate.doc.id,
+        price: Math.min(...offers.map((offer) => offer.price)),
+        score: scores
+          ? candidate.relevance * (1 + SEARCH_POPULARITY_WEIGHT * candidate.doc.popularity)
+          : candidate.doc.popularity
+      };
+      result.key = SORT_KEYS[sort](result);
+      return result;
+    })
+    .sort(compareResults);
+
+  const pageSize = unpaged ? results.length : limit;
+  let start = 0;
+  if (cursor) {
+    start = results.findIndex((result) => compareResults(result, { key: cursor.v, id: cursor.id }) > 0);
+  } else if (pageNumber) {
+    start = (pageNumber - 1) * limit;
+  }
+  const page = start < 0 ? [] : results.slice(start, start + pageSize);
+  const hasMore = start >= 0 && start + pageSize < results.length;
+
+  const products = await Product.find({ _id: { $in: page.map((result) => result.id) } })
+    .populate('category', 'name')
+    .populate('subcategory', 'name');
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return {
+    products: page.map((result) => productsById.get(result.id)).filter(Boolean),
+    total: results.length,
+    facets,
+    limit: unpaged ? null : limit,
+    page: unpaged ? null : pageNumber,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+    etag
+  };
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import SearchQuery from '../../user/models/SearchQuery.js';
+import { queryTerms } from './text.js';
+import { createHttpError } from '../httpError.js';
+import { SEARCH_EVENT_WINDOW_HOURS } from '../../config/search.js';
+
+// Query string parameters kept with a logged search
+const LOGGED_PARAMS = ['category', 'subcategory', 'minPrice', 'maxPrice', 'size', 'color', 'inStock', 'sort'];
+
+export const SEARCH_EVENT_TYPES = ['click', 'add_to_cart'];
+
+/**
+ * Log a storefront search. The log is written in the background so a
+ * failure never holds up or breaks the search itself.
+ * @param {Object} params - The search query string
+ * @param {number} resultCount - How many products matched
+ * @returns {string|null} - Id to report clicks and add-to-carts against, or
+ *   null when there was no query to log. It carries a random token, so only
+ *   the shopper who searched can report events on the search.
+ */
+export const logSearch = (params, resultCount) => {
+  const normalizedQuery = queryTerms(params.q).join(' ');
+  if (!normalizedQuery) {
+    return null;
+  }
+
+  const filters = Object.fromEntries(LOGGED_PARAMS
+    .filter((param) => params[param] !== undefined && params[param] !== '')
+    .map((param) => [param, params[param]]));
+
+  const eventToken = crypto.randomBytes(16).toString('hex');
+  const search = new SearchQuery({
+    query: String(params.q).slice(0, 200),
+    normalizedQuery,
+    resultCount,
+    eventToken,
+    filters
+  });
+  search.save().catch((error) => {
+    console.error('Error logging search:', error);
+  });
+
+  return `${search._id}.${eventToken}`;
+};
+
+/**
+ * Credit a click or add-to-cart on a search result to the search. Each
+ * product is counted once per search, however often it is reported.
+ * @param {string} searchId - From the search response
+ * @param {Object} event - { type: 'click' | 'add_to_cart', productId, position }
+ */
+export const recordSearchEvent = async (searchId, { type, productId, position }) => {
+  if (!SEARCH_EVENT_TYPES.includes(type)) {
+    throw createHttpError(400, `Invalid event type. Use one of: ${SEARCH_EVENT_TYPES.join(', ')}`);
+  }
+  const [id, eventToken] = String(searchId || '').split('.');
+  if (!mongoose.isValidObjectId(id) || !eventToken || !mongoose.isValidObjectId(productId)) {
+    throw createHttpError(400, 'Invalid search or product id');
+  }
+
+  const match = {
+    _id: id,
+    eventToken,
+    createdAt: { $gte: new Date(Date.now() - SEARCH_EVENT_WINDOW_HOURS * 60 * 60 * 1000) }
+  };
+
+  const search = type === 'click'
+    ? await SearchQuery.findOneAndUpdate(
+        { ...match, clickedProducts: { $ne: productId } },
+        { $inc: { clicks: 1 }, $addToSet: { clickedProducts: productId } },
+        { new: true }
+      )
+    : await SearchQuery.findOneAndUpdate(match, { $addToSet: { addedToCart: productId } }, { new: true });
+
+  if (!search) {
+    // A repeated click on the same product is not counted again
+    if (type === 'click' && await SearchQuery.exists(match)) {
+      return;
+    }
+    throw createHttpError(404, 'Search not found');
+  }
+
+  const clickPosition = Number(position);
+  if (type === 'click' && Number.isInteger(clickPosition) && clickPosition > 0 && search.firstClickPosition === null) {
+    await SearchQuery.updateOne({ _id: search._id, firstClickPosition: null }, { $set: { firstClickPosition: clickPosition } });
+  }
+};
@@ -0,0 +1,287 @@
+import Category from '../../admin/models/Category.js';
+import Subcategory from '../../admin/models/Subcategory.js';
+import { getProductIndex } from './productIndex.js';
+import { catalogEvents } from '../catalogEvents.js';
+import { indexTerms, queryTerms, maxEditsFor, editDistance } from './text.js';
+import { createHttpError } from '../httpError.js';
+import { SEARCH_SUGGEST_LIMITS, SEARCH_MAX_QUERY_LENGTH, SEARCH_MAX_QUERY_TERMS } from '../../config/search.js';
+
+let categoryCache = null;
+let loadingCategories = null;
+// Bumped on every category or subcategory write
+let categoryVersion = 0;
+let suggestIndex = null;
+
+catalogEvents.on('change', (modelName) => {
+  if (modelName !== 'Product') {
+    categoryVersion += 1;
+  }
+});
+
+const loadCategories = () => {
+  if (!loadingCategories) {
+    const version = categoryVersion;
+    loadingCategories = Promise.all([
+      Category.find({ isActive: { $ne: false } }).select('name slug').lean(),
+      Subcategory.find({ isActive: { $ne: false } }).select('name slug category').lean()
+    ])
+      .then(([categories, subcategories]) => {
+        categoryCache = { version, categories, subcategories };
+        return categoryCache;
+      })
+      .finally(() => {
+        loadingCategories = null;
+      });
+  }
+  return loadingCategories;
+};
+
+/**
+ * Active categories and subcategories. Once loaded, changes are picked up in
+ * the background so suggestions never wait on the database.
+ */
+const getCategories = async () => {
+  if (categoryCache && categoryCache.version === categoryVersion) {
+    return categoryCache;
+  }
+
+  const loading = loadCategories();
+  if (categoryCache) {
+    loading.catch((error) => {
+      console.error('Error reloading categories for suggestions:', error);
+    });
+    return categoryCache;
+  }
+  return loading;
+};
+
+/**
+ * Suggestion entries for every product on sale and every active category and
+ * subcategory, with a sorted list of the words in their names for prefix lookups
+ */
+const buildSuggestIndex = (productIndex, { categories, subcategories }) => {
+  const products = productIndex.docs.filter((doc) => doc.isAvailable);
+
+  // A category is as popular as the products in it
+  const totals = new Map();
+  products.forEach((doc) => {
+    [doc.category?.id, doc.subcategory?.id].filter(Boolean).forEach((id) => {
+      const total = totals.get(id) || { count: 0, popularity: 0 };
+      total.count += 1;
+      total.popularity += doc.popularity;
+      totals.set(id, total);
+    });
+  });
+  const topPopularity = Math.max(0, ...[...totals.values()].map((total) => total.popularity));
+  const categoryNames = new Map(categories.map((category) => [category._id.toString(), category.name]));
+
+  const toCategoryEntry = (type) => (category) => {
+    const id = category._id.toString();
+    const total = totals.get(id) || { count: 0, popularity: 0 };
+    return {
+      type,
+      id,
+      name: category.name,
+      slug: category.slug || null,
+      productCount: total.count,
+      popularity: topPopularity > 0 ? total.popularity / topPopularity : 0,
+      ...(type === 'subcategory' && category.category
+        ? { category: { _id: category.category.toString(), name: categoryNames.get(category.category.toString()) || null } }
+        : {})
+    };
+  };
+
+  const entries = [
+    ...products.map((doc) => ({
+      type: 'product',
+      id: doc.id,
+      name: doc.name,
+      slug: doc.slug,
+      image: doc.image,
+      price: doc.price,
+      popularity: doc.popularity
+    })),
+    ...categories.map(toCategoryEntry('category')),
+    ...subcategories.map(toCategoryEntry('subcategory'))
+  ];
+
+  const wordEntries = new Map();
+  entries.forEach((entry, position) => {
+    entry.normalizedName = queryTerms(entry.name).join(' ');
+    indexTerms(entry.name).forEach((word) => {
+      if (!wordEntries.has(word)) {
+        wordEntries.set(word, new Set());
+      }
+      wordEntries.get(word).add(position);
+    });
+  });
+
+  return {
+    entries,
+    wordEntries,
+    words: [...wordEntries.keys()].sort(),
+    productIndex
+  };
+};
+
+const getSuggestIndex = async () => {
+  const [productIndex, categories] = await Promise.all([
+    getProductIndex({ allowStale: true }),
+    getCategories()
+  ]);
+
+  if (!suggestIndex || suggestIndex.productIndex !== productIndex || suggestIndex.categoryCache !== categories) {
+    suggestIndex = buildSuggestIndex(productIndex, categories);
+    suggestIndex.categoryCache = categories;
+  }
+  return suggestIndex;
+};
+
+/**
+ * Words in the index starting with a prefix
+ */
+const wordsStartingWith = (words, prefix) => {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (words[mid] < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const matches = [];
+  for (let i = low; i < words.length && words[i].startsWith(prefix); i++) {
+    matches.push(words[i]);
+  }
+  return matches;
+};
+
+/**
+ * Entries with a word starting with each of the query terms
+ * @returns {Set<number>} - Positions in index.entries
+ */
+const matchPrefixes = (index, terms) => {
+  let matched = null;
+
+  for (const term of terms) {
+    const positions = new Set();
+    wordsStartingWith(index.words, term).forEach((word) => {
+      index.wordEntries.get(word).forEach((position) => positions.add(position));
+    });
+    matched = matched ? new Set([...matched].filter((position) => positions.has(position))) : positions;
+    if (matched.size === 0) {
+      break;
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * The query with each term that starts no word in the catalog swapped for
+ * the closest word that is, preferring words used by more names
+ * @returns {string|null} - The corrected query, or null when nothing was changed
+ */
+const correctQuery = (index, terms) => {
+  let corrected = false;
+
+  const correction = terms.map((term) => {
+    const maxEdits = maxEditsFor(term);
+    if (maxEdits === 0 || wordsStartingWith(index.words, term).length > 0) {
+      return term;
+    }
+
+    let best = null;
+    index.words.forEach((word) => {
+      const distance = editDistance(term, word, maxEdits);
+      if (distance > maxEdits) {
+        return;
+      }
+      const uses = index.wordEntries.get(word).size;
+      if (!best || distance < best.distance || (distance === best.distance && uses > best.uses)) {
+        best = { word, distance, uses };
+      }
+    });
+
+    if (!best) {
+      return term;
+    }
+    corrected = true;
+    return best.word;
+  });
+
+  return corrected ? correction.join(' ') : null;
+};
+
+const toSuggestion = (entry) => {
+  if (entry.type === 'product') {
+    return { _id: entry.id, name: entry.name, slug: entry.slug, image: entry.image, price: entry.price };
+  }
+  return {
+    _id: entry.id,
+    name: entry.name,
+    slug: entry.slug,
+    productCount: entry.productCount,
+    ...(entry.category ? { category: entry.category } : {})
+  };
+};
+
+/**
+ * Type-ahead suggestions: products, categories and subcategories with a word
+ * starting with each word typed. Names that start with the query come
+ * first, then the more popular. When a word looks misspelt a corrected
+ * query is offered, and used for the suggestions if the query found nothing.
+ * @param {string} q - What the shopper has typed so far
+ * @returns {Promise<Object>} - { products, categories, subcategories, didYouMean }
+ */
+export const getSuggestions = async (q) => {
+  // Each term is compared with every word in the catalog when correcting it
+  const text = String(q ?? '').trim();
+  if (text.length > SEARCH_MAX_QUERY_LENGTH) {
+    throw createHttpError(400, `Search query cannot be longer than ${SEARCH_MAX_QUERY_LENGTH} characters`);
+  }
+  const terms = queryTerms(text);
+  if (terms.length > SEARCH_MAX_QUERY_TERMS) {
+    throw createHttpError(400, `Search query cannot have more than ${SEARCH_MAX_QUERY_TERMS} words`);
+  }
+  if (terms.length === 0) {
+    return { products: [], categories: [], subcategories: [], didYouMean: null };
+  }
+
+  const index = await getSuggestIndex();
+  const didYouMean = correctQuery(index, terms);
+
+  let searchTerms = terms;
+  let matched = matchPrefixes(index, terms);
+  if (matched.size === 0 && didYouMean) {
+    searchTerms = didYouMean.split(' ');
+    matched = matchPrefixes(index, searchTerms);
+  }
+
+  const typed = searchTerms.join(' ');
+  const ranked = [...matched]
+    .map((position) => index.entries[position])
+    .map((entry) => ({ entry, leading: entry.normalizedName.startsWith(typed) ? 1 : 0 }))
+    .sort((a, b) => (
+      b.leading - a.leading
+      || b.entry.popularity - a.entry.popularity
+      || a.entry.name.length - b.entry.name.length
+      || a.entry.name.localeCompare(b.entry.name)
+    ))
+    .map(({ entry }) => entry);
+
+  const ofType = (type, limit) => ranked
+    .filter((entry) => entry.type === type)
+    .slice(0, limit)
+    .map(toSuggestion);
+
+  return {
+    products: ofType('product', SEARCH_SUGGEST_LIMITS.products),
+    categories: ofType('category', SEARCH_SUGGEST_LIMITS.categories),
+    subcategories: ofType('subcategory', SEARCH_SUGGEST_LIMITS.subcategories),
+    didYouMean
+  };
+};
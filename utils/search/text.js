@@ -0,0 +1,112 @@
+import { SEARCH_SYNONYMS } from '../../config/search.js';
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'in', 'on', 'with', 'to', 'by']);
+
+// Each synonym maps to the rest of its group
+const SYNONYMS = new Map();
+SEARCH_SYNONYMS.forEach((group) => {
+  group.forEach((term) => {
+    SYNONYMS.set(term, group.filter((other) => other !== term));
+  });
+});
+
+/**
+ * Lowercase text and strip accents
+ */
+export const normalizeText = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Split a query into the terms it is matched on. Words written with hyphens,
+ * dots or slashes are joined up ("t-shirt" is searched as "tshirt").
+ */
+export const queryTerms = (text) => normalizeText(text)
+  .split(/\s+/)
+  .map((word) => word.replace(/[^a-z0-9]+/g, ''))
+  .filter((term) => term && !STOPWORDS.has(term));
+
+/**
+ * Terms to index a piece of product text under. Besides each word, compound
+ * words are also indexed joined up, and so is a one or two letter word with
+ * the word after it, so "t-shirt", "T shirt" and "tshirt" all find each other.
+ */
+export const indexTerms = (text) => {
+  const terms = new Set();
+  const words = normalizeText(text).split(/\s+/).filter(Boolean);
+
+  words.forEach((word, index) => {
+    const parts = word.split(/[^a-z0-9]+/).filter(Boolean);
+    if (parts.length > 1) {
+      terms.add(parts.join(''));
+    }
+    parts.forEach((part) => {
+      if (!STOPWORDS.has(part)) {
+        terms.add(part);
+      }
+    });
+
+    const next = words[index + 1]?.replace(/[^a-z0-9]+/g, '');
+    const joined = word.replace(/[^a-z0-9]+/g, '');
+    if (next && joined.length > 0 && joined.length <= 2) {
+      terms.add(`${joined}${next}`);
+    }
+  });
+
+  return [...terms];
+};
+
+export const synonymsOf = (term) => SYNONYMS.get(term) || [];
+
+// Every word with synonyms, so a misspelling can be corrected to one the
+// catalog only uses a synonym of
+export const SYNONYM_TERMS = [...SYNONYMS.keys()];
+
+/**
+ * Typos tolerated in a query term: none for short terms, where a single
+ * changed letter is usually a different word
+ */
+export const maxEditsFor = (term) => {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+};
+
+/**
+ * Edit distance between two terms, counting a swap of neighbouring letters
+ * as one edit. Gives up once the distance is known to exceed `max`.
+ * @returns {number} - The distance, or max + 1 when it is larger than max
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      row[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = row;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+};
@@ -0,0 +1,181 @@
+import slugify from 'slugify';
+import {
+  STOREFRONT_URL,
+  SEO_PATHS,
+  SEO_TITLE_MAX_LENGTH,
+  SEO_DESCRIPTION_MAX_LENGTH
+} from '../config/seo.js';
+
+export const toSlug = (text) => slugify(String(text ?? ''), { lower: true, strict: true, trim: true });
+
+/**
+ * The slug for a document: the slug of `text` if it is free, otherwise with
+ * the lowest free -2, -3... suffix. Slugs other documents used to have count
+ * as taken, so an old link never starts pointing somewhere else.
+ * @param {Object} Model - Mongoose model the slug must be unique in
+ * @param {string} text - Name or requested slug
+ * @param {Object} excludeId - The document's own id, whose slugs it may keep
+ * @returns {Promise<string>}
+ */
+export const uniqueSlug = async (Model, text, excludeId) => {
+  const base = toSlug(text) || Model.modelName.toLowerCase();
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const taken = await Model.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  })
+    .select('slug previousSlugs')
+    .lean();
+  const used = new Set(taken.flatMap((doc) => [doc.slug, ...(doc.previousSlugs || [])]));
+
+  if (!used.has(base)) {
+    return base;
+  }
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Old slugs to keep after moving from `previous` to `next`
+ */
+const slugHistory = (previousSlugs, previous, next) => [...new Set([
+  ...(previousSlugs || []),
+  ...(previous && previous !== next ? [previous] : [])
+])].filter((slug) => slug !== next);
+
+/**
+ * Add a slug, its history and SEO meta fields to a schema. The slug is made
+ * from `source` when a document is created or renamed, or from the slug
+ * given when one is set by hand; the one it replaces is kept so old links
+ * can be redirected. Covers saves and findOneAndUpdate / findByIdAndUpdate.
+ * @param {Object} schema - Mongoose schema, before the model is compiled
+ * @param {Object} options - { source }: the field slugs are made from
+ */
+export const addSeoFields = (schema, { source = 'name' } = {}) => {
+  schema.add({
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    previousSlugs: {
+      type: [String],
+      default: []
+    },
+    // Overrides for the meta tags, which otherwise come from the name,
+    // description and first image
+    seo: {
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [SEO_TITLE_MAX_LENGTH, `SEO title cannot exceed ${SEO_TITLE_MAX_LENGTH} characters`]
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [SEO_DESCRIPTION_MAX_LENGTH, `SEO description cannot exceed ${SEO_DESCRIPTION_MAX_LENGTH} characters`]
+      },
+      ogImage: {
+        type: String,
+        trim: true
+      }
+    }
+  });
+
+  schema.index({ slug: 1 }, { unique: true, sparse: true });
+  schema.index({ previousSlugs: 1 });
+
+  // Remember the slug as loaded, to add to the history if it changes
+  schema.post('init', function () {
+    this.$locals.savedSlug = this.slug;
+  });
+
+  schema.pre('validate', async function () {
+    const requested = this.isModified('slug') && this.slug ? this.slug : null;
+    if (!requested && this.slug && !this.isModified(source)) {
+      return;
+    }
+
+    const next = await uniqueSlug(this.constructor, requested || this.get(source), this._id);
+    this.previousSlugs = slugHistory(this.previousSlugs, this.$locals.savedSlug, next);
+    this.slug = next;
+  });
+
+  schema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate();
+    const fields = update.$set || update;
+    delete fields.previousSlugs;
+
+    const requested = fields.slug ? fields.slug : null;
+    if (!requested && fields[source] === undefined) {
+      delete fields.slug;
+      return;
+    }
+
+    const doc = await this.model.findOne(this.getQuery()).select(`slug previousSlugs ${source}`).lean();
+    if (!doc || (!requested && doc.slug && fields[source] === doc[source])) {
+      delete fields.slug;
+      return;
+    }
+
+    const next = await uniqueSlug(this.model, requested || fields[source], doc._id);
+    fields.slug = next;
+    fields.previousSlugs = slugHistory(doc.previousSlugs, doc.slug, next);
+  });
+};
+
+/**
+ * Find a document by its slug, or by one it used to have
+ * @returns {Promise<Object|null>} - { id, redirectTo }: redirectTo is the
+ *   current slug when an old one was used
+ */
+export const resolveSlug = async (Model, slug) => {
+  const normalized = String(slug).toLowerCase();
+
+  const current = await Model.exists({ slug: normalized });
+  if (current) {
+    return { id: current._id, redirectTo: null };
+  }
+
+  const moved = await Model.findOne({ previousSlugs: normalized }).select('slug').lean();
+  return moved ? { id: moved._id, redirectTo: moved.slug } : null;
+};
+
+export const canonicalUrl = (type, slug) => `${STOREFRONT_URL}${SEO_PATHS[type]}/${slug}`;
+
+const truncate = (text, length) => {
+  const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length - 1).trimEnd()}…` : clean;
+};
+
+/**
+ * Meta tags for a product, category or subcategory page, from its SEO
+ * overrides where set
+ * @param {Object} doc - The document
+ * @param {string} type - 'product', 'category' or 'subcategory'
+ * @returns {Object} - { title, description, ogImage, canonicalUrl }
+ */
+export const buildSeoMeta = (doc, type) => ({
+  title: doc.seo?.title || truncate(doc.name, SEO_TITLE_MAX_LENGTH),
+  description: doc.seo?.description || truncate(doc.description, SEO_DESCRIPTION_MAX_LENGTH),
+  ogImage: doc.seo?.ogImage || (type === 'product' ? doc.images?.[0]?.url : doc.image?.url) || null,
+  canonicalUrl: canonicalUrl(type, doc.slug)
+});
+
+/**
+ * Give documents saved before slugs existed their slug
+ * @returns {Promise<number>} - How many documents were updated
+ */
+export const assignMissingSlugs = async (Model) => {
+  const docs = await Model.find({ slug: { $exists: false } });
+
+  // Saving runs the hook that makes the slug
+  for (const doc of docs) {
+    await doc.save();
+  }
+  return docs.length;
+};
@@ -0,0 +1,94 @@
+import Counter from '../shared/models/Counter.js';
+import { createHttpError } from './httpError.js';
+import { SEQUENCES, SEQUENCE_TIMEZONE } from '../config/sequences.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Atomically take the next number of a sequence. The first call for a key returns 1.
+ * @param {string} key - Sequence name
+ * @returns {Promise<number>}
+ */
+export const nextSequence = async (key) => {
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { key },
+      { $inc: { value: 1 } },
+      { new: true, upsert: true }
+    );
+
+    return counter.value;
+  } catch (error) {
+    // Two first calls for the same key both tried to insert it; the loser
+    // retries and increments the counter the winner created
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      const counter = await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { value: 1 } },
+        { new: true }
+      );
+      return counter.value;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Year, month and day of a date in the sequence time zone
+ */
+const getDateParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: SEQUENCE_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+/**
+ * The period part of a sequence number, e.g. "261018" (daily), "2026" (yearly)
+ * or "26-27" (financialYear)
+ * @param {string} reset - daily, yearly, financialYear or never
+ * @param {Date} date
+ */
+export const getSequencePeriod = (reset, date = new Date()) => {
+  const { year, month, day } = getDateParts(date);
+
+  switch (reset) {
+    case 'daily':
+      return `${year.slice(-2)}${month}${day}`;
+    case 'yearly':
+      return year;
+    case 'financialYear': {
+      const startYear = Number(month) >= 4 ? Number(year) : Number(year) - 1;
+      return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+    }
+    case 'never':
+      return '';
+    default:
+      throw new Error(`Unknown sequence reset: ${reset}`);
+  }
+};
+
+/**
+ * Generate the next document number of a configured sequence, e.g.
+ * ORD-261018-00001. Safe to call concurrently; each call gets a distinct number.
+ * @param {string} name - A key of SEQUENCES (order, offlineOrder, invoice, ...)
+ * @param {Date} date - Date that decides the period, defaults to now
+ * @returns {Promise<string>}
+ */
+export const nextSequenceNumber = async (name, date = new Date()) => {
+  const sequence = SEQUENCES[name];
+  if (!sequence) {
+    throw createHttpError(500, `Unknown sequence: ${name}`);
+  }
+
+  const period = getSequencePeriod(sequence.reset, date);
+  const value = await nextSequence(period ? `${name}:${period}` : name);
+  const number = String(value).padStart(sequence.padding, '0');
+
+  return [sequence.prefix, period, number].filter(Boolean).join(sequence.separator);
+};
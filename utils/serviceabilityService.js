@@ -0,0 +1,221 @@
+import ServiceablePincode from '../admin/models/ServiceablePincode.js';
+import { parseCsvRecords } from './csv.js';
+import { createHttpError } from './httpError.js';
+import { COD_MAX_ORDER_VALUE, PINCODE_PATTERN } from '../config/serviceability.js';
+
+// CSV header spellings accepted for each field ("COD Allowed", "cod_allowed", "codAllowed", ...)
+const CSV_COLUMNS = {
+  pincode: 'pincode',
+  pin: 'pincode',
+  city: 'city',
+  state: 'state',
+  codallowed: 'codAllowed',
+  cod: 'codAllowed',
+  prepaidallowed: 'prepaidAllowed',
+  prepaid: 'prepaidAllowed',
+  transitdays: 'transitDays',
+  maxcodamount: 'maxCodAmount',
+  codlimit: 'maxCodAmount'
+};
+
+const TRUE_VALUES = ['y', 'yes', 'true', '1'];
+const FALSE_VALUES = ['n', 'no', 'false', '0'];
+
+export const normalizePincode = (pincode) => String(pincode ?? '').replace(/\s/g, '');
+
+const parseFlag = (value, field) => {
+  const flag = value.toLowerCase();
+  if (TRUE_VALUES.includes(flag)) {
+    return true;
+  }
+  if (FALSE_VALUES.includes(flag)) {
+    return false;
+  }
+  throw new Error(`${field} must be yes or no`);
+};
+
+const parseOptionalNumber = (value, field) => {
+  if (value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${field} must be a positive number`);
+  }
+  return number;
+};
+
+/**
+ * Turn one CSV record into PIN code fields
+ */
+const parsePincodeRecord = (values) => {
+  const pincode = normalizePincode(values.pincode);
+  if (!PINCODE_PATTERN.test(pincode)) {
+    throw new Error(`Invalid PIN code "${values.pincode ?? ''}"`);
+  }
+
+  return {
+    pincode,
+    city: values.city || undefined,
+    state: values.state || undefined,
+    codAllowed: parseFlag(values.codAllowed ?? '', 'COD allowed'),
+    prepaidAllowed: values.prepaidAllowed ? parseFlag(values.prepaidAllowed, 'Prepaid allowed') : true,
+    transitDays: parseOptionalNumber(values.transitDays ?? '', 'Transit days'),
+    maxCodAmount: parseOptionalNumber(values.maxCodAmount ?? '', 'Max COD amount')
+  };
+};
+
+/**
+ * Import a PIN code coverage list. Columns: pincode, city, state, cod_allowed,
+ * prepaid_allowed, transit_days and optionally max_cod_amount. Existing PIN
+ * codes are updated; with `replace`, PIN codes missing from the file are
+ * removed. Nothing is written when any row is invalid.
+ *
+ * @param {string} text - The CSV file contents
+ * @param {Object} options - { replace, adminId }
+ * @returns {Promise<Object>} - { total, created, updated, removed, errors: [{ line, message }] }
+ */
+export const importPincodes = async (text, { replace = false, adminId } = {}) => {
+  const records = parseCsvRecords(text, (header) => CSV_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || header);
+
+  if (records.length === 0) {
+    throw createHttpError(400, 'The file has no PIN codes');
+  }
+
+  if (!records.some((record) => 'pincode' in record.values)) {
+    throw createHttpError(400, 'The file needs a pincode column');
+  }
+
+  const errors = [];
+  const entries = new Map();
+  records.forEach(({ line, values }) => {
+    try {
+      const entry = parsePincodeRecord(values);
+      if (entries.has(entry.pincode)) {
+        throw new Error(`PIN code ${entry.pincode} is listed more than once`);
+      }
+      entries.set(entry.pincode, entry);
+    } catch (error) {
+      errors.push({ line, message: error.message });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { total: records.length, created: 0, updated: 0, removed: 0, errors };
+  }
+
+  const result = await ServiceablePincode.bulkWrite(
+    [...entries.values()].map((entry) => ({
+      updateOne: {
+        filter: { pincode: entry.pincode },
+        update: { $set: { ...entry, updatedBy: adminId } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  let removed = 0;
+  if (replace) {
+    const deleted = await ServiceablePincode.deleteMany({ pincode: { $nin: [...entries.keys()] } });
+    removed = deleted.deletedCount;
+  }
+
+  return {
+    total: records.length,
+    created: result.upsertedCount,
+    updated: result.matchedCount,
+    removed,
+    errors
+  };
+};
+
+/**
+ * Whether and how we deliver to a PIN code. Until a coverage list has been
+ * imported every PIN code is treated as serviceable.
+ *
+ * @param {string} pincode - The PIN code
+ * @param {Object} options - { amount }: order total, to check the COD limit
+ * @returns {Promise<Object>} - { pincode, serviceable, prepaidAllowed, codAllowed, codUnavailableReason, codLimit, transitDays, estimatedDelivery, city, state }
+ */
+export const checkServiceability = async (pincode, { amount } = {}) => {
+  const pin = normalizePincode(pincode);
+  if (!PINCODE_PATTERN.test(pin)) {
+    throw createHttpError(400, 'Please enter a valid 6-digit PIN code');
+  }
+
+  const entry = await ServiceablePincode.findOne({ pincode: pin }).lean();
+  const hasCoverageList = entry ? true : Boolean(await ServiceablePincode.exists({}));
+
+  if (!entry && hasCoverageList) {
+    return {
+      pincode: pin,
+      serviceable: false,
+      prepaidAllowed: false,
+      codAllowed: false,
+      codUnavailableReason: 'pincode',
+      codLimit: null,
+      transitDays: null,
+      estimatedDelivery: null
+    };
+  }
+
+  const limits = [COD_MAX_ORDER_VALUE, entry?.maxCodAmount].filter((limit) => limit !== null && limit !== undefined);
+  const codLimit = limits.length > 0 ? Math.min(...limits) : null;
+  const pincodeAllowsCod = entry ? entry.codAllowed : true;
+  const withinCodLimit = amount === undefined || codLimit === null || amount <= codLimit;
+  const transitDays = entry?.transitDays ?? null;
+
+  let codUnavailableReason = null;
+  if (!pincodeAllowsCod) {
+    codUnavailableReason = 'pincode';
+  } else if (!withinCodLimit) {
+    codUnavailableReason = 'order_value';
+  }
+
+  return {
+    pincode: pin,
+    city: entry?.city,
+    state: entry?.state,
+    serviceable: entry ? entry.prepaidAllowed || entry.codAllowed : true,
+    prepaidAllowed: entry ? entry.prepaidAllowed : true,
+    codAllowed: !codUnavailableReason,
+    codUnavailableReason,
+    codLimit,
+    transitDays,
+    estimatedDelivery: transitDays !== null ? new Date(Date.now() + transitDays * 24 * 60 * 60 * 1000) : null
+  };
+};
+
+/**
+ * Reject an order that can't be delivered to its PIN code with its payment method
+ * @param {string} pincode - Shipping PIN code
+ * @param {Object} options - { paymentMethod, amount }
+ * @returns {Promise<Object>} - The serviceability result
+ */
+export const assertServiceable = async (pincode, { paymentMethod, amount }) => {
+  if (!pincode) {
+    throw createHttpError(400, 'Shipping address PIN code is required');
+  }
+
+  const result = await checkServiceability(pincode, { amount });
+
+  if (!result.serviceable) {
+    throw createHttpError(400, `Sorry, we don't deliver to PIN code ${result.pincode} yet`);
+  }
+
+  if (paymentMethod === 'cod' && !result.codAllowed) {
+    throw createHttpError(
+      400,
+      result.codUnavailableReason === 'order_value'
+        ? `Cash on delivery is only available for orders up to ₹${result.codLimit}`
+        : `Cash on delivery is not available for PIN code ${result.pincode}`
+    );
+  }
+
+  if (paymentMethod !== 'cod' && !result.prepaidAllowed) {
+    throw createHttpError(400, `Only cash on delivery is available for PIN code ${result.pincode}`);
+  }
+
+  return result;
+};
@@ -0,0 +1,457 @@
+import crypto from 'crypto';
+import Order from '../user/models/Order.js';
+import Shipment, { SHIPMENT_STATUSES } from '../user/models/Shipment.js';
+import { createNotification } from '../admin/controllers/notificationController.js';
+import { transitionOrderStatus } from './orderStatusService.js';
+import { getCarrier } from './carriers/index.js';
+import { createHttpError } from './httpError.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Orders that can still have parcels sent out
+const SHIPPABLE_ORDER_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+// Parcels that have left the warehouse
+const DISPATCHED_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery', 'failed_attempt', 'delivered'];
+
+// Shipments that can be called off, freeing their items for another shipment
+const CANCELLABLE_STATUSES = ['label_created', 'returned_to_origin'];
+
+// Tracking events staff are notified about
+const ALERT_STATUSES = ['failed_attempt', 'returned_to_origin'];
+
+const addQuantity = (quantities, item) => {
+  const key = item.orderItemId.toString();
+  quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+};
+
+/**
+ * Quantity of each order line in open shipments, dispatched and delivered
+ * @returns {Promise<Object>} - { shipments, allocated, dispatched, delivered }, each a Map of order line id => quantity
+ */
+export const getShipmentQuantities = async (orderId) => {
+  const shipments = await Shipment.find({ orderId, status: { $ne: 'cancelled' } }).sort({ createdAt: 1 });
+  const allocated = new Map();
+  const dispatched = new Map();
+  const delivered = new Map();
+
+  shipments.forEach((shipment) => {
+    shipment.items.forEach((item) => {
+      addQuantity(allocated, item);
+      if (DISPATCHED_STATUSES.includes(shipment.status)) {
+        addQuantity(dispatched, item);
+      }
+      if (shipment.status === 'delivered') {
+        addQuantity(delivered, item);
+      }
+    });
+  });
+
+  return { shipments, allocated, dispatched, delivered };
+};
+
+/**
+ * Work out the lines of a new shipment. Without `items` everything not yet in
+ * a shipment is sent.
+ */
+const buildShipmentItems = (order, items, allocated) => {
+  const remaining = new Map(order.items.map((line) => [
+    line._id.toString(),
+    line.quantity - (allocated.get(line._id.toString()) || 0)
+  ]));
+
+  const requested = items
+    ? items.map((item) => ({ line: order.items.id(item.itemId), quantity: Number(item.quantity) }))
+    : order.items.map((line) => ({ line, quantity: remaining.get(line._id.toString()) })).filter((item) => item.quantity > 0);
+
+  if (requested.length === 0) {
+    throw createHttpError(400, 'All items of this order are already in shipments');
+  }
+
+  return requested.map(({ line, quantity }) => {
+    if (!line) {
+      throw createHttpError(400, 'Item not found on this order');
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, `Invalid quantity for ${line.name}`);
+    }
+
+    const key = line._id.toString();
+    if (quantity > remaining.get(key)) {
+      throw createHttpError(400, `Only ${remaining.get(key)} of ${line.name} left to ship`);
+    }
+    remaining.set(key, remaining.get(key) - quantity);
+
+    return {
+      orderItemId: line._id,
+      productId: line.productId,
+      name: line.name,
+      variant: line.variant,
+      quantity
+    };
+  });
+};
+
+/**
+ * Create a shipment for some or all of an order's items.
+ *
+ * Carriers with a booking adapter hand out the tracking number; for others it
+ * has to be given. The order's `updatedAt` is used as a version so two staff
+ * members can't put the same items in parallel shipments. A confirmed order
+ * moves to processing with its first shipment.
+ *
+ * @param {Object} order - The order
+ * @param {Object} details - { items: [{ itemId, quantity }], carrier, trackingNumber, trackingUrl, estimatedDelivery }
+ * @param {Object} actor - { role, id } of the admin
+ * @returns {Promise<Object>} - The shipment
+ */
+export const createShipment = async (order, details, actor) => {
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    throw createHttpError(400, `A ${order.status} order cannot be shipped`);
+  }
+
+  if (!details.carrier) {
+    throw createHttpError(400, 'Carrier is required');
+  }
+
+  const adapter = getCarrier(details.carrier);
+  if (!details.trackingNumber && !adapter?.bookShipment) {
+    throw createHttpError(400, 'A tracking number is required for this carrier');
+  }
+
+  const { allocated } = await getShipmentQuantities(order._id);
+  const items = buildShipmentItems(order, details.items, allocated);
+  const now = new Date();
+
+  const shipment = new Shipment({
+    orderId: order._id,
+    items,
+    carrier: adapter ? adapter.code : details.carrier,
+    trackingNumber: details.trackingNumber,
+    trackingUrl: details.trackingUrl || (details.trackingNumber && adapter?.getTrackingUrl?.(details.trackingNumber)) || undefined,
+    estimatedDelivery: details.estimatedDelivery,
+    createdBy: actor.id,
+    events: [{
+      status: 'label_created',
+      description: 'Shipment created',
+      occurredAt: now,
+      eventId: 'created',
+      source: 'admin'
+    }]
+  });
+
+  try {
+    await shipment.save();
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      throw createHttpError(409, 'Another shipment already uses this tracking number');
+    }
+    throw error;
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, updatedAt: order.updatedAt },
+    { $set: { 'shipping.carrier': shipment.carrier } }
+  );
+
+  if (!claimed) {
+    await Shipment.deleteOne({ _id: shipment._id });
+    throw createHttpError(409, 'Order was changed by someone else, please reload');
+  }
+
+  if (!shipment.trackingNumber) {
+    try {
+      const booking = await adapter.bookShipment({ order, shipment });
+      shipment.trackingNumber = booking.trackingNumber;
+      shipment.trackingUrl = booking.trackingUrl || adapter.getTrackingUrl?.(booking.trackingNumber) || undefined;
+      shipment.estimatedDelivery = shipment.estimatedDelivery || booking.estimatedDelivery;
+      await shipment.save();
+    } catch (error) {
+      console.error('Error booking shipment with carrier:', shipment.carrier, error);
+      await Shipment.updateOne(
+        { _id: shipment._id },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } }
+      );
+      throw createHttpError(502, `Carrier booking failed: ${error.message}`);
+    }
+  }
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'shipping.trackingNumber': shipment.trackingNumber,
+        ...(shipment.estimatedDelivery && { 'shipping.estimatedDelivery': shipment.estimatedDelivery })
+      }
+    }
+  );
+
+  if (order.status === 'confirmed') {
+    await transitionOrderStatus(order, 'processing', {
+      actor,
+      note: `Shipment ${shipment.shipmentNumber} created`
+    });
+  }
+
+  return shipment;
+};
+
+/**
+ * Apply a transition made on behalf of the carrier. Another webhook may have
+ * made the same change a moment earlier, which is fine.
+ */
+const advanceOrder = async (order, to, note) => {
+  try {
+    return await transitionOrderStatus(order, to, { actor: { role: 'system' }, note });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return Order.findById(order._id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move an order along once its shipments allow it: shipped when every unit has
+ * been dispatched, delivered when every unit has been delivered.
+ * @returns {Promise<Object>} - The order
+ */
+export const syncOrderWithShipments = async (orderId) => {
+  let order = await Order.findById(orderId);
+  if (!order || !SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    return order;
+  }
+
+  const { shipments, dispatched, delivered } = await getShipmentQuantities(order._id);
+  const covers = (quantities) => order.items.every((line) => (quantities.get(line._id.toString()) || 0) >= line.quantity);
+
+  if (covers(dispatched) && order.status === 'confirmed') {
+    order = await advanceOrder(order, 'processing', 'Shipment picked up by the carrier');
+  }
+
+  if (covers(dispatched) && order.status === 'processing') {
+    order = await advanceOrder(order, 'shipped', 'All items handed to the carrier');
+  }
+
+  if (covers(delivered) && order.status === 'shipped') {
+    order = await advanceOrder(order, 'delivered', 'All shipments delivered');
+
+    // The return window runs from when the last parcel arrived
+    const deliveredAt = new Date(Math.max(...shipments.map((shipment) => shipment.deliveredAt || 0)));
+    if (order.status === 'delivered' && deliveredAt.getTime() > 0) {
+      order = await Order.findByIdAndUpdate(
+        order._id,
+        { $set: { 'shipping.actualDelivery': deliveredAt } },
+        { new: true }
+      );
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Check and fill in a tracking event coming from a carrier or an admin
+ */
+const normalizeEvent = (event, source) => {
+  if (!SHIPMENT_STATUSES.includes(event.status) || event.status === 'cancelled') {
+    throw createHttpError(400, `Invalid tracking status: ${event.status}`);
+  }
+
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) {
+    throw createHttpError(400, 'Invalid tracking event time');
+  }
+
+  return {
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    occurredAt,
+    eventId: event.eventId ? String(event.eventId) : `${event.status}:${occurredAt.toISOString()}`,
+    source
+  };
+};
+
+/**
+ * Add tracking events to a shipment and bring its status, the order's status
+ * and staff notifications up to date. Events already recorded (webhook
+ * retries) are skipped. Status follows the latest event by time, so events
+ * delivered out of order still end up right.
+ *
+ * @param {Object} shipment - The shipment
+ * @param {Object[]} events - { eventId, status, description, location, occurredAt }
+ * @param {string} source - 'carrier' or 'admin'
+ * @returns {Promise<Object>} - { shipment, added }
+ */
+export const recordShipmentEvents = async (shipment, events, source = 'carrier') => {
+  if (shipment.status === 'cancelled') {
+    throw createHttpError(400, 'Shipment has been cancelled');
+  }
+
+  const added = [];
+  for (const event of events.map((item) => normalizeEvent(item, source))) {
+    const result = await Shipment.updateOne(
+      { _id: shipment._id, status: { $ne: 'cancelled' }, 'events.eventId': { $ne: event.eventId } },
+      { $push: { events: event } }
+    );
+    if (result.modifiedCount > 0) {
+      added.push(event);
+    }
+  }
+
+  if (added.length === 0) {
+    return { shipment, added };
+  }
+
+  const current = await Shipment.findById(shipment._id);
+  const timeline = [...current.events].sort((a, b) => a.occurredAt - b.occurredAt);
+  const dispatchedEvent = timeline.find((event) => DISPATCHED_STATUSES.includes(event.status));
+  const deliveredEvent = timeline.find((event) => event.status === 'delivered');
+
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, status: { $ne: 'cancelled' } },
+    {
+      $set: {
+        status: timeline[timeline.length - 1].status,
+        ...(dispatchedEvent && { shippedAt: dispatchedEvent.occurredAt }),
+        ...(deliveredEvent && { deliveredAt: deliveredEvent.occurredAt })
+      }
+    },
+    { new: true }
+  ) || current;
+
+  for (const event of added.filter((item) => ALERT_STATUSES.includes(item.status))) {
+    await createNotification(
+      'order',
+      `Shipment ${updated.shipmentNumber}: ${event.status.replace(/_/g, ' ')}${event.description ? ` - ${event.description}` : ''}`,
+      {
+        shipmentId: updated._id,
+        orderId: updated.orderId,
+        trackingNumber: updated.trackingNumber,
+        status: event.status
+      }
+    );
+  }
+
+  await syncOrderWithShipments(updated.orderId);
+
+  return { shipment: updated, added };
+};
+
+/**
+ * Apply the events of a carrier webhook. Events for tracking numbers we don't
+ * know are counted and ignored so the carrier doesn't keep retrying them.
+ * @returns {Promise<Object>} - { applied, duplicates, ignored }
+ */
+export const applyCarrierEvents = async (carrierCode, events) => {
+  const summary = { applied: 0, duplicates: 0, ignored: 0 };
+  const byTrackingNumber = new Map();
+
+  events.forEach((event) => {
+    const key = String(event.trackingNumber || '');
+    byTrackingNumber.set(key, [...(byTrackingNumber.get(key) || []), event]);
+  });
+
+  for (const [trackingNumber, trackingEvents] of byTrackingNumber) {
+    const shipment = trackingNumber
+      ? await Shipment.findOne({ carrier: carrierCode, trackingNumber })
+      : null;
+
+    if (!shipment || shipment.status === 'cancelled') {
+      summary.ignored += trackingEvents.length;
+      continue;
+    }
+
+    const { added } = await recordShipmentEvents(shipment, trackingEvents, 'carrier');
+    summary.applied += added.length;
+    summary.duplicates += trackingEvents.length - added.length;
+  }
+
+  return summary;
+};
+
+/**
+ * Call off a shipment that hasn't left, or came back to us, so its items can
+ * be shipped again
+ * @returns {Promise<Object>} - The cancelled shipment
+ */
+export const cancelShipment = async (shipmentId, note) => {
+  const now = new Date();
+  const shipment = await Shipment.findOneAndUpdate(
+    { _id: shipmentId, status: { $in: CANCELLABLE_STATUSES } },
+    {
+      $set: { status: 'cancelled', cancelledAt: now },
+      $push: {
+        events: {
+          status: 'cancelled',
+          description: note || 'Shipment cancelled',
+          occurredAt: now,
+          eventId: `cancelled:${crypto.randomUUID()}`,
+          source: 'admin'
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!shipment) {
+    const exists = await Shipment.exists({ _id: shipmentId });
+    throw createHttpError(
+      exists ? 400 : 404,
+      exists ? 'Only shipments that have not left or came back can be cancelled' : 'Shipment not found'
+    );
+  }
+
+  return shipment;
+};
+
+/**
+ * Tracking timeline of an order for the customer: the order's own status
+ * history, every parcel with its events, and what hasn't been sent yet
+ */
+export const getOrderTracking = async (order) => {
+  const { shipments, allocated } = await getShipmentQuantities(order._id);
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    estimatedDelivery: order.shipping?.estimatedDelivery,
+    deliveredAt: order.shipping?.actualDelivery,
+    history: (order.statusHistory || []).map((entry) => ({
+      status: entry.to,
+      note: entry.note,
+      timestamp: entry.timestamp
+    })),
+    shipments: shipments.map((shipment) => ({
+      _id: shipment._id,
+      shipmentNumber: shipment.shipmentNumber,
+      carrier: getCarrier(shipment.carrier)?.name || shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      status: shipment.status,
+      items: shipment.items,
+      estimatedDelivery: shipment.estimatedDelivery,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt,
+      events: [...shipment.events]
+        .sort((a, b) => a.occurredAt - b.occurredAt)
+        .map((event) => ({
+          status: event.status,
+          description: event.description,
+          location: event.location,
+          occurredAt: event.occurredAt
+        }))
+    })),
+    pendingItems: order.items
+      .map((line) => ({
+        orderItemId: line._id,
+        name: line.name,
+        variant: line.variant,
+        quantity: line.quantity - (allocated.get(line._id.toString()) || 0)
+      }))
+      .filter((line) => line.quantity > 0)
+  };
+};
@@ -0,0 +1,131 @@
+import ShippingZone from '../admin/models/ShippingZone.js';
+import { normalizeState } from './taxService.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+import {
+  SHIPPING_METHODS,
+  DEFAULT_ITEM_WEIGHT,
+  VOLUMETRIC_DIVISOR,
+  FALLBACK_SHIPPING_ZONE
+} from '../config/shipping.js';
+
+/**
+ * Weight (grams) one unit of a product is charged at: the larger of its
+ * packed weight and its volumetric weight
+ */
+export const getChargeableWeight = (product) => {
+  const weight = product.weight ?? DEFAULT_ITEM_WEIGHT;
+  const { length, width, height } = product.dimensions || {};
+
+  if (!length || !width || !height) {
+    return weight;
+  }
+
+  const volumetricWeight = ((length * width * height) / VOLUMETRIC_DIVISOR) * 1000;
+  return Math.max(weight, Math.round(volumetricWeight));
+};
+
+/**
+ * Find the shipping zone of an address: longest matching PIN code prefix
+ * first, then state, then the default zone. Falls back to the flat rates in
+ * config when no zone covers the address.
+ * @param {Object} destination - { state, pincode }
+ * @returns {Promise<Object>} - The zone
+ */
+export const findShippingZone = async ({ state, pincode } = {}) => {
+  const zones = await ShippingZone.find({ isActive: true }).lean();
+  const pin = String(pincode || '').replace(/\s/g, '');
+
+  let match = null;
+  let matchLength = 0;
+  if (pin) {
+    zones.forEach((zone) => {
+      zone.pincodePrefixes.forEach((prefix) => {
+        if (pin.startsWith(prefix) && prefix.length > matchLength) {
+          match = zone;
+          matchLength = prefix.length;
+        }
+      });
+    });
+  }
+
+  if (!match && state) {
+    match = zones.find((zone) => zone.states.some((zoneState) => normalizeState(zoneState) === normalizeState(state)));
+  }
+
+  return match || zones.find((zone) => zone.isDefault) || FALLBACK_SHIPPING_ZONE;
+};
+
+/**
+ * Cash-on-delivery surcharge of a zone for an order amount
+ */
+export const calculateCodSurcharge = (zone, amount) => {
+  const { surchargeFlat = 0, surchargePercent = 0 } = zone.cod || {};
+  return roundCurrency(Math.max(surchargeFlat, (amount * surchargePercent) / 100));
+};
+
+/**
+ * Price one shipping method of a zone
+ */
+const rateMethod = (zone, rate, { weight, amount, paymentMethod }) => {
+  const free = rate.freeShippingThreshold !== null && rate.freeShippingThreshold !== undefined &&
+    amount >= rate.freeShippingThreshold;
+
+  const extraWeight = Math.max(weight - (rate.baseWeight || 0), 0);
+  const extraSteps = Math.ceil(extraWeight / rate.additionalWeight);
+  const baseCost = free ? 0 : roundCurrency(rate.baseRate + extraSteps * rate.additionalRate);
+  const codSurcharge = paymentMethod === 'cod' ? calculateCodSurcharge(zone, amount) : 0;
+
+  return {
+    method: rate.method,
+    baseCost,
+    codSurcharge,
+    cost: roundCurrency(baseCost + codSurcharge),
+    free,
+    freeShippingThreshold: rate.freeShippingThreshold ?? null,
+    estimatedDays: rate.estimatedDays?.max !== undefined ? rate.estimatedDays : null
+  };
+};
+
+/**
+ * Shipping options for a parcel going to an address.
+ *
+ * @param {Object} options
+ * @param {Array} options.lines - Priced lines ({ quantity, shippingWeight })
+ * @param {number} options.amount - Order amount after discounts, for free-shipping thresholds and COD
+ * @param {Object} options.destination - { state, pincode }
+ * @param {string} options.paymentMethod - 'cod' adds the zone's COD surcharge
+ * @param {string} options.method - When set, this method must be available and is returned as `selected`
+ * @returns {Promise<Object>} - { zone, chargeableWeight, codAvailable, options, selected }
+ */
+export const quoteShipping = async ({ lines, amount, destination, paymentMethod, method }) => {
+  if (method && !SHIPPING_METHODS.includes(method)) {
+    throw createHttpError(400, `Invalid shipping method: ${method}`);
+  }
+
+  const zone = await findShippingZone(destination);
+  const codAvailable = zone.cod?.available !== false;
+
+  if (paymentMethod === 'cod' && !codAvailable) {
+    throw createHttpError(400, 'Cash on delivery is not available for this address');
+  }
+
+  const chargeableWeight = lines.reduce((sum, line) => sum + line.shippingWeight * line.quantity, 0);
+  const options = zone.rates
+    .filter((rate) => rate.isActive !== false)
+    .map((rate) => rateMethod(zone, rate, { weight: chargeableWeight, amount, paymentMethod }))
+    .sort((a, b) => SHIPPING_METHODS.indexOf(a.method) - SHIPPING_METHODS.indexOf(b.method));
+
+  const selected = method ? options.find((option) => option.method === method) : null;
+  if (method && !selected) {
+    throw createHttpError(400, `${method} shipping is not available for this address`);
+  }
+
+  return {
+    zone: { _id: zone._id, name: zone.name },
+    chargeableWeight,
+    codAvailable,
+    options,
+    selected
+  };
+};
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import StoreCredit from '../admin/models/StoreCredit.js';
+import { createHttpError } from './httpError.js';
+import { roundCurrency } from './currency.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Unambiguous characters for codes read out at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateCode = () => `SC${Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('')}`;
+
+/**
+ * Issue store credit to a customer
+ * @param {Object} details - { amount, customerName, phone, offlineReturnId, adminId }
+ * @returns {Promise<Object>} - The store credit
+ */
+export const issueStoreCredit = async ({ amount, customerName, phone, offlineReturnId, adminId }) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await StoreCredit.create({
+        code: generateCode(),
+        customerName,
+        phone,
+        amount: roundCurrency(amount),
+        balance: roundCurrency(amount),
+        offlineReturnId,
+        createdBy: adminId
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+    }
+  }
+
+  throw createHttpError(500, 'Could not generate a store credit code');
+};
+
+/**
+ * Withdraw store credit issued for a return that failed to save. Credit that
+ * has already been spent is left alone.
+ */
+export const revokeStoreCredit = async (credit) => {
+  await StoreCredit.deleteOne({ _id: credit._id, balance: credit.amount });
+};
+
+/**
+ * Spend store credit on a sale. The balance check is part of the update so
+ * the same credit can't be spent twice at two registers.
+ * @param {string} code - Store credit code
+ * @param {number} amount - Amount to spend
+ * @param {string} offlineOrderId - The sale paying with the credit
+ * @returns {Promise<Object>} - The store credit after spending
+ */
+export const redeemStoreCredit = async (code, amount, offlineOrderId) => {
+  const normalizedCode = String(code || '').trim().toUpperCase();
+  const credit = await StoreCredit.findOneAndUpdate(
+    { code: normalizedCode, balance: { $gte: amount } },
+    {
+      $inc: { balance: -amount },
+      $push: { redemptions: { offlineOrderId, amount } }
+    },
+    { new: true }
+  );
+
+  if (!credit) {
+    const existing = await StoreCredit.findOne({ code: normalizedCode });
+    throw createHttpError(
+      400,
+      existing
+        ? `Store credit ${normalizedCode} only has ₹${existing.balance} left`
+        : 'Invalid store credit code'
+    );
+  }
+
+  return credit;
+};
+
+/**
+ * Give back credit spent on a sale that failed or was voided
+ */
+export const restoreStoreCredit = async (code, amount, offlineOrderId) => {
+  await StoreCredit.updateOne(
+    { code: String(code || '').trim().toUpperCase() },
+    {
+      $inc: { balance: amount },
+      $push: { redemptions: { offlineOrderId, amount: -amount } }
+    }
+  );
+};
+
+/**
+ * Spend the store credit tenders of a sale. If one can't be spent, the ones
+ * already spent are given back.
+ * @param {Array} tenders - The sale's payment tenders
+ * @param {string} offlineOrderId - The sale
+ */
+export const redeemStoreCreditTenders = async (tenders, offlineOrderId) => {
+  const redeemed = [];
+
+  for (const tender of tenders.filter((t) => t.method === 'store_credit')) {
+    try {
+      await redeemStoreCredit(tender.storeCreditCode, tender.amount, offlineOrderId);
+    } catch (error) {
+      await restoreStoreCreditTenders(redeemed, offlineOrderId);
+      throw error;
+    }
+    redeemed.push(tender);
+  }
+};
+
+/**
+ * Give back the store credit spent on a sale that failed or was voided
+ */
+export const restoreStoreCreditTenders = async (tenders, offlineOrderId) => {
+  for (const tender of tenders.filter((t) => t.method === 'store_credit')) {
+    await restoreStoreCredit(tender.storeCreditCode, tender.amount, offlineOrderId);
+  }
+};
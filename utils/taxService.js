@@ -0,0 +1,126 @@
+import { roundCurrency } from './currency.js';
+import { SELLER_STATE, DEFAULT_HSN_CODE, DEFAULT_GST_SLAB, GST_STATE_CODES } from '../config/tax.js';
+
+/**
+ * Lower-case a state name and collapse whitespace/"&" so "Tamil  Nadu" and
+ * "tamil nadu" compare equal
+ */
+export const normalizeState = (state) => String(state || '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * GST state code for a state name, or null if it isn't recognised
+ */
+export const getStateCode = (state) => GST_STATE_CODES[normalizeState(state)] || null;
+
+/**
+ * Whether a sale shipped to this state is within the seller's state.
+ * An unknown destination is treated as intra-state.
+ */
+export const isIntraState = (destinationState) => {
+  if (!destinationState) {
+    return true;
+  }
+  return normalizeState(destinationState) === normalizeState(SELLER_STATE);
+};
+
+/**
+ * The tax fields of a product that decide its GST rate
+ */
+export const getGstRule = (product) => ({
+  hsnCode: product.hsnCode || DEFAULT_HSN_CODE,
+  rate: product.gstRate ?? null,
+  slab: product.gstSlab?.threshold != null ? product.gstSlab : null
+});
+
+/**
+ * GST rate (percent) for one piece sold at the given value
+ */
+export const resolveGstRate = (rule, unitValue) => {
+  if (rule.rate !== null && rule.rate !== undefined) {
+    return rule.rate;
+  }
+
+  const slab = rule.slab || DEFAULT_GST_SLAB;
+  return unitValue <= slab.threshold ? slab.rateUpTo : slab.rateAbove;
+};
+
+/**
+ * Split an amount over lines in proportion to their value. Rounding leftovers
+ * go to the last line so the parts always add up to the amount.
+ * @param {Array<number>} values - Line values
+ * @param {number} amount - Amount to split
+ * @returns {Array<number>} - The share of each line
+ */
+export const allocateAmount = (values, amount) => {
+  const base = values.reduce((sum, value) => sum + value, 0);
+  const shares = values.map(() => 0);
+
+  if (base <= 0 || amount <= 0) {
+    return shares;
+  }
+
+  let allocated = 0;
+  let lastIndex = -1;
+  values.forEach((value, index) => {
+    if (value > 0) {
+      shares[index] = roundCurrency((amount * value) / base);
+      allocated = roundCurrency(allocated + shares[index]);
+      lastIndex = index;
+    }
+  });
+
+  shares[lastIndex] = roundCurrency(shares[lastIndex] + amount - allocated);
+  return shares;
+};
+
+/**
+ * Compute the GST of each line and the order totals
+ * @param {Array} lines - Priced lines ({ quantity, totalPrice, gstRule })
+ * @param {Object} options - { lineDiscounts, destinationState }
+ * @returns {Object} - { lines: [{ ...line, hsnCode, tax }], summary }
+ */
+export const calculateGst = (lines, { lineDiscounts = [], destinationState } = {}) => {
+  const intraState = isIntraState(destinationState);
+  const placeOfSupply = destinationState || SELLER_STATE;
+
+  const summary = {
+    supplyType: intraState ? 'intra-state' : 'inter-state',
+    placeOfSupply,
+    placeOfSupplyCode: getStateCode(placeOfSupply),
+    taxableValue: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    total: 0
+  };
+
+  const taxedLines = lines.map((line, index) => {
+    const { gstRule, ...rest } = line;
+    const discount = lineDiscounts[index] || 0;
+    const taxableValue = roundCurrency(Math.max(line.totalPrice - discount, 0));
+    const rate = resolveGstRate(gstRule, taxableValue / line.quantity);
+    const total = roundCurrency((taxableValue * rate) / 100);
+
+    const cgst = intraState ? roundCurrency(total / 2) : 0;
+    const sgst = intraState ? roundCurrency(total - cgst) : 0;
+    const igst = intraState ? 0 : total;
+
+    summary.taxableValue = roundCurrency(summary.taxableValue + taxableValue);
+    summary.cgst = roundCurrency(summary.cgst + cgst);
+    summary.sgst = roundCurrency(summary.sgst + sgst);
+    summary.igst = roundCurrency(summary.igst + igst);
+    summary.total = roundCurrency(summary.total + total);
+
+    return {
+      ...rest,
+      hsnCode: gstRule.hsnCode,
+      tax: { rate, taxableValue, discount, cgst, sgst, igst, total }
+    };
+  });
+
+  return { lines: taxedLines, summary };
+};
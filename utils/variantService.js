@@ -0,0 +1,39 @@
+import { createHttpError } from './httpError.js';
+
+/**
+ * Validates an order item's `variant` selection against its product
+ * @param {Object} product - The product document (not lean)
+ * @param {string|Object} selection - The variant selection sent by the client
+ * @returns {Object} - { variant, snapshot, price } where `snapshot` is what gets stored on the order item
+ */
+export const resolveItemVariant = (product, selection) => {
+  if (!product.variants || product.variants.length === 0) {
+    if (selection) {
+      throw createHttpError(400, `Product ${product.name} does not have variants`);
+    }
+    return { variant: null, snapshot: null, price: product.price };
+  }
+
+  if (!selection) {
+    throw createHttpError(400, `Please select a variant for ${product.name}`);
+  }
+
+  const variant = product.findVariant(selection);
+  if (!variant) {
+    throw createHttpError(400, `Invalid variant selected for ${product.name}`);
+  }
+
+  if (!variant.isAvailable) {
+    throw createHttpError(400, `Variant ${variant.sku} of ${product.name} is not available`);
+  }
+
+  return {
+    variant,
+    snapshot: {
+      variantId: variant._id,
+      sku: variant.sku,
+      attributes: Object.fromEntries(variant.attributes)
+    },
+    price: variant.effectivePrice
+  };
+};
@@ -0,0 +1,223 @@
+import User from '../user/models/User.js';
+import Product from '../admin/models/Product.js';
+import WishlistAlert from '../user/models/WishlistAlert.js';
+import { sendWishlistAlertEmail } from './emailService.js';
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let running = false;
+
+/**
+ * What a wishlisted product can be bought as: each variant at its effective
+ * price, or the product itself when it has none
+ */
+const watchedOffers = (product) => {
+  if (!product.hasVariants) {
+    return [{ variantId: null, label: null, price: product.price, inStock: product.isAvailable && product.stock > 0 }];
+  }
+
+  return product.variants.map((variant) => ({
+    variantId: variant._id,
+    label: variant.attributes.get('size') || [...variant.attributes.values()].join(' / ') || variant.sku,
+    price: variant.effectivePrice,
+    inStock: product.isAvailable && variant.isAvailable !== false && variant.stock > 0
+  }));
+};
+
+/**
+ * Compare an offer with the last state the job saw and return the alert to send, if any
+ */
+const detectChange = (state, { price, inStock }) => {
+  if (!inStock) {
+    return null;
+  }
+
+  const dropped = price < state.lastPrice;
+  if (!state.lastInStock) {
+    return { type: 'back_in_stock', ...(dropped && { oldPrice: state.lastPrice, newPrice: price }) };
+  }
+
+  if (dropped) {
+    return { type: 'price_drop', oldPrice: state.lastPrice, newPrice: price };
+  }
+
+  return null;
+};
+
+/**
+ * State to store after seeing an offer. The price is only taken while the
+ * offer is in stock, so a drop while sold out is not lost.
+ */
+const nextState = (state, { price, inStock }) => ({
+  lastPrice: inStock || !state ? price : state.lastPrice,
+  lastInStock: inStock
+});
+
+/**
+ * The one alert to send for a product: a variant coming back in stock first,
+ * else the biggest price drop
+ */
+const pickAlert = (alerts) => alerts.find((alert) => alert.type === 'back_in_stock')
+  || alerts.sort((a, b) => (b.oldPrice - b.newPrice) - (a.oldPrice - a.newPrice))[0]
+  || null;
+
+/**
+ * Email every subscribed user who has the product on their wishlist
+ */
+const notifySubscribers = async (product, alert) => {
+  const users = await User.find({
+    wishlist: product._id,
+    'preferences.emailNotifications': true
+  }).select('email firstName');
+
+  for (const user of users) {
+    try {
+      await sendWishlistAlertEmail(user.email, {
+        firstName: user.firstName,
+        product,
+        ...alert
+      });
+    } catch (error) {
+      console.error(`Error sending wishlist alert to ${user.email}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+/**
+ * Check every wishlisted product for restocks and price drops since the last run
+ */
+export const runWishlistAlerts = async () => {
+  const productIds = await User.distinct('wishlist', {
+    'preferences.emailNotifications': true
+  });
+
+  if (productIds.length === 0) {
+    return { checked: 0, alerts: 0 };
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name price stock isAvailable variants');
+  const states = await WishlistAlert.find({ product: { $in: productIds } });
+  const stateByProduct = new Map(states.map((state) => [state.product.toString(), state]));
+
+  let alerts = 0;
+
+  for (const product of products) {
+    const offers = watchedOffers(product);
+    const state = stateByProduct.get(product._id.toString());
+
+    // The product-level fields follow the cheapest offer in stock
+    const inStockPrices = offers.filter((offer) => offer.inStock).map((offer) => offer.price);
+    const summary = {
+      price: inStockPrices.length > 0 ? Math.min(...inStockPrices) : Math.min(...offers.map((offer) => offer.price)),
+      inStock: inStockPrices.length > 0
+    };
+
+    // First time we see this product: record a baseline without alerting
+    if (!state) {
+      await WishlistAlert.updateOne(
+        { product: product._id },
+        {
+          $setOnInsert: {
+            ...nextState(null, summary),
+            variants: offers
+              .filter((offer) => offer.variantId)
+              .map((offer) => ({ variantId: offer.variantId, ...nextState(null, offer) }))
+          }
+        },
+        { upsert: true }
+      );
+      continue;
+    }
+
+    const alerts = [];
+    const variants = [];
+    offers.forEach((offer) => {
+      const previous = offer.variantId
+        ? state.variants.find((entry) => entry.variantId.equals(offer.variantId))
+        : state;
+
+      // A variant added since the last run gets a baseline like a new product
+      const alert = previous ? detectChange(previous, offer) : null;
+      if (alert) {
+        alerts.push({ ...alert, variantLabel: offer.label });
+      }
+      if (offer.variantId) {
+        variants.push({ variantId: offer.variantId, ...nextState(previous, offer) });
+      }
+    });
+
+    const next = product.hasVariants ? nextState(state, summary) : nextState(state, offers[0]);
+    const unchanged = next.lastPrice === state.lastPrice
+      && next.lastInStock === state.lastInStock
+      && variants.length === state.variants.length
+      && variants.every((entry, i) => (
+        entry.variantId.equals(state.variants[i].variantId)
+        && entry.lastPrice === state.variants[i].lastPrice
+        && entry.lastInStock === state.variants[i].lastInStock
+      ));
+
+    if (unchanged) {
+      continue;
+    }
+
+    const alert = pickAlert(alerts);
+
+    // Only one server instance gets to claim a given change: every write
+    // moves updatedAt on
+    const claimed = await WishlistAlert.findOneAndUpdate(
+      { _id: state._id, updatedAt: state.updatedAt },
+      {
+        $set: {
+          ...next,
+          variants,
+          ...(alert && { lastAlertAt: new Date() })
+        }
+      }
+    );
+
+    if (claimed && alert) {
+      await notifySubscribers(product, alert);
+      alerts++;
+    }
+  }
+
+  return { checked: products.length, alerts };
+};
+
+/**
+ * Start polling for wishlist alerts. The interval can be changed with
+ * WISHLIST_ALERT_INTERVAL_MINUTES; set it to 0 to disable the job.
+ */
+export const startWishlistAlertJob = () => {
+  const minutes = Number(process.env.WISHLIST_ALERT_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+
+  if (!minutes || minutes <= 0) {
+    console.log('Wishlist alert job disabled');
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    // Skip this tick if the previous run is still going
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const result = await runWishlistAlerts();
+      if (result.alerts > 0) {
+        console.log(`Wishlist alerts: ${result.alerts} alert(s) sent for ${result.checked} product(s)`);
+      }
+    } catch (error) {
+      console.error('Error running wishlist alerts:', error);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+
+  console.log(`Wishlist alert job running every ${minutes} minute(s)`);
+  return timer;
+};